@@ -0,0 +1,19 @@
+/**
+ * Development mode
+ *
+ * Enables helper routes that expose one-time codes (test OTP, test email).
+ * Turned on with ENABLE_DEV_MODE=true and never available in production.
+ */
+
+/**
+ * Check whether development mode is enabled
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {boolean} True if development helpers may be used
+ */
+const isDevModeEnabled = (env = process.env) => {
+  return env.ENABLE_DEV_MODE === 'true' && env.NODE_ENV !== 'production';
+};
+
+module.exports = {
+  isDevModeEnabled
+};
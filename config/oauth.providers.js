@@ -0,0 +1,90 @@
+/**
+ * OAuth / OIDC provider configuration for ZK Login
+ *
+ * Providers are enabled with OAUTH_PROVIDERS (comma separated, default "google").
+ * Each provider reads <NAME>_CLIENT_ID, <NAME>_ISSUER and <NAME>_JWKS_URL from the
+ * environment; built-in providers fall back to their public issuer and JWKS URL.
+ * Any other name can be added the same way as long as all three are set.
+ * <NAME>_CLIENT_ID may list several client IDs separated by commas (e.g. an
+ * Apple Services ID and the iOS bundle ID).
+ */
+
+const BUILT_IN_PROVIDERS = {
+  google: {
+    issuer: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUrl: 'https://www.googleapis.com/oauth2/v3/certs'
+  },
+  apple: {
+    issuer: 'https://appleid.apple.com',
+    jwksUrl: 'https://appleid.apple.com/auth/keys'
+  },
+  // X does not publish a public OIDC discovery document; set TWITTER_ISSUER and
+  // TWITTER_JWKS_URL to the identity bridge that issues the ID tokens.
+  twitter: {
+    issuer: null,
+    jwksUrl: null
+  }
+};
+
+/**
+ * Split a comma separated environment value
+ * @param {string} value - Raw value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+const splitList = (value) => {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Build the configuration for a single provider
+ * @param {string} name - Provider name
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Provider config, or null if incomplete
+ */
+const buildProvider = (name, env) => {
+  const prefix = name.toUpperCase();
+  const defaults = BUILT_IN_PROVIDERS[name] || {};
+
+  const clientIds = splitList(env[`${prefix}_CLIENT_ID`]);
+  const issuer = env[`${prefix}_ISSUER`] ? splitList(env[`${prefix}_ISSUER`]) : defaults.issuer;
+  const jwksUrl = env[`${prefix}_JWKS_URL`] || defaults.jwksUrl;
+
+  if (clientIds.length === 0 || !issuer || issuer.length === 0 || !jwksUrl) {
+    console.warn(`⚠️ OAuth provider "${name}" is enabled but missing client ID, issuer or JWKS URL; skipping`);
+    return null;
+  }
+
+  return {
+    clientId: clientIds.length === 1 ? clientIds[0] : clientIds,
+    issuer: Array.isArray(issuer) && issuer.length === 1 ? issuer[0] : issuer,
+    jwksUrl,
+    algorithms: splitList(env[`${prefix}_JWT_ALGORITHMS`]).length > 0
+      ? splitList(env[`${prefix}_JWT_ALGORITHMS`])
+      : ['RS256', 'ES256']
+  };
+};
+
+/**
+ * Load the enabled providers
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Provider configs keyed by name
+ */
+const getOAuthProviders = (env = process.env) => {
+  const enabled = splitList(env.OAUTH_PROVIDERS || 'google').map(name => name.toLowerCase());
+
+  return enabled.reduce((providers, name) => {
+    const config = buildProvider(name, env);
+    if (config) {
+      providers[name] = config;
+    }
+    return providers;
+  }, {});
+};
+
+module.exports = {
+  BUILT_IN_PROVIDERS,
+  getOAuthProviders
+};
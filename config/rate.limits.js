@@ -0,0 +1,77 @@
+/**
+ * Rate limit policies
+ *
+ * Each policy allows `max` requests per `windowMs`, counted per key:
+ *   ip      - client IP address
+ *   user    - authenticated user ID (falls back to IP)
+ *   account - account identifier from the request body, e.g. the email on
+ *             /login (`accountField`, falls back to IP when missing or not
+ *             a string)
+ * Policies can be tuned without code changes through RATE_LIMIT_POLICIES, a JSON
+ * object merged over these defaults, e.g. {"payments":{"max":20}}.
+ */
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_POLICIES = {
+  // Auth
+  authLogin: { windowMs: 15 * MINUTE, max: 10, keyBy: 'ip' },
+  authRegister: { windowMs: 60 * MINUTE, max: 5, keyBy: 'ip' },
+  authRecovery: { windowMs: 15 * MINUTE, max: 5, keyBy: 'ip' },
+  accountSecurity: { windowMs: 15 * MINUTE, max: 10, keyBy: 'user' },
+  // Per email, across IPs; one per route family so they don't share a budget
+  authLoginAccount: { windowMs: 15 * MINUTE, max: 10, keyBy: 'account', accountField: 'email' },
+  authVerifyAccount: { windowMs: 15 * MINUTE, max: 10, keyBy: 'account', accountField: 'email' },
+  authRecoveryAccount: { windowMs: 15 * MINUTE, max: 5, keyBy: 'account', accountField: 'email' },
+  zkLogin: { windowMs: 10 * MINUTE, max: 3, keyBy: 'ip' },
+  authNonce: { windowMs: 15 * MINUTE, max: 20, keyBy: 'ip' },
+  refresh: { windowMs: 15 * MINUTE, max: 30, keyBy: 'ip' },
+  magicLink: { windowMs: 15 * MINUTE, max: 3, keyBy: 'account', accountField: 'email' },
+  sms: { windowMs: 60 * MINUTE, max: 5, keyBy: 'user' },
+
+  // Payments
+  payments: { windowMs: MINUTE, max: 10, keyBy: 'user' },
+  paymentsRead: { windowMs: MINUTE, max: 60, keyBy: 'user' },
+
+  // Social
+  friendRequests: { windowMs: 60 * MINUTE, max: 30, keyBy: 'user' },
+
+  // Chat
+  chat: { windowMs: MINUTE, max: 120, keyBy: 'user' },
+  chatMessages: { windowMs: MINUTE, max: 30, keyBy: 'user' },
+
+  // Socket.io events
+  'socket:join-chat': { windowMs: MINUTE, max: 30, keyBy: 'user' },
+  'socket:send-message': { windowMs: MINUTE, max: 30, keyBy: 'user' },
+  'socket:payment-update': { windowMs: MINUTE, max: 10, keyBy: 'user' },
+  'socket:typing': { windowMs: 10 * 1000, max: 20, keyBy: 'user' }
+};
+
+/**
+ * Load the rate limit policies
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Policies keyed by name
+ */
+const getRateLimitPolicies = (env = process.env) => {
+  let overrides = {};
+
+  if (env.RATE_LIMIT_POLICIES) {
+    try {
+      overrides = JSON.parse(env.RATE_LIMIT_POLICIES);
+    } catch (error) {
+      console.warn('⚠️ RATE_LIMIT_POLICIES is not valid JSON; using defaults');
+    }
+  }
+
+  const policies = {};
+  for (const name of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])) {
+    policies[name] = { name, ...DEFAULT_POLICIES[name], ...overrides[name] };
+  }
+
+  return policies;
+};
+
+module.exports = {
+  DEFAULT_POLICIES,
+  getRateLimitPolicies
+};
@@ -0,0 +1,67 @@
+/**
+ * Roles and permissions
+ *
+ * Every user has exactly one role. Permissions are "<resource>:<action>"
+ * strings; the admin role is granted every permission.
+ */
+
+// Ordered from least to most privileged
+const ROLES = ['user', 'support', 'compliance', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: [
+    'users:read',
+    'users:logout',
+    'transactions:read',
+    'chats:read_metadata'
+  ],
+  compliance: [
+    'users:read',
+    'users:suspend',
+    'users:logout',
+    'transactions:read',
+    'chats:read_metadata',
+    'payments:freeze',
+    'payments:refund',
+    'audit:read'
+  ],
+  admin: ['*']
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission such as "payments:refund"
+ * @returns {boolean} True if granted
+ */
+const roleHasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Rank a role by privilege
+ * @param {string} role - Role name
+ * @returns {number} Position in ROLES (higher is more privileged); unknown roles rank as "user"
+ */
+const getRoleRank = (role) => {
+  return Math.max(ROLES.indexOf(role), 0);
+};
+
+/**
+ * List the permissions a role grants
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permissions ("*" for all)
+ */
+const getRolePermissions = (role) => {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  roleHasPermission,
+  getRoleRank,
+  getRolePermissions
+};
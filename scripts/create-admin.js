@@ -0,0 +1,59 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const roleService = require('../src/services/role.service');
+const { ROLES } = require('../config/roles');
+
+/**
+ * Grant a role to an existing account (used to create the first admin)
+ *
+ * Usage:
+ *   npm run create-admin -- <email> [role] [reason]
+ *
+ * The role defaults to "admin". The account must already be registered.
+ * The change is recorded in the audit log with actor type "cli".
+ */
+
+const [email, role = 'admin', ...reasonWords] = process.argv.slice(2);
+const reason = reasonWords.join(' ') || 'Granted from the command line';
+
+async function createAdmin() {
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email> [role] [reason]');
+    process.exit(1);
+  }
+
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/chatpay', {
+      serverSelectionTimeoutMS: 5000
+    });
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (!user) {
+      console.error(`❌ No account found for ${email}. Register it first.`);
+      process.exit(1);
+    }
+
+    const { previousRole } = await roleService.changeRole(user._id, role, {
+      actorType: 'cli',
+      reason
+    });
+
+    console.log(`✅ ${user.email} (${user.username}): ${previousRole} → ${role}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Failed to grant role:', error.message);
+    process.exit(1);
+  }
+}
+
+createAdmin();
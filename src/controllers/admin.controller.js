@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const roleService = require('../services/role.service');
+const moderationService = require('../services/moderation.service');
+const paymentService = require('../services/payment.service');
+const auditService = require('../services/audit.service');
+const { ROLES, getRolePermissions } = require('../../config/roles');
+
+/**
+ * HTTP status for a failed moderation action
+ * @param {Error} error - Error from moderationService
+ * @returns {number} Status code
+ */
+const getModerationStatus = (error) => {
+  if (error.code === 'FORBIDDEN') return 403;
+  if (error.message === 'User not found') return 404;
+  return 400;
+};
+
+/**
+ * Admin Controller
+ * Back-office endpoints for staff: roles, user moderation and the audit log
+ */
+class AdminController {
+  /**
+   * List roles and the permissions they grant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRoles(req, res) {
+    res.json({
+      success: true,
+      roles: ROLES.map(role => ({
+        role,
+        permissions: getRolePermissions(role)
+      }))
+    });
+  }
+
+  /**
+   * Change a user's role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async changeUserRole(req, res) {
+    try {
+      const { id } = req.params;
+      const { role, reason } = req.body;
+
+      if (!role || !reason) {
+        return res.status(400).json({
+          error: 'Role and reason are required'
+        });
+      }
+
+      const { user, previousRole } = await roleService.changeRole(id, role, {
+        actor: req.user._id,
+        reason,
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        user: {
+          _id: user._id,
+          username: user.username,
+          role: user.role
+        },
+        previousRole
+      });
+
+    } catch (error) {
+      console.error('Change role error:', error.message);
+      res.status(error.message === 'User not found' ? 404 : 400).json({
+        error: 'Failed to change role',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Search users
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async searchUsers(req, res) {
+    try {
+      const { q, status, role, page, limit } = req.query;
+
+      const result = await moderationService.searchUsers({ q, status, role }, { page, limit });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_FILTER') {
+        return res.status(400).json({
+          error: 'Invalid filter',
+          message: error.message
+        });
+      }
+
+      console.error('Admin search users error:', error);
+      res.status(500).json({
+        error: 'Search failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a user's account details
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUser(req, res) {
+    try {
+      const result = await moderationService.getUser(req.params.id);
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Admin get user error:', error);
+      res.status(500).json({
+        error: 'Failed to get user',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a user's transactions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUserTransactions(req, res) {
+    try {
+      const { status, type } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      const result = await paymentService.getUserTransactions(req.params.id, {
+        limit,
+        skip: (page - 1) * limit,
+        status,
+        type
+      });
+
+      res.json({
+        ...result,
+        page
+      });
+
+    } catch (error) {
+      console.error('Admin get transactions error:', error);
+      res.status(500).json({
+        error: 'Failed to get transactions',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get metadata (not content) for a user's chats
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUserChats(req, res) {
+    try {
+      const chats = await moderationService.getUserChatMetadata(req.params.id);
+
+      res.json({
+        success: true,
+        chats
+      });
+
+    } catch (error) {
+      console.error('Admin get chats error:', error);
+      res.status(500).json({
+        error: 'Failed to get chats',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Suspend a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async suspendUser(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({
+          error: 'Reason is required'
+        });
+      }
+
+      const { user, frozenTransactions, revokedSessions } = await moderationService.suspend(req.params.id, {
+        actor: req.user._id,
+        reason,
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'User suspended',
+        user: {
+          _id: user._id,
+          username: user.username,
+          accountStatus: user.accountStatus
+        },
+        frozenTransactions,
+        revokedSessions
+      });
+
+    } catch (error) {
+      console.error('Suspend user error:', error.message);
+      res.status(getModerationStatus(error)).json({
+        error: 'Failed to suspend user',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Reactivate a suspended user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reactivateUser(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({
+          error: 'Reason is required'
+        });
+      }
+
+      const { user, releasedTransactions } = await moderationService.reactivate(req.params.id, {
+        actor: req.user._id,
+        reason,
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'User reactivated',
+        user: {
+          _id: user._id,
+          username: user.username,
+          accountStatus: user.accountStatus
+        },
+        releasedTransactions
+      });
+
+    } catch (error) {
+      console.error('Reactivate user error:', error.message);
+      res.status(getModerationStatus(error)).json({
+        error: 'Failed to reactivate user',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Sign a user out of every session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async forceLogout(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({
+          error: 'Reason is required'
+        });
+      }
+
+      const revokedSessions = await moderationService.forceLogout(req.params.id, {
+        actor: req.user._id,
+        reason,
+        req
+      });
+
+      res.json({
+        success: true,
+        message: 'User signed out of all sessions',
+        revokedSessions
+      });
+
+    } catch (error) {
+      console.error('Force logout error:', error.message);
+      res.status(getModerationStatus(error)).json({
+        error: 'Failed to sign user out',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List audit log entries
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const { action, actor, targetType, targetId, page, limit } = req.query;
+
+      for (const id of [actor, targetId]) {
+        if (id && !mongoose.Types.ObjectId.isValid(id)) {
+          return res.status(400).json({
+            error: 'Invalid ID filter'
+          });
+        }
+      }
+
+      const result = await auditService.list(
+        { action, actor, targetType, targetId },
+        { page, limit }
+      );
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      res.status(500).json({
+        error: 'Failed to get audit logs',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
@@ -1,9 +1,25 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const User = require('../models/User');
 const zkService = require('../services/zk.service');
-const { generateToken } = require('../utils/jwt.utils');
+const sessionService = require('../services/session.service');
+const mfaService = require('../services/mfa.service');
+const pinService = require('../services/pin.service');
+const saltService = require('../services/salt.service');
+const reauthService = require('../services/reauth.service');
+const nonceService = require('../services/nonce.service');
+const otpService = require('../services/otp.service');
+const emailService = require('../services/email.service');
+const smsService = require('../services/sms.service');
+const lockoutService = require('../services/lockout.service');
+const loginAlertService = require('../services/loginalert.service');
+const presenceService = require('../services/presence.service');
+const profileService = require('../services/profile.service');
+const { generateToken, verifyToken, isTokenVersionCurrent } = require('../utils/jwt.utils');
+const { generateSecureToken, hashToken } = require('../utils/crypto.utils');
+const { validatePasswordStrength, simulatePasswordCheck } = require('../utils/password.utils');
+const { normalizePhone, maskPhone } = require('../utils/phone.utils');
 
 /**
  * Authentication Controller
@@ -12,7 +28,127 @@ const { generateToken } = require('../utils/jwt.utils');
 class AuthController {
   constructor() {
     // Bind methods to ensure proper context
-    this.sendOTPEmail = this.sendOTPEmail.bind(this);
+    this.requestPasswordSetup = this.requestPasswordSetup.bind(this);
+    this.forgotPassword = this.forgotPassword.bind(this);
+    this.reportLogin = this.reportLogin.bind(this);
+    this.requestMagicLink = this.requestMagicLink.bind(this);
+    this.verifyMagicLink = this.verifyMagicLink.bind(this);
+    this.requestPhoneVerification = this.requestPhoneVerification.bind(this);
+    this.completeLogin = this.completeLogin.bind(this);
+    this.startSession = this.startSession.bind(this);
+    this.zkLogin = this.zkLogin.bind(this);
+    this.login = this.login.bind(this);
+    this.register = this.register.bind(this);
+    this.googleLogin = this.googleLogin.bind(this);
+    this.verifyMfa = this.verifyMfa.bind(this);
+    this.linkIdentity = this.linkIdentity.bind(this);
+    this.unlinkIdentity = this.unlinkIdentity.bind(this);
+    this.requestPinReset = this.requestPinReset.bind(this);
+    this.resetTransactionPin = this.resetTransactionPin.bind(this);
+    this.verifyEmail = this.verifyEmail.bind(this);
+    this.setupPassword = this.setupPassword.bind(this);
+    this.requestStepUpOtp = this.requestStepUpOtp.bind(this);
+    this.resendOTP = this.resendOTP.bind(this);
+    this.generateTestOTP = this.generateTestOTP.bind(this);
+    this.testEmail = this.testEmail.bind(this);
+  }
+
+  /**
+   * Finish a successful first-factor login
+   * Users with two-factor enabled get a short-lived MFA token instead of a session.
+   * @param {Object} user - Authenticated user document
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} extra - Additional response fields
+   * @param {string} method - Login method recorded in the login history
+   */
+  async completeLogin(user, req, res, extra = {}, method = 'password') {
+    if (user.accountStatus !== 'active') {
+      return res.status(403).json({
+        error: 'Account is not active',
+        code: user.accountStatus === 'suspended' ? 'ACCOUNT_SUSPENDED' : 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        mfaToken: mfaService.issueMfaToken(user),
+        methods: ['totp', 'recovery_code']
+      });
+    }
+
+    await this.startSession(user, req, res, extra, method);
+  }
+
+  /**
+   * Start a session and send the standard login response
+   * @param {Object} user - Authenticated user document
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} extra - Additional response fields
+   * @param {string} method - Login method recorded in the login history
+   */
+  async startSession(user, req, res, extra = {}, method = 'password') {
+    // Compared against earlier sign-ins, so assessed before this one is recorded
+    const assessment = await loginAlertService.assess(user, req);
+
+    // A completed sign-in clears earlier failed attempts
+    await lockoutService.recordSuccess(user, req, method);
+
+    // Start a session and issue access/refresh tokens
+    const { tokens, session } = await sessionService.createSession(user, req);
+
+    if (assessment.suspicious) {
+      await loginAlertService.alert(user, session, assessment);
+    }
+
+    // Update user's last active time (isOnline follows their socket connections)
+    user.lastActive = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: {
+        _id: user._id,
+        username: user.username,
+        displayName: user.displayName,
+        email: user.email,
+        profilePicture: user.profilePicture,
+        isVerified: user.isVerified,
+        emailVerified: user.hasVerifiedEmail(),
+        role: user.role,
+        walletAddress: user.walletAddress
+      },
+      ...extra
+    });
+  }
+
+  /**
+   * Issue a single-use nonce for an OAuth or zkLogin sign-in
+   * Send it to the provider as the OIDC nonce, or use it as the zkLogin randomness.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async issueNonce(req, res) {
+    try {
+      const { nonce, expiresAt } = await nonceService.issue();
+
+      res.status(201).json({
+        success: true,
+        nonce,
+        expiresAt
+      });
+
+    } catch (error) {
+      console.error('Issue nonce error:', error);
+      res.status(500).json({
+        error: 'Failed to issue nonce',
+        message: error.message
+      });
+    }
   }
 
   /**
@@ -36,30 +172,22 @@ class AuthController {
       // Create or update user
       const user = await zkService.createOrUpdateUser(userInfo);
 
-      // Generate JWT token
-      const token = generateToken(user._id.toString());
-
-      // Update user's last active time
-      user.lastActive = new Date();
-      user.isOnline = true;
-      await user.save();
+      // Derive the user's Sui address from the verified JWT and their salt
+      await saltService.assignWalletAddress(user, zkProof.jwt);
 
-      res.json({
-        success: true,
-        token,
-        user: {
-          _id: user._id,
-          username: user.username,
-          displayName: user.displayName,
-          email: user.email,
-          profilePicture: user.profilePicture,
-          isVerified: user.isVerified,
-          walletAddress: user.walletAddress
-        }
-      });
+      await this.completeLogin(user, req, res, {}, 'zklogin');
 
     } catch (error) {
-      console.error('ZK Login error:', error);
+      console.error('ZK Login error:', error.message);
+
+      if (error.code === 'ACCOUNT_LINK_REQUIRED') {
+        return res.status(409).json({
+          error: 'Account link required',
+          code: error.code,
+          message: error.message
+        });
+      }
+
       res.status(401).json({
         error: 'Authentication failed',
         message: error.message
@@ -82,40 +210,58 @@ class AuthController {
         });
       }
 
-      // Find user by email
-      const user = await User.findOne({ email: email.toLowerCase() });
+      // Find user by email (password hash is excluded by default)
+      const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
+      // Unknown emails and blocked accounts get the same 401 as a wrong
+      // password, after the same bcrypt work, so neither the response nor its
+      // timing shows which emails have accounts. The owner of a locked
+      // account is emailed instead.
       if (!user) {
+        await simulatePasswordCheck(password);
+        return res.status(401).json({
+          error: 'Invalid credentials'
+        });
+      }
+
+      const block = await lockoutService.checkAttempt(user, req, 'password');
+      if (block) {
+        await simulatePasswordCheck(password);
         return res.status(401).json({
           error: 'Invalid credentials'
         });
       }
 
-      // In a real implementation, you would verify the password hash
-      // For demo purposes, we'll accept any password for existing users
-      // TODO: Implement proper password hashing with bcrypt
+      // Accounts created before password auth have none to match. They get the
+      // same response as a wrong password; the owner is emailed a setup code.
+      if (!user.password) {
+        await simulatePasswordCheck(password);
+        await lockoutService.recordFailure(user, req, 'password', 'password_not_set');
+        await this.sendPasswordSetupCode(user);
+        return res.status(401).json({
+          error: 'Invalid credentials'
+        });
+      }
 
-      // Generate JWT token
-      const token = generateToken(user._id.toString());
+      const isMatch = await user.comparePassword(password);
 
-      // Update user's last active time
-      user.lastActive = new Date();
-      user.isOnline = true;
-      await user.save();
+      if (!isMatch) {
+        await lockoutService.recordFailure(user, req, 'password');
+        return res.status(401).json({
+          error: 'Invalid credentials'
+        });
+      }
 
-      res.json({
-        success: true,
-        token,
-        user: {
-          _id: user._id,
-          username: user.username,
-          displayName: user.displayName,
-          email: user.email,
-          profilePicture: user.profilePicture,
-          isVerified: user.isVerified,
-          walletAddress: user.walletAddress
-        }
-      });
+      // The owner reported a sign-in that wasn't theirs; the password may be known
+      if (user.passwordReset && user.passwordReset.required) {
+        return res.status(403).json({
+          error: 'Password reset required',
+          code: 'PASSWORD_RESET_REQUIRED',
+          message: 'Check your email for a password reset link, or request a new one at /api/auth/forgot-password'
+        });
+      }
+
+      await this.completeLogin(user, req, res);
 
     } catch (error) {
       console.error('Login error:', error);
@@ -141,6 +287,15 @@ class AuthController {
         });
       }
 
+      const passwordCheck = validatePasswordStrength(password, { email, username });
+
+      if (!passwordCheck.valid) {
+        return res.status(400).json({
+          error: 'Password does not meet requirements',
+          details: passwordCheck.errors
+        });
+      }
+
       // Check if user already exists
       const existingUser = await User.findOne({
         $or: [
@@ -155,16 +310,12 @@ class AuthController {
         });
       }
 
-      // No OTP needed - users are verified by default
-
-      // Create new user (verified by default, no email verification needed)
+      // Create new user; the email stays unverified until the emailed OTP is confirmed
       const user = new User({
         username: username.toLowerCase(),
         email: email.toLowerCase(),
         // displayName will be set during profile setup
-        // In production, hash the password
-        // password: await bcrypt.hash(password, 12),
-        isVerified: true, // Set as verified by default
+        isVerified: false,
         preferences: {
           notifications: {
             email: true,
@@ -173,17 +324,19 @@ class AuthController {
         }
       });
 
+      await user.setPassword(password);
       await user.save();
 
-      // User is verified by default, no email verification needed
-      console.log(`✅ User ${user.email} registered and verified successfully`);
+      console.log(`✅ User ${user.email} registered`);
+
+      await this.sendOTP(user, 'email_verification');
 
-      // Generate JWT token
-      const token = generateToken(user._id.toString());
+      // Start a session and issue access/refresh tokens
+      const { tokens } = await sessionService.createSession(user, req);
 
       res.status(201).json({
         success: true,
-        token,
+        ...tokens,
         user: {
           _id: user._id,
           username: user.username,
@@ -191,8 +344,10 @@ class AuthController {
           email: user.email,
           profilePicture: user.profilePicture,
           isVerified: user.isVerified,
+          emailVerified: false,
           walletAddress: user.walletAddress
         },
+        emailVerificationRequired: true,
         message: 'Registration successful. Please check your email for verification code.'
       });
 
@@ -214,7 +369,7 @@ class AuthController {
     try {
       const user = await User.findById(req.user._id)
         .select('-__v -createdAt -updatedAt')
-        .populate('friends', 'username displayName profilePicture isOnline');
+        .populate('friends', 'username displayName profilePicture isOnline preferences.privacy.showOnlineStatus');
 
       if (!user) {
         return res.status(404).json({
@@ -222,9 +377,18 @@ class AuthController {
         });
       }
 
+      // Friends who hide their online status appear offline
+      const friends = user.friends.map(friend => ({
+        _id: friend._id,
+        username: friend.username,
+        displayName: friend.displayName,
+        profilePicture: friend.profilePicture,
+        isOnline: presenceService.getVisibleStatus(friend).isOnline
+      }));
+
       res.json({
         success: true,
-        user
+        user: { ...user.toJSON(), friends }
       });
 
     } catch (error) {
@@ -238,43 +402,35 @@ class AuthController {
 
   /**
    * Update user profile
+   * Same validation, presence announcement and response as PUT /api/users/:id.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async updateProfile(req, res) {
     try {
-      const { displayName, bio, profilePicture, preferences } = req.body;
-
-      const user = await User.findById(req.user._id);
-
-      if (!user) {
-        return res.status(404).json({
-          error: 'User not found'
-        });
-      }
-
-      // Update allowed fields
-      if (displayName) user.displayName = displayName;
-      if (bio !== undefined) user.bio = bio;
-      if (profilePicture) user.profilePicture = profilePicture;
-      if (preferences) user.preferences = { ...user.preferences, ...preferences };
-
-      await user.save();
+      const user = await profileService.updateProfile(req.user, req.user._id, req.body, req);
 
       res.json({
         success: true,
-        user: {
-          _id: user._id,
-          username: user.username,
-          displayName: user.displayName,
-          email: user.email,
-          bio: user.bio,
-          profilePicture: user.profilePicture,
-          preferences: user.preferences
-        }
+        user
       });
 
     } catch (error) {
+      if (error.code === 'VALIDATION_FAILED') {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      if (error.code === 'USER_NOT_FOUND') {
+        return res.status(404).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+
       console.error('Update profile error:', error);
       res.status(500).json({
         error: 'Failed to update profile',
@@ -290,9 +446,13 @@ class AuthController {
    */
   async logout(req, res) {
     try {
-      // Update user's online status
+      // Revoke the session so its refresh token can no longer be used
+      if (req.sessionId) {
+        await sessionService.revokeSession(req.sessionId, 'logout');
+      }
+
+      // Revoking the session closes its sockets; presence goes offline once none are left
       await User.findByIdAndUpdate(req.user._id, {
-        isOnline: false,
         lastActive: new Date()
       });
 
@@ -325,29 +485,30 @@ class AuthController {
 
   /**
    * Refresh token
+   * Rotates the refresh token and issues a new access token
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async refreshToken(req, res) {
     try {
-      const user = await User.findById(req.user._id);
+      const { refreshToken } = req.body;
 
-      if (!user) {
-        return res.status(404).json({
-          error: 'User not found'
+      if (!refreshToken) {
+        return res.status(400).json({
+          error: 'Refresh token is required'
         });
       }
 
-      const token = generateToken(user._id);
+      const tokens = await sessionService.refreshSession(refreshToken, req);
 
       res.json({
         success: true,
-        token
+        ...tokens
       });
 
     } catch (error) {
-      console.error('Refresh token error:', error);
-      res.status(500).json({
+      console.error('Refresh token error:', error.message);
+      res.status(401).json({
         error: 'Failed to refresh token',
         message: error.message
       });
@@ -355,503 +516,1545 @@ class AuthController {
   }
 
   /**
-   * Verify email with OTP
+   * Complete a login with a second factor
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async verifyEmail(req, res) {
+  async verifyMfa(req, res) {
     try {
-      const { email, otp } = req.body;
-
-      console.log('🔐 Email verification attempt:', { email, otp });
+      const { mfaToken, code, recoveryCode } = req.body;
 
-      if (!email || !otp) {
-        console.log('❌ Missing email or OTP:', { email: !!email, otp: !!otp });
+      if (!mfaToken || (!code && !recoveryCode)) {
         return res.status(400).json({
-          error: 'Email and OTP are required'
+          error: 'MFA token and a verification code or recovery code are required'
         });
       }
 
-      // Find user by email
-      const user = await User.findOne({ email: email.toLowerCase() });
+      const decoded = mfaService.verifyMfaToken(mfaToken);
+      const user = await mfaService.getUserWithSecrets(decoded.userId);
 
-      if (!user) {
-        console.log('❌ User not found for email:', email);
-        return res.status(404).json({
-          error: 'User not found'
+      if (!user || user.accountStatus !== 'active' || !isTokenVersionCurrent(decoded, user)) {
+        return res.status(401).json({
+          error: 'Invalid MFA token'
         });
       }
 
-      console.log('✅ User found:', user._id);
-      console.log('📧 User email verification data:', {
-        hasEmailVerification: !!user.emailVerification,
-        storedOTP: user.emailVerification?.otp,
-        providedOTP: otp,
-        otpMatch: user.emailVerification?.otp === otp,
-        otpExpiry: user.emailVerification?.otpExpiry,
-        currentTime: new Date(),
-        isExpired: user.emailVerification?.otpExpiry < new Date()
-      });
-
-      // Check if OTP is valid and not expired
-      if (!user.emailVerification ||
-          user.emailVerification.otp !== otp ||
-          user.emailVerification.otpExpiry < new Date()) {
-
-        let errorReason = 'Unknown error';
-        if (!user.emailVerification) {
-          errorReason = 'No email verification data found';
-        } else if (user.emailVerification.otp !== otp) {
-          errorReason = `OTP mismatch - stored: '${user.emailVerification.otp}', provided: '${otp}'`;
-        } else if (user.emailVerification.otpExpiry < new Date()) {
-          errorReason = `OTP expired - expiry: ${user.emailVerification.otpExpiry}, current: ${new Date()}`;
-        }
+      const method = recoveryCode ? 'recovery_code' : 'totp';
+      const block = await lockoutService.checkAttempt(user, req, method);
+      if (block) {
+        return this.respondBlocked(block, res);
+      }
 
-        console.log('❌ OTP verification failed:', errorReason);
+      const isValid = await mfaService.verifySecondFactor(user, { code, recoveryCode });
 
-        return res.status(400).json({
-          error: 'Invalid or expired OTP',
-          details: errorReason
+      if (!isValid) {
+        await lockoutService.recordFailure(user, req, method);
+        return res.status(401).json({
+          error: 'Invalid verification code'
         });
       }
 
-      // Mark email as verified
-      user.isVerified = true;
-      user.emailVerification.isVerified = true;
-      user.emailVerification.otp = undefined; // Clear OTP
-      user.emailVerification.otpExpiry = undefined;
+      await this.startSession(user, req, res, recoveryCode ? {
+        recoveryCodesRemaining: mfaService.getRemainingRecoveryCodes(user)
+      } : {}, method);
 
-      await user.save();
+    } catch (error) {
+      console.error('MFA verification error:', error.message);
+      res.status(401).json({
+        error: 'MFA verification failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Start TOTP enrollment
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async enrollTwoFactor(req, res) {
+    try {
+      const { secret, otpauthUrl } = await mfaService.startEnrollment(req.user._id);
 
       res.json({
         success: true,
-        message: 'Email verified successfully',
-        user: {
-          _id: user._id,
-          username: user.username,
-          displayName: user.displayName,
-          email: user.email,
-          isVerified: user.isVerified
-        }
+        secret,
+        otpauthUrl,
+        message: 'Add this secret to your authenticator app, then confirm with a code'
       });
 
     } catch (error) {
-      console.error('Email verification error:', error);
-      res.status(500).json({
-        error: 'Email verification failed',
+      console.error('2FA enroll error:', error.message);
+      res.status(400).json({
+        error: 'Failed to start two-factor enrollment',
         message: error.message
       });
     }
   }
 
   /**
-   * Resend OTP
+   * Confirm TOTP enrollment and return recovery codes
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async resendOTP(req, res) {
+  async confirmTwoFactor(req, res) {
     try {
-      const { email } = req.body;
+      const { code } = req.body;
 
-      console.log('🔄 Resend OTP request received for:', email);
-
-      if (!email) {
-        console.log('❌ No email provided in resend request');
+      if (!code) {
         return res.status(400).json({
-          error: 'Email is required'
-        });
-      }
-
-      // Find user by email
-      const user = await User.findOne({ email: email.toLowerCase() });
-
-      if (!user) {
-        console.log('❌ User not found for email:', email);
-        return res.status(404).json({
-          error: 'User not found'
+          error: 'Verification code is required'
         });
       }
 
-      console.log('✅ User found:', user._id, 'isVerified:', user.isVerified);
-
-      // Generate new OTP directly (avoiding this.generateOTP() issue)
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-      // Update user's OTP
-      user.emailVerification.otp = otp;
-      user.emailVerification.otpExpiry = otpExpiry;
-      await user.save();
-
-      // Send OTP email
-      console.log(`📧 Resending OTP to ${user.email}...`);
-      console.log(`🔢 New OTP Code: ${otp} (expires in 10 minutes)`);
-
-      try {
-        await this.sendOTPEmail(user.email, otp);
-        console.log(`✅ OTP email resent successfully to ${user.email}`);
-      } catch (emailError) {
-        console.error('❌ Email resend failed:', emailError.message);
-        console.log(`🔧 BACKUP: Use OTP from console: ${otp}`);
-      }
+      const recoveryCodes = await mfaService.confirmEnrollment(req.user._id, code);
 
       res.json({
         success: true,
-        message: 'OTP sent successfully'
+        recoveryCodes,
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.'
       });
 
     } catch (error) {
-      console.error('Resend OTP error:', error);
-      res.status(500).json({
-        error: 'Failed to resend OTP',
+      console.error('2FA confirm error:', error.message);
+      res.status(400).json({
+        error: 'Failed to enable two-factor authentication',
         message: error.message
       });
     }
   }
 
   /**
-   * Generate 6-digit OTP
-   * @returns {string} OTP
-   */
-  generateOTP() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-  }
-
-  /**
-   * Generate OTP for testing
+   * Disable TOTP
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async generateTestOTP(req, res) {
+  async disableTwoFactor(req, res) {
     try {
-      const { email } = req.body;
+      const { code, recoveryCode } = req.body;
 
-      if (!email) {
+      if (!code && !recoveryCode) {
         return res.status(400).json({
-          error: 'Email is required'
+          error: 'Verification code or recovery code is required'
         });
       }
 
-      // Generate new OTP directly (avoiding this.generateOTP() issue)
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-      console.log(`🎯 Test OTP Generated for ${email}:`);
-      console.log(`🔢 OTP Code: ${otp}`);
-      console.log(`⏰ Expires: ${otpExpiry}`);
-      console.log(`🔧 Use this OTP to test verification`);
+      await mfaService.disable(req.user._id, { code, recoveryCode });
 
       res.json({
         success: true,
-        message: 'OTP generated successfully',
-        otp: otp,
-        email: email,
-        expiresAt: otpExpiry,
-        note: 'Use this OTP to test the verification endpoint'
+        message: 'Two-factor authentication disabled'
       });
 
     } catch (error) {
-      console.error('❌ OTP generation failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to generate OTP',
+      console.error('2FA disable error:', error.message);
+      res.status(400).json({
+        error: 'Failed to disable two-factor authentication',
         message: error.message
       });
     }
   }
 
   /**
-   * Test email configuration
+   * Regenerate recovery codes
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async testEmail(req, res) {
+  async regenerateRecoveryCodes(req, res) {
     try {
-      const testOTP = '123456';
-      const testEmail = req.body.email || 'test@example.com';
+      const { code, recoveryCode } = req.body;
 
-      console.log(`🧪 Testing email configuration...`);
-      console.log(`📧 Test email to: ${testEmail}`);
+      if (!code && !recoveryCode) {
+        return res.status(400).json({
+          error: 'Verification code or recovery code is required'
+        });
+      }
 
-      await this.sendOTPEmail(testEmail, testOTP);
+      const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user._id, { code, recoveryCode });
 
       res.json({
         success: true,
-        message: 'Email test completed. Check console for details.',
-        testOTP: testOTP
+        recoveryCodes
       });
 
     } catch (error) {
-      console.error('❌ Email test failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Email test failed',
-        message: error.message,
-        testOTP: '123456' // Always provide test OTP
+      console.error('2FA recovery codes error:', error.message);
+      res.status(400).json({
+        error: 'Failed to regenerate recovery codes',
+        message: error.message
       });
     }
   }
 
   /**
-   * Google OAuth login
+   * Set the transaction PIN for the first time
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async googleLogin(req, res) {
+  async setTransactionPin(req, res) {
     try {
-      console.log('🔍 Google login request body:', req.body);
-      console.log('🔍 Request headers:', req.headers);
+      const { pin } = req.body;
 
-      // Extract data from zkProof object (as sent by frontend)
-      const { code, email, name, picture } = req.body.zkProof || req.body;
-
-      console.log('🔍 Extracted data:', { code: !!code, email: !!email, name: !!name, picture: !!picture });
-
-      if (!email) {
-        console.log('❌ Email field missing from request body');
+      if (!pin) {
         return res.status(400).json({
-          error: 'Email is required for Google login'
-        });
-      }
-
-      console.log('🔐 Processing Google OAuth for:', email);
-
-      // Find or create user
-      let user = await User.findOne({ email: email.toLowerCase() });
-
-      if (user) {
-        // Update existing user
-        user.lastActive = new Date();
-        user.isOnline = true;
-        if (name && !user.displayName) {
-          user.displayName = name;
-        }
-        if (picture && !user.profilePicture) {
-          user.profilePicture = picture;
-        }
-        await user.save();
-        console.log('✅ Existing user updated:', user.email);
-      } else {
-        // Create new user
-        const username = AuthController.generateUsername(name || email);
-        user = new User({
-          username: username,
-          email: email.toLowerCase(),
-          displayName: name || username,
-          profilePicture: picture,
-          isVerified: true, // Google accounts are pre-verified
-          preferences: {
-            notifications: {
-              email: true,
-              push: true
-            }
-          }
+          error: 'PIN is required'
         });
-        await user.save();
-        console.log('✅ New user created:', user.email);
       }
 
-      // Generate JWT token
-      const token = generateToken(user._id.toString());
+      await pinService.setPin(req.user._id, String(pin));
 
-      res.json({
+      res.status(201).json({
         success: true,
-        token,
-        user: {
-          _id: user._id,
-          username: user.username,
-          displayName: user.displayName,
-          email: user.email,
-          profilePicture: user.profilePicture,
-          isVerified: user.isVerified,
-          walletAddress: user.walletAddress
-        },
-        message: 'Google login successful'
+        message: 'Transaction PIN set successfully'
       });
 
     } catch (error) {
-      console.error('Google login error:', error);
+      console.error('Set PIN error:', error.message);
+      res.status(400).json({
+        error: 'Failed to set transaction PIN',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Change the transaction PIN
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async changeTransactionPin(req, res) {
+    try {
+      const { currentPin, newPin } = req.body;
+
+      if (!currentPin || !newPin) {
+        return res.status(400).json({
+          error: 'Current PIN and new PIN are required'
+        });
+      }
+
+      const formatError = pinService.validatePinFormat(String(newPin));
+      if (formatError) {
+        return res.status(400).json({
+          error: formatError
+        });
+      }
+
+      const result = await pinService.changePin(req.user._id, String(currentPin), String(newPin));
+
+      if (result.notSet) {
+        return res.status(400).json({
+          error: 'No transaction PIN is set',
+          code: 'PIN_NOT_SET'
+        });
+      }
+
+      if (result.locked) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(423).json({
+          error: 'Too many incorrect PIN attempts. Try again later.',
+          code: 'PIN_LOCKED',
+          retryAfter: result.retryAfter
+        });
+      }
+
+      if (!result.valid) {
+        return res.status(401).json({
+          error: 'Incorrect transaction PIN',
+          code: 'INVALID_PIN',
+          attemptsRemaining: result.attemptsRemaining
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Transaction PIN changed successfully'
+      });
+
+    } catch (error) {
+      console.error('Change PIN error:', error.message);
       res.status(500).json({
-        error: 'Google login failed',
+        error: 'Failed to change transaction PIN',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Email a one-time code for resetting a forgotten transaction PIN
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestPinReset(req, res) {
+    try {
+      await this.sendOTP(req.user, 'pin_reset');
+
+      res.json({
+        success: true,
+        message: 'A verification code has been sent to your email'
+      });
+
+    } catch (error) {
+      if (this.handleOtpCooldown(error, res)) {
+        return;
+      }
+
+      console.error('PIN reset request error:', error.message);
+      res.status(500).json({
+        error: 'Failed to request PIN reset',
         message: error.message
       });
     }
   }
 
   /**
-   * Generate unique username from name or email
-   * @param {string} input - Name or email
-   * @returns {string} Unique username
+   * Reset the transaction PIN with an emailed one-time code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
    */
-  static generateUsername(input) {
-    const baseUsername = input
-      .split('@')[0] // Remove email domain
-      .replace(/[^a-zA-Z0-9]/g, '') // Remove special characters
-      .toLowerCase()
-      .substring(0, 20); // Limit length
+  async resetTransactionPin(req, res) {
+    try {
+      const { otp, newPin } = req.body;
+
+      if (!otp || !newPin) {
+        return res.status(400).json({
+          error: 'OTP and new PIN are required'
+        });
+      }
+
+      const formatError = pinService.validatePinFormat(String(newPin));
+      if (formatError) {
+        return res.status(400).json({
+          error: formatError
+        });
+      }
+
+      const block = await lockoutService.checkAttempt(req.user, req, 'pin_reset');
+      if (block) {
+        return this.respondBlocked(block, res);
+      }
+
+      const result = await pinService.resetPin(req.user._id, String(otp), String(newPin));
+
+      if (!result.valid) {
+        await lockoutService.recordFailure(req.user, req, 'pin_reset', 'invalid_otp');
+        return res.status(400).json(otpService.toErrorResponse(result));
+      }
+
+      res.json({
+        success: true,
+        message: 'Transaction PIN reset successfully'
+      });
 
-    return baseUsername || 'user';
+    } catch (error) {
+      console.error('Reset PIN error:', error.message);
+      res.status(500).json({
+        error: 'Failed to reset transaction PIN',
+        message: error.message
+      });
+    }
   }
 
   /**
-   * Send OTP email
-   * @param {string} email - Recipient email
-   * @param {string} otp - OTP code
+   * Add or change the current user's phone number
+   * Texts a verification code; the number is only used once verified.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
    */
-  async sendOTPEmail(email, otp) {
+  async requestPhoneVerification(req, res) {
     try {
-      console.log('📧 Starting email send process...');
-      console.log('📧 Email credentials check:', {
-        hasUser: !!process.env.EMAIL_USER,
-        hasPass: !!process.env.EMAIL_PASS,
-        emailHost: process.env.EMAIL_HOST,
-        emailPort: process.env.EMAIL_PORT
+      const { phone } = req.body;
+
+      if (!phone) {
+        return res.status(400).json({
+          error: 'Phone number is required'
+        });
+      }
+
+      const number = normalizePhone(phone);
+
+      if (!number) {
+        return res.status(400).json({
+          error: 'Invalid phone number',
+          code: 'INVALID_PHONE',
+          message: 'Use international format, e.g. +2348031234567'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      if (user.phone.number === number) {
+        return res.status(400).json({
+          error: 'This phone number is already verified'
+        });
+      }
+
+      const owner = await User.findByVerifiedPhone(number);
+
+      if (owner && !owner._id.equals(user._id)) {
+        return res.status(409).json({
+          error: 'This phone number is already in use',
+          code: 'PHONE_IN_USE'
+        });
+      }
+
+      // Issued before the number is saved so a cooldown can't swap the number under a live code
+      const { code } = await otpService.issue(user._id, 'phone_verification');
+
+      user.phone.pendingNumber = number;
+      await user.save();
+
+      await smsService.sendOtp(number, code, 10);
+
+      res.json({
+        success: true,
+        message: 'Verification code sent by SMS',
+        phone: maskPhone(number)
       });
 
-      // Check if email credentials are configured
-      if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-        console.log('⚠️ Email credentials not configured. Skipping email send.');
-        console.log(`🔧 DEVELOPMENT: OTP for ${email} is: ${otp}`);
+    } catch (error) {
+      if (this.handleOtpCooldown(error, res)) {
         return;
       }
 
-      // Create transporter with Gmail-specific settings
-      const transporter = nodemailer.createTransport({
-        service: 'gmail', // Use Gmail service instead of manual config
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS
-        },
-        // Additional options for Gmail
-        tls: {
-          rejectUnauthorized: false
+      console.error('Phone verification request error:', error);
+      res.status(500).json({
+        error: 'Failed to send verification code',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Confirm the pending phone number with its SMS code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyPhone(req, res) {
+    try {
+      const { otp } = req.body;
+
+      if (!otp) {
+        return res.status(400).json({
+          error: 'OTP is required'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+
+      if (!user.phone.pendingNumber) {
+        return res.status(400).json({
+          error: 'No phone number is awaiting verification'
+        });
+      }
+
+      const result = await otpService.verify(user._id, 'phone_verification', otp);
+
+      if (!result.valid) {
+        return res.status(400).json(otpService.toErrorResponse(result));
+      }
+
+      user.phone.number = user.phone.pendingNumber;
+      user.phone.verifiedAt = new Date();
+      user.phone.pendingNumber = undefined;
+
+      try {
+        await user.save();
+      } catch (saveError) {
+        // Someone else verified the same number first
+        if (saveError.code === 11000) {
+          return res.status(409).json({
+            error: 'This phone number is already in use',
+            code: 'PHONE_IN_USE'
+          });
+        }
+        throw saveError;
+      }
+
+      res.json({
+        success: true,
+        message: 'Phone number verified successfully',
+        phone: {
+          number: user.phone.number,
+          verifiedAt: user.phone.verifiedAt
         }
       });
 
-      // Verify connection
-      await transporter.verify();
-      console.log('✅ Email server connection verified');
-
-      // Email content with better formatting
-      const mailOptions = {
-        from: `"ChatPay Support" <${process.env.EMAIL_USER}>`,
-        to: email,
-        subject: '🔐 Your ChatPay Verification Code',
-        html: `
-          <!DOCTYPE html>
-          <html>
-            <head>
-              <meta charset="utf-8">
-              <meta name="viewport" content="width=device-width, initial-scale=1.0">
-              <title>ChatPay Email Verification</title>
-            </head>
-            <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 0; background-color: #f8fafc;">
-              <div style="max-width: 600px; margin: 0 auto; background-color: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
-                <!-- Header -->
-                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center;">
-                  <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 700;">ChatPay</h1>
-                  <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">Secure Blockchain Payments</p>
-                </div>
-
-                <!-- Content -->
-                <div style="padding: 40px 30px;">
-                  <h2 style="color: #1f2937; margin: 0 0 20px 0; font-size: 24px; text-align: center;">Verify Your Email Address</h2>
-
-                  <p style="color: #6b7280; font-size: 16px; line-height: 1.6; margin-bottom: 30px; text-align: center;">
-                    Welcome to ChatPay! To complete your registration and secure your account, please verify your email address.
-                  </p>
-
-                  <!-- OTP Box -->
-                  <div style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); border-radius: 12px; padding: 30px; text-align: center; margin: 30px 0; box-shadow: 0 4px 15px rgba(245, 87, 108, 0.3);">
-                    <h3 style="color: white; margin: 0 0 15px 0; font-size: 18px; font-weight: 600;">Your Verification Code</h3>
-                    <div style="background: rgba(255,255,255,0.2); border-radius: 8px; padding: 20px; display: inline-block; border: 2px dashed rgba(255,255,255,0.5);">
-                      <span style="font-size: 36px; font-weight: 900; color: white; letter-spacing: 8px; font-family: 'Courier New', monospace;">${otp}</span>
-                    </div>
-                    <p style="color: rgba(255,255,255,0.9); margin: 15px 0 0 0; font-size: 14px;">
-                      This code expires in <strong>10 minutes</strong>
-                    </p>
-                  </div>
-
-                  <!-- Instructions -->
-                  <div style="background-color: #f8fafc; border-radius: 8px; padding: 20px; margin: 30px 0; border-left: 4px solid #667eea;">
-                    <h4 style="color: #1f2937; margin: 0 0 10px 0; font-size: 16px;">How to verify:</h4>
-                    <ol style="color: #6b7280; margin: 0; padding-left: 20px;">
-                      <li>Copy the verification code above</li>
-                      <li>Return to the ChatPay app</li>
-                      <li>Paste the code in the verification field</li>
-                      <li>Click "Verify Email" to complete registration</li>
-                    </ol>
-                  </div>
-
-                  <!-- Warning -->
-                  <div style="background-color: #fef3c7; border: 1px solid #f59e0b; border-radius: 8px; padding: 15px; margin: 20px 0;">
-                    <p style="color: #92400e; margin: 0; font-size: 14px; font-weight: 500;">
-                      ⚠️ <strong>Security Notice:</strong> If you didn't request this verification, please ignore this email. Your account remains secure.
-                    </p>
-                  </div>
-
-                  <!-- Alternative -->
-                  <div style="text-align: center; margin: 30px 0;">
-                    <p style="color: #6b7280; font-size: 14px; margin-bottom: 10px;">
-                      Having trouble? You can also verify using Google OAuth in the app.
-                    </p>
-                    <a href="#" style="color: #667eea; text-decoration: none; font-weight: 600;">Learn more about Google Login →</a>
-                  </div>
-                </div>
-
-                <!-- Footer -->
-                <div style="background-color: #f8fafc; padding: 20px 30px; border-top: 1px solid #e5e7eb;">
-                  <div style="text-align: center;">
-                    <p style="color: #9ca3af; font-size: 12px; margin: 0;">
-                      © 2024 ChatPay. All rights reserved.<br>
-                      This is an automated message. Please do not reply to this email.
-                    </p>
-                  </div>
-                </div>
-              </div>
-            </body>
-          </html>
-        `,
-        // Plain text fallback
-        text: `
-ChatPay - Email Verification
-
-Your verification code is: ${otp}
-
-This code will expire in 10 minutes.
-
-If you didn't request this verification, please ignore this email.
-
-Welcome to ChatPay - Secure Blockchain Payments!
-        `
-      };
+    } catch (error) {
+      console.error('Phone verification error:', error);
+      res.status(500).json({
+        error: 'Phone verification failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove the current user's phone number
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removePhone(req, res) {
+    try {
+      await User.updateOne({ _id: req.user._id }, { $unset: { phone: 1 } });
+      await otpService.invalidate(req.user._id, 'phone_verification');
+
+      res.json({
+        success: true,
+        message: 'Phone number removed'
+      });
+
+    } catch (error) {
+      console.error('Remove phone error:', error);
+      res.status(500).json({
+        error: 'Failed to remove phone number',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the current user's zkLogin salt
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getZkLoginSalt(req, res) {
+    try {
+      const salt = await saltService.getOrCreateSalt(req.user._id);
+
+      res.json({
+        success: true,
+        salt,
+        walletAddress: req.user.walletAddress
+      });
+
+    } catch (error) {
+      console.error('Get zkLogin salt error:', error.message);
+      res.status(500).json({
+        error: 'Failed to get zkLogin salt',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Email a step-up code for re-authenticating before sensitive account changes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestStepUpOtp(req, res) {
+    try {
+      await this.sendOTP(req.user, 'step_up');
+
+      res.json({
+        success: true,
+        message: 'A verification code has been sent to your email'
+      });
 
-      // Send email
-      const info = await transporter.sendMail(mailOptions);
-      console.log('✅ OTP email sent successfully:', info.messageId);
-      console.log('📧 Email sent to:', email);
-      console.log('🔢 OTP:', otp);
+    } catch (error) {
+      if (this.handleOtpCooldown(error, res)) {
+        return;
+      }
+
+      console.error('Step-up OTP request error:', error.message);
+      res.status(500).json({
+        error: 'Failed to send verification code',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List the login providers linked to the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getIdentities(req, res) {
+    try {
+      res.json({
+        success: true,
+        identities: req.user.identities.map(identity => ({
+          provider: identity.provider,
+          email: identity.email,
+          linkedAt: identity.linkedAt,
+          lastUsedAt: identity.lastUsedAt
+        }))
+      });
 
     } catch (error) {
-      console.error('❌ Email sending failed:', error.message);
-      console.error('❌ Full error details:', error);
+      console.error('Get identities error:', error);
+      res.status(500).json({
+        error: 'Failed to get linked identities',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Link a login provider to the current user
+   * Requires re-authentication in `reauth` plus a fresh ID token for the new provider.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async linkIdentity(req, res) {
+    try {
+      const { provider, idToken, nonce, user: providerUser, reauth } = req.body;
+
+      if (!provider || !idToken || !nonce) {
+        return res.status(400).json({
+          error: 'Provider, ID token and nonce are required'
+        });
+      }
+
+      const reauthResult = await reauthService.verify(req.user._id, reauth, req);
+
+      if (reauthResult.block) {
+        return this.respondBlocked(reauthResult.block, res);
+      }
+
+      if (!reauthResult.valid) {
+        return res.status(401).json({
+          error: 'Re-authentication required',
+          code: 'REAUTH_REQUIRED'
+        });
+      }
 
-      // Provide specific error messages
-      if (error.code === 'EAUTH') {
-        console.error('❌ Email authentication failed. Check EMAIL_USER and EMAIL_PASS in .env');
-        console.error('💡 Gmail Tip: Make sure you have "Less secure app access" enabled or use an App Password');
-      } else if (error.code === 'ECONNREFUSED') {
-        console.error('❌ Email server connection refused. Check network connection');
-      } else if (error.code === 'ETIMEDOUT') {
-        console.error('❌ Email server timeout. Check network connection');
+      let payload;
+      try {
+        payload = await zkService.verifyIdToken(idToken, provider, { nonce });
+      } catch (verifyError) {
+        return res.status(401).json({
+          error: 'Invalid ID token',
+          message: verifyError.message
+        });
       }
 
-      // For development, always show the OTP in console
-      console.log(`🔧 DEVELOPMENT MODE: OTP for ${email} is: ${otp}`);
-      console.log('🔧 Copy this OTP and use it in the verification screen');
-      console.log('🔧 The verification process is working - you can use the OTP from console');
+      const user = await User.findById(req.user._id);
+      await zkService.linkIdentity(user, {
+        ...zkService.extractUserInfo(payload, provider, providerUser),
+        provider,
+        zkLoginId: payload.sub
+      });
 
-      // Don't throw error - allow the process to continue for development
+      res.status(201).json({
+        success: true,
+        message: `${provider} linked successfully`
+      });
+
+    } catch (error) {
+      console.error('Link identity error:', error.message);
+      res.status(409).json({
+        error: 'Failed to link identity',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Unlink a login provider from the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unlinkIdentity(req, res) {
+    try {
+      const { provider } = req.params;
+
+      const reauthResult = await reauthService.verify(req.user._id, req.body.reauth, req);
+
+      if (reauthResult.block) {
+        return this.respondBlocked(reauthResult.block, res);
+      }
+
+      if (!reauthResult.valid) {
+        return res.status(401).json({
+          error: 'Re-authentication required',
+          code: 'REAUTH_REQUIRED'
+        });
+      }
+
+      const user = await User.findById(req.user._id).select('+password');
+      await zkService.unlinkIdentity(user, provider.toLowerCase());
+
+      res.json({
+        success: true,
+        message: `${provider} unlinked successfully`
+      });
+
+    } catch (error) {
+      console.error('Unlink identity error:', error.message);
+      res.status(400).json({
+        error: 'Failed to unlink identity',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List the current user's active sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.getActiveSessions(req.user._id);
+
+      res.json({
+        success: true,
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      });
+
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        error: 'Failed to get sessions',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          error: 'Invalid session ID'
+        });
+      }
+
+      const session = await sessionService.revokeSession(id, 'user_revoked', req.user._id);
+
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke session',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Log out every device except the current one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeOtherSessions(req, res) {
+    try {
+      const revokedCount = await sessionService.revokeAllSessions(
+        req.user._id,
+        'user_revoked',
+        req.sessionId
+      );
+
+      res.json({
+        success: true,
+        revokedCount,
+        message: 'Logged out of all other devices'
+      });
+
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      res.status(500).json({
+        error: 'Failed to revoke sessions',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * List the current user's recent sign-ins and failed attempts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLoginEvents(req, res) {
+    try {
+      const { page, limit, success } = req.query;
+      const { events, pagination } = await lockoutService.listEvents(req.user._id, { page, limit, success });
+
+      res.json({
+        success: true,
+        events,
+        pagination
+      });
+
+    } catch (error) {
+      console.error('Get login events error:', error);
+      res.status(500).json({
+        error: 'Failed to get login history',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Verify email with OTP
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyEmail(req, res) {
+    try {
+      const { email, otp } = req.body;
+
+      if (!email || !otp) {
+        return res.status(400).json({
+          error: 'Email and OTP are required'
+        });
+      }
+
+      // Find user by email
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      const block = await lockoutService.checkAttempt(user, req, 'email_verification');
+      if (block) {
+        return this.respondBlocked(block, res);
+      }
+
+      const result = await otpService.verify(user._id, 'email_verification', otp);
+
+      if (!result.valid) {
+        await lockoutService.recordFailure(user, req, 'email_verification', 'invalid_otp');
+        return res.status(400).json(otpService.toErrorResponse(result));
+      }
+
+      // Mark email as verified
+      user.isVerified = true;
+      user.emailVerification.isVerified = true;
+
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        user: {
+          _id: user._id,
+          username: user.username,
+          displayName: user.displayName,
+          email: user.email,
+          isVerified: user.isVerified
+        }
+      });
+
+    } catch (error) {
+      console.error('Email verification error:', error);
+      res.status(500).json({
+        error: 'Email verification failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Resend OTP
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resendOTP(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          error: 'Email is required'
+        });
+      }
+
+      // Find user by email
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      if (user.emailVerification.isVerified) {
+        return res.status(400).json({
+          error: 'Email is already verified'
+        });
+      }
+
+      await this.sendOTP(user, 'email_verification');
+
+      res.json({
+        success: true,
+        message: 'OTP sent successfully'
+      });
+
+    } catch (error) {
+      if (this.handleOtpCooldown(error, res)) {
+        return;
+      }
+
+      console.error('Resend OTP error:', error);
+      res.status(500).json({
+        error: 'Failed to resend OTP',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Request a verification code to set a password on a legacy account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestPasswordSetup(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          error: 'Email is required'
+        });
+      }
+
+      const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+
+      // Only accounts without a password can use this flow. Respond the same
+      // way either way so the endpoint can't be used to probe for accounts.
+      if (user && !user.password) {
+        await this.sendPasswordSetupCode(user);
+      }
+
+      res.json({
+        success: true,
+        message: 'If this account needs a password, a verification code has been sent to its email'
+      });
+
+    } catch (error) {
+      console.error('Password setup request error:', error);
+      res.status(500).json({
+        error: 'Failed to request password setup',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Set a password on a legacy account using an emailed verification code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setupPassword(req, res) {
+    try {
+      const { email, otp, password } = req.body;
+
+      if (!email || !otp || !password) {
+        return res.status(400).json({
+          error: 'Email, OTP and password are required'
+        });
+      }
+
+      const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
+
+      if (!user || user.password) {
+        return res.status(400).json({
+          error: 'Invalid or expired OTP',
+          code: 'INVALID_OTP'
+        });
+      }
+
+      const passwordCheck = validatePasswordStrength(password, {
+        email: user.email,
+        username: user.username
+      });
+
+      if (!passwordCheck.valid) {
+        return res.status(400).json({
+          error: 'Password does not meet requirements',
+          details: passwordCheck.errors
+        });
+      }
+
+      const block = await lockoutService.checkAttempt(user, req, 'password_setup');
+      if (block) {
+        return this.respondBlocked(block, res);
+      }
+
+      // Checked after the password rules so a weak password doesn't burn the code
+      const result = await otpService.verify(user._id, 'password_setup', otp);
+
+      if (!result.valid) {
+        await lockoutService.recordFailure(user, req, 'password_setup', 'invalid_otp');
+        return res.status(400).json(otpService.toErrorResponse(result));
+      }
+
+      await user.setPassword(password);
+
+      // Receiving the code proves ownership of the email address
+      user.isVerified = true;
+      user.emailVerification.isVerified = true;
+
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Password set successfully. You can now log in with your password.'
+      });
+
+    } catch (error) {
+      console.error('Password setup error:', error);
+      res.status(500).json({
+        error: 'Failed to set password',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Email a passwordless sign-in link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async requestMagicLink(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          error: 'Email is required'
+        });
+      }
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      if (user && user.accountStatus === 'active') {
+        try {
+          await this.sendMagicLink(user);
+        } catch (error) {
+          // A cooldown only applies to real accounts, so answering 429 would reveal them
+          if (error.code !== 'OTP_RESEND_COOLDOWN') {
+            throw error;
+          }
+        }
+      }
+
+      // Same response whether or not the account exists
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a sign-in link has been sent'
+      });
+
+    } catch (error) {
+      console.error('Magic link request error:', error);
+      res.status(500).json({
+        error: 'Failed to send sign-in link',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Exchange a magic link token for a session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyMagicLink(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          error: 'Token is required'
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = verifyToken(token);
+      } catch (verifyError) {
+        decoded = null;
+      }
+
+      const user = decoded && decoded.type === 'magic_link'
+        ? await User.findById(decoded.userId)
+        : null;
+
+      const invalidLink = {
+        error: 'Invalid or expired sign-in link',
+        code: 'INVALID_MAGIC_LINK'
+      };
+
+      if (!user || !isTokenVersionCurrent(decoded, user)) {
+        return res.status(401).json(invalidLink);
+      }
+
+      const block = await lockoutService.checkAttempt(user, req, 'magic_link');
+      if (block) {
+        return this.respondBlocked(block, res);
+      }
+
+      const result = await otpService.verify(user._id, 'magic_link', decoded.code);
+
+      if (!result.valid) {
+        await lockoutService.recordFailure(user, req, 'magic_link', 'invalid_link');
+        return res.status(401).json(invalidLink);
+      }
+
+      // Opening the link proves ownership of the email address
+      if (!user.hasVerifiedEmail()) {
+        user.isVerified = true;
+        user.emailVerification.isVerified = true;
+        await user.save();
+      }
+
+      await this.completeLogin(user, req, res, {
+        message: 'Magic link login successful'
+      }, 'magic_link');
+
+    } catch (error) {
+      console.error('Magic link login error:', error);
+      res.status(500).json({
+        error: 'Magic link login failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          error: 'Email is required'
+        });
+      }
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      if (user && user.accountStatus === 'active') {
+        await this.sendPasswordResetLink(user);
+      }
+
+      // Same response whether or not the account exists
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        error: 'Failed to request password reset',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Email a single-use password reset link, replacing any earlier link
+   * @param {Object} user - User document
+   */
+  async sendPasswordResetLink(user) {
+    const resetToken = generateSecureToken();
+
+    user.passwordReset.tokenHash = hashToken(resetToken);
+    user.passwordReset.expiresAt = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+    await user.save();
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
+
+    await emailService.sendToUser(user, 'password_reset', {
+      resetUrl,
+      expiresInMinutes: 30
+    });
+  }
+
+  /**
+   * Handle a "this wasn't me" link from a login alert
+   * Signs every session out and requires a password reset.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reportLogin(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          error: 'Token is required'
+        });
+      }
+
+      const { user, alreadyReported } = await loginAlertService.reportLogin(token, req);
+
+      if (!alreadyReported) {
+        await this.sendPasswordResetLink(user);
+      }
+
+      res.json({
+        success: true,
+        message: 'All sessions on your account have been signed out. Check your email to reset your password.'
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_REPORT_TOKEN') {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Report login error:', error);
+      res.status(500).json({
+        error: 'Failed to report sign-in',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Reset password with an emailed token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      if (!token || !password) {
+        return res.status(400).json({
+          error: 'Token and password are required'
+        });
+      }
+
+      const user = await User.findOne({
+        'passwordReset.tokenHash': hashToken(token),
+        'passwordReset.expiresAt': { $gt: new Date() }
+      });
+
+      if (!user) {
+        return res.status(400).json({
+          error: 'Invalid or expired reset token'
+        });
+      }
+
+      const passwordCheck = validatePasswordStrength(password, {
+        email: user.email,
+        username: user.username
+      });
+
+      if (!passwordCheck.valid) {
+        return res.status(400).json({
+          error: 'Password does not meet requirements',
+          details: passwordCheck.errors
+        });
+      }
+
+      await user.setPassword(password);
+
+      // Tokens are single-use
+      user.passwordReset.tokenHash = undefined;
+      user.passwordReset.expiresAt = undefined;
+      user.passwordReset.required = false;
+
+      // The reset link proves ownership of the email address
+      user.isVerified = true;
+      user.emailVerification.isVerified = true;
+
+      // Kill every session issued with the old password
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+      user.isOnline = false;
+
+      await user.save();
+      await sessionService.revokeAllSessions(user._id, 'password_reset');
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        error: 'Failed to reset password',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Issue a purpose-scoped OTP and email it to the user
+   * @param {Object} user - User document
+   * @param {string} purpose - OTP purpose
+   */
+  async sendOTP(user, purpose) {
+    const { code } = await otpService.issue(user._id, purpose);
+    await emailService.sendToUser(user, 'otp', {
+      code,
+      purpose,
+      expiresInMinutes: 10
+    });
+  }
+
+  /**
+   * Email a password setup code to an account that has no password
+   * Best effort: a code sent within the resend cooldown is not repeated.
+   * @param {Object} user - User document
+   */
+  async sendPasswordSetupCode(user) {
+    try {
+      await this.sendOTP(user, 'password_setup');
+    } catch (error) {
+      if (error.code !== 'OTP_RESEND_COOLDOWN') {
+        console.error('Password setup code error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Email a single-use sign-in link
+   * The link carries a signed token wrapping a magic_link OTP, so it gets the
+   * OTP expiry, resend cooldown, attempt limit and single use.
+   * @param {Object} user - User document
+   */
+  async sendMagicLink(user) {
+    const { code } = await otpService.issue(user._id, 'magic_link');
+
+    const token = generateToken({
+      type: 'magic_link',
+      userId: user._id.toString(),
+      code,
+      tokenVersion: user.tokenVersion || 0
+    }, '10m');
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    await emailService.sendToUser(user, 'magic_link', {
+      loginUrl: `${frontendUrl}/auth/magic-link?token=${token}`,
+      expiresInMinutes: 10
+    });
+  }
+
+  /**
+   * Answer an OTP resend cooldown error
+   * @param {Error} error - Error thrown by otpService.issue()
+   * @param {Object} res - Express response object
+   * @returns {boolean} True if the error was a cooldown and a response was sent
+   */
+  handleOtpCooldown(error, res) {
+    if (error.code !== 'OTP_RESEND_COOLDOWN') {
+      return false;
+    }
+
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(429).json({
+      error: error.message,
+      code: error.code,
+      retryAfter: error.retryAfter
+    });
+    return true;
+  }
+
+  /**
+   * Answer a credential attempt on a locked or throttled account
+   * @param {Object} block - Result from lockoutService.checkAttempt()
+   * @param {Object} res - Express response object
+   */
+  respondBlocked(block, res) {
+    res.set('Retry-After', String(block.retryAfter));
+    res.status(429).json(lockoutService.toErrorResponse(block));
+  }
+
+  /**
+   * Generate OTP for testing (development mode only)
+   * Issues a real code for an existing user and returns it instead of emailing it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async generateTestOTP(req, res) {
+    try {
+      const { email, purpose = 'email_verification' } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          error: 'Email is required'
+        });
+      }
+
+      if (!otpService.isValidPurpose(purpose)) {
+        return res.status(400).json({
+          error: 'Invalid OTP purpose'
+        });
+      }
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      const { code, expiresAt } = await otpService.issue(user._id, purpose);
+
+      res.json({
+        success: true,
+        message: 'OTP generated successfully',
+        otp: code,
+        email: user.email,
+        purpose,
+        expiresAt,
+        note: 'Use this OTP to test the verification endpoint'
+      });
+
+    } catch (error) {
+      if (this.handleOtpCooldown(error, res)) {
+        return;
+      }
+
+      console.error('❌ OTP generation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate OTP',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Test email configuration (development mode only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async testEmail(req, res) {
+    try {
+      const testOTP = '123456';
+      const testEmail = req.body.email || 'test@example.com';
+
+      console.log(`🧪 Testing email configuration...`);
+
+      const result = await emailService.send('otp', testEmail, {
+        code: testOTP,
+        purpose: 'email_verification',
+        expiresInMinutes: 10
+      }, { locale: req.body.locale });
+
+      res.json({
+        success: true,
+        message: 'Email test completed. Check console for details.',
+        transport: emailService.getTransport().name,
+        result,
+        testOTP: testOTP
+      });
+
+    } catch (error) {
+      console.error('❌ Email test failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Email test failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Google OAuth login
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async googleLogin(req, res) {
+    try {
+      // Extract data from zkProof object (as sent by frontend)
+      const {
+        idToken, credential, jwt: zkJwt, nonce, ephemeralPublicKey, maxEpoch, randomness
+      } = req.body.zkProof || req.body;
+      const googleIdToken = idToken || credential || zkJwt;
+
+      if (!googleIdToken || !(nonce || randomness)) {
+        return res.status(400).json({
+          error: 'Google ID token and nonce are required for Google login'
+        });
+      }
+
+      // Identity comes only from the verified ID token, never from client-posted fields
+      let payload;
+      try {
+        payload = await zkService.verifyIdToken(googleIdToken, 'google', {
+          nonce, ephemeralPublicKey, maxEpoch, randomness
+        });
+      } catch (verifyError) {
+        console.log('❌ Google ID token verification failed:', verifyError.message);
+        return res.status(401).json({
+          error: 'Invalid Google ID token',
+          message: verifyError.message
+        });
+      }
+
+      if (!payload.email) {
+        return res.status(400).json({
+          error: 'Google account has no email address'
+        });
+      }
+
+      console.log('🔐 Processing Google OAuth for:', payload.email);
+
+      // Find or create user through the linked-identity rules shared with zkLogin
+      let user;
+      try {
+        user = await zkService.createOrUpdateUser({
+          ...zkService.extractUserInfo(payload, 'google'),
+          provider: 'google',
+          zkLoginId: payload.sub
+        });
+      } catch (linkError) {
+        if (linkError.code === 'ACCOUNT_LINK_REQUIRED') {
+          return res.status(409).json({
+            error: 'Account link required',
+            code: linkError.code,
+            message: linkError.message
+          });
+        }
+        throw linkError;
+      }
+
+      await this.completeLogin(user, req, res, {
+        message: 'Google login successful'
+      }, 'google');
+
+    } catch (error) {
+      console.error('Google login error:', error);
+      res.status(500).json({
+        error: 'Google login failed',
+        message: error.message
+      });
     }
   }
 }
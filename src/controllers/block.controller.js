@@ -0,0 +1,96 @@
+const blockService = require('../services/block.service');
+
+// HTTP status for each block service error code
+const ERROR_STATUS = {
+  SELF_BLOCK: 400,
+  USER_NOT_FOUND: 404,
+  NOT_BLOCKED: 404
+};
+
+/**
+ * Send a block service error, or a 500 for anything unexpected
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error
+ * @param {string} fallback - Error message for unexpected errors
+ */
+const respondWithError = (res, error, fallback) => {
+  const status = ERROR_STATUS[error.code];
+
+  if (status) {
+    return res.status(status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+/**
+ * Block Controller
+ * Block list management for the signed-in user
+ */
+class BlockController {
+  /**
+   * List blocked users
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getBlockedUsers(req, res) {
+    try {
+      const users = await blockService.list(req.user._id);
+
+      res.json({
+        success: true,
+        users
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to get blocked users');
+    }
+  }
+
+  /**
+   * Block a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async blockUser(req, res) {
+    try {
+      await blockService.block(req.user, req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'User blocked'
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to block user');
+    }
+  }
+
+  /**
+   * Unblock a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unblockUser(req, res) {
+    try {
+      await blockService.unblock(req.user, req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'User unblocked'
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to unblock user');
+    }
+  }
+}
+
+module.exports = new BlockController();
@@ -0,0 +1,205 @@
+const friendService = require('../services/friend.service');
+const presenceService = require('../services/presence.service');
+
+// HTTP status for each friend service error code
+const ERROR_STATUS = {
+  SELF_REQUEST: 400,
+  USER_BLOCKED: 403,
+  USER_NOT_FOUND: 404,
+  REQUEST_NOT_FOUND: 404,
+  NOT_FRIENDS: 404,
+  ALREADY_FRIENDS: 409,
+  DUPLICATE_REQUEST: 409
+};
+
+/**
+ * Send a friend service error, or a 500 for anything unexpected
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error
+ * @param {string} fallback - Error message for unexpected errors
+ */
+const respondWithError = (res, error, fallback) => {
+  const status = ERROR_STATUS[error.code];
+
+  if (status) {
+    return res.status(status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+/**
+ * Friend Controller
+ * Friend requests and friendships for the signed-in user
+ */
+class FriendController {
+  /**
+   * List the current user's friends
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFriends(req, res) {
+    try {
+      const friends = await req.user.getFriendsList();
+
+      res.json({
+        success: true,
+        friends: friends.map(friend => ({
+          _id: friend._id,
+          username: friend.username,
+          displayName: friend.displayName,
+          profilePicture: friend.profilePicture,
+          ...presenceService.getVisibleStatus(friend)
+        }))
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to get friends');
+    }
+  }
+
+  /**
+   * List pending friend requests sent to the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getIncomingRequests(req, res) {
+    try {
+      const requests = await friendService.listIncoming(req.user._id);
+
+      res.json({
+        success: true,
+        requests
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to get friend requests');
+    }
+  }
+
+  /**
+   * List pending friend requests the current user has sent
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOutgoingRequests(req, res) {
+    try {
+      const requests = await friendService.listOutgoing(req.user._id);
+
+      res.json({
+        success: true,
+        requests
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to get friend requests');
+    }
+  }
+
+  /**
+   * Send a friend request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async sendRequest(req, res) {
+    try {
+      const { status, user } = await friendService.sendRequest(req.user, req.params.userId);
+
+      res.status(status === 'pending' ? 201 : 200).json({
+        success: true,
+        status,
+        user,
+        message: status === 'pending' ? 'Friend request sent' : 'Friend request accepted'
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to send friend request');
+    }
+  }
+
+  /**
+   * Accept a friend request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async acceptRequest(req, res) {
+    try {
+      const user = await friendService.respond(req.user, req.params.userId, true);
+
+      res.json({
+        success: true,
+        user,
+        message: 'Friend request accepted'
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to accept friend request');
+    }
+  }
+
+  /**
+   * Decline a friend request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async declineRequest(req, res) {
+    try {
+      await friendService.respond(req.user, req.params.userId, false);
+
+      res.json({
+        success: true,
+        message: 'Friend request declined'
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to decline friend request');
+    }
+  }
+
+  /**
+   * Cancel a friend request the current user sent
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async cancelRequest(req, res) {
+    try {
+      await friendService.cancelRequest(req.user, req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'Friend request cancelled'
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to cancel friend request');
+    }
+  }
+
+  /**
+   * Remove a friend
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unfriend(req, res) {
+    try {
+      await friendService.unfriend(req.user, req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'Friend removed'
+      });
+
+    } catch (error) {
+      respondWithError(res, error, 'Failed to remove friend');
+    }
+  }
+}
+
+module.exports = new FriendController();
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const notificationService = require('../services/notification.service');
+
+/**
+ * Notification Controller
+ * In-app notifications for the signed-in user
+ */
+class NotificationController {
+  /**
+   * List the current user's notifications
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getNotifications(req, res) {
+    try {
+      const { page, limit, unread } = req.query;
+      const result = await notificationService.list(req.user._id, { page, limit, unread });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({
+        error: 'Failed to get notifications',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark one notification as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markRead(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          error: 'Invalid notification ID'
+        });
+      }
+
+      const updated = await notificationService.markRead(req.user._id, id);
+
+      res.json({
+        success: true,
+        updated
+      });
+
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      res.status(500).json({
+        error: 'Failed to update notification',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark every notification as read
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async markAllRead(req, res) {
+    try {
+      const updated = await notificationService.markRead(req.user._id);
+
+      res.json({
+        success: true,
+        updated
+      });
+
+    } catch (error) {
+      console.error('Mark notifications read error:', error);
+      res.status(500).json({
+        error: 'Failed to update notifications',
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new NotificationController();
@@ -1,6 +1,8 @@
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const paymentService = require('../services/payment.service');
+const blockService = require('../services/block.service');
+const { normalizePhone } = require('../utils/phone.utils');
 
 /**
  * Payment Controller
@@ -13,17 +15,43 @@ class PaymentController {
    */
   async initializePayment(req, res) {
     try {
-      const { recipientId, amount, currency = 'NGN', description } = req.body;
+      const { recipientPhone, amount, currency = 'NGN', description } = req.body;
+      let { recipientId } = req.body;
       const userId = req.user._id;
 
       // Validation
-      if (!recipientId || !amount) {
+      if ((!recipientId && !recipientPhone) || !amount) {
         return res.status(400).json({
           success: false,
-          error: 'Recipient ID and amount are required'
+          error: 'Recipient ID or phone number and amount are required'
         });
       }
 
+      // Resolve the recipient by verified phone number
+      if (!recipientId) {
+        const phone = normalizePhone(recipientPhone);
+
+        if (!phone) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid phone number',
+            code: 'INVALID_PHONE'
+          });
+        }
+
+        const recipient = await User.findByVerifiedPhone(phone);
+
+        if (!recipient) {
+          return res.status(404).json({
+            success: false,
+            error: 'No user found with this phone number',
+            code: 'RECIPIENT_NOT_FOUND'
+          });
+        }
+
+        recipientId = recipient._id;
+      }
+
       if (amount < 100) {
         return res.status(400).json({
           success: false,
@@ -39,6 +67,14 @@ class PaymentController {
         });
       }
 
+      if (await blockService.isBlockedBetween(userId, recipientId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You cannot send payments to this user',
+          code: 'USER_BLOCKED'
+        });
+      }
+
       // Initialize payment
       const result = await paymentService.initializePayment(
         userId,
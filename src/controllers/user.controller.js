@@ -1,45 +1,58 @@
-const User = require('../models/User');
+const profileService = require('../services/profile.service');
+const searchService = require('../services/search.service');
+
+// HTTP status for each profile and search service error code
+const ERROR_STATUS = {
+    INVALID_QUERY: 400,
+    INVALID_CURSOR: 400,
+    VALIDATION_FAILED: 400,
+    FORBIDDEN: 403,
+    USER_NOT_FOUND: 404
+};
+
+/**
+ * Send a profile or search service error, or a 500 for anything unexpected
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error
+ * @param {string} fallback - Error message for unexpected errors
+ */
+const respondWithError = (res, error, fallback) => {
+    const status = ERROR_STATUS[error.code];
+
+    if (status) {
+        return res.status(status).json({
+            error: error.message,
+            code: error.code,
+            ...(error.details && { details: error.details })
+        });
+    }
+
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        error: fallback,
+        message: error.message
+    });
+};
 
 class UserController {
     /**
-     * Search users by username, email, or displayName
+     * Search users by username or display name prefix, or exact email or phone
+     * Friends and recent chat partners are ranked first; pages use a cursor.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      */
     async searchUsers(req, res) {
         try {
-            const { q } = req.query;
+            const { q, limit, cursor } = req.query;
 
-            if (!q || q.length < 2) {
-                return res.status(400).json({
-                    error: 'Search query must be at least 2 characters'
-                });
-            }
-
-            // Exclude current user from results
-            const currentUserId = req.user._id;
-
-            const users = await User.find({
-                _id: { $ne: currentUserId },
-                $or: [
-                    { username: new RegExp(q, 'i') },
-                    { displayName: new RegExp(q, 'i') },
-                    { email: new RegExp(q, 'i') }
-                ]
-            })
-                .select('username displayName profilePicture isOnline')
-                .limit(20);
+            const result = await searchService.search(req.user, q, { limit, cursor });
 
             res.json({
                 success: true,
-                users
+                ...result
             });
         } catch (error) {
-            console.error('Search users error:', error);
-            res.status(500).json({
-                error: 'Search failed',
-                message: error.message
-            });
+            respondWithError(res, error, 'Search failed');
         }
     }
 
@@ -50,27 +63,50 @@ class UserController {
      */
     async getUserByUsername(req, res) {
         try {
-            const { username } = req.params;
+            const user = await profileService.getProfileByUsername(req.user, req.params.username);
 
-            const user = await User.findOne({ username: new RegExp(`^${username}$`, 'i') })
-                .select('username displayName profilePicture bio isOnline createdAt');
+            res.json({
+                success: true,
+                user
+            });
+        } catch (error) {
+            respondWithError(res, error, 'Failed to fetch user');
+        }
+    }
 
-            if (!user) {
-                return res.status(404).json({
-                    error: 'User not found'
-                });
-            }
+    /**
+     * Get a user's profile as the current user is allowed to see it
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getUserById(req, res) {
+        try {
+            const user = await profileService.getProfile(req.user, req.params.id);
 
             res.json({
                 success: true,
                 user
             });
         } catch (error) {
-            console.error('Get user by username error:', error);
-            res.status(500).json({
-                error: 'Failed to fetch user',
-                message: error.message
+            respondWithError(res, error, 'Failed to fetch user');
+        }
+    }
+
+    /**
+     * Update a user's profile (owner or admin only)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async updateUser(req, res) {
+        try {
+            const user = await profileService.updateProfile(req.user, req.params.id, req.body, req);
+
+            res.json({
+                success: true,
+                user
             });
+        } catch (error) {
+            respondWithError(res, error, 'Failed to update user');
         }
     }
 }
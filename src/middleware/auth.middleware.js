@@ -1,5 +1,10 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/session.service');
+const mfaService = require('../services/mfa.service');
+const pinService = require('../services/pin.service');
+const zkService = require('../services/zk.service');
+const { verifyAccessToken, isTokenVersionCurrent } = require('../utils/jwt.utils');
+const { isDevModeEnabled } = require('../../config/dev.mode');
 
 /**
  * Authentication Middleware
@@ -24,7 +29,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyAccessToken(token);
 
     // Get user from database
     const user = await User.findById(decoded.userId)
@@ -36,15 +41,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Reject tokens issued before a password reset or for a revoked session
+    if (!isTokenVersionCurrent(decoded, user) ||
+        !(await sessionService.isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({
+        error: 'Token has been revoked'
+      });
+    }
+
     // Check if user is active
     if (user.accountStatus !== 'active') {
       return res.status(403).json({
-        error: 'Account is not active'
+        error: 'Account is not active',
+        code: user.accountStatus === 'suspended' ? 'ACCOUNT_SUSPENDED' : 'ACCOUNT_INACTIVE'
       });
     }
 
-    // Attach user to request
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = decoded.sessionId;
 
     // Update last active time (throttled to avoid too many DB writes)
     const now = new Date();
@@ -54,7 +69,6 @@ const authenticateToken = async (req, res, next) => {
     // Only update if more than 5 minutes have passed
     if (timeDiff > 5 * 60 * 1000) {
       user.lastActive = now;
-      user.isOnline = true;
       await user.save();
     }
 
@@ -94,11 +108,13 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+      const decoded = verifyAccessToken(token);
       const user = await User.findById(decoded.userId);
 
-      if (user && user.accountStatus === 'active') {
+      if (user && user.accountStatus === 'active' && isTokenVersionCurrent(decoded, user) &&
+          await sessionService.isSessionActive(decoded.sessionId)) {
         req.user = user;
+        req.sessionId = decoded.sessionId;
       }
     }
 
@@ -117,21 +133,62 @@ const optionalAuth = async (req, res, next) => {
  * @param {Function} next - Express next function
  */
 const requireAdmin = (req, res, next) => {
-  // In a real app, you might have roles in the user model
-  // For now, this is a placeholder
   if (!req.user) {
     return res.status(401).json({
       error: 'Authentication required'
     });
   }
 
-  // Check if user has admin privileges
-  // This would be based on your user model/role system
-  const isAdmin = req.user.role === 'admin' || req.user.isAdmin;
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Admin access required',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  next();
+};
 
-  if (!isAdmin) {
+/**
+ * Permission middleware factory
+ * Usage: requirePermission('payments:refund'). With several permissions, all are required.
+ * @param {...string} permissions - Required permissions (see config/roles.js)
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'You do not have permission to perform this action',
+        code: 'FORBIDDEN',
+        required: missing
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Verified email middleware
+ * Unverified accounts can log in and chat, but not move money.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.hasVerifiedEmail()) {
     return res.status(403).json({
-      error: 'Admin access required'
+      error: 'Verify your email address to continue',
+      code: 'EMAIL_NOT_VERIFIED'
     });
   }
 
@@ -139,41 +196,103 @@ const requireAdmin = (req, res, next) => {
 };
 
 /**
- * Rate limiting helper for auth endpoints
- * @param {number} maxRequests - Maximum requests per window
- * @param {number} windowMs - Time window in milliseconds
- * @returns {Function} Rate limiting middleware
+ * Step-up authorization for money-moving routes
+ * Requires the transaction PIN (X-Transaction-PIN header or body.pin), or a
+ * fresh TOTP code (X-TOTP-Code header or body.totpCode) for 2FA users, on
+ * every request. Must run after authenticateToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-const createRateLimit = (maxRequests = 5, windowMs = 15 * 60 * 1000) => {
-  const requests = new Map();
+const requireStepUp = async (req, res, next) => {
+  try {
+    const pin = req.headers['x-transaction-pin'] || (req.body && req.body.pin);
+    const totpCode = req.headers['x-totp-code'] || (req.body && req.body.totpCode);
 
-  return (req, res, next) => {
-    const key = req.ip;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-
-    // Clean old entries
-    for (const [ip, timestamps] of requests.entries()) {
-      requests.set(ip, timestamps.filter(timestamp => timestamp > windowStart));
-      if (requests.get(ip).length === 0) {
-        requests.delete(ip);
+    if (totpCode && req.user.twoFactor && req.user.twoFactor.enabled) {
+      const result = await pinService.verifyStepUpCode(req.user._id, async () => {
+        const user = await mfaService.getUserWithSecrets(req.user._id);
+        return mfaService.verifySecondFactor(user, { code: String(totpCode) });
+      });
+
+      if (result.valid) {
+        return next();
+      }
+
+      if (result.locked) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(423).json({
+          error: 'Too many incorrect attempts. Try again later.',
+          code: 'STEP_UP_LOCKED',
+          retryAfter: result.retryAfter
+        });
       }
+
+      return res.status(401).json({
+        error: 'Invalid verification code',
+        code: 'INVALID_TOTP',
+        attemptsRemaining: result.attemptsRemaining
+      });
     }
 
-    // Check current requests
-    const userRequests = requests.get(key) || [];
-    if (userRequests.length >= maxRequests) {
-      return res.status(429).json({
-        error: 'Too many requests. Please try again later.'
+    if (!pin) {
+      return res.status(403).json({
+        error: 'Transaction PIN is required for this action',
+        code: 'STEP_UP_REQUIRED'
       });
     }
 
-    // Add current request
-    userRequests.push(now);
-    requests.set(key, userRequests);
+    const result = await pinService.verifyPin(req.user, String(pin));
 
-    next();
-  };
+    if (result.valid) {
+      return next();
+    }
+
+    if (result.notSet) {
+      return res.status(403).json({
+        error: 'Set a transaction PIN before making payments',
+        code: 'PIN_NOT_SET'
+      });
+    }
+
+    if (result.locked) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(423).json({
+        error: 'Too many incorrect PIN attempts. Try again later.',
+        code: 'PIN_LOCKED',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    return res.status(401).json({
+      error: 'Incorrect transaction PIN',
+      code: 'INVALID_PIN',
+      attemptsRemaining: result.attemptsRemaining
+    });
+
+  } catch (error) {
+    console.error('Step-up authorization error:', error);
+    res.status(500).json({
+      error: 'Authorization failed'
+    });
+  }
+};
+
+/**
+ * Only allow development helper routes when development mode is enabled
+ * Responds 404 otherwise so the routes are indistinguishable from missing ones.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireDevMode = (req, res, next) => {
+  if (!isDevModeEnabled()) {
+    return res.status(404).json({
+      error: 'Route not found'
+    });
+  }
+
+  next();
 };
 
 /**
@@ -192,13 +311,14 @@ const validateZKProof = (req, res, next) => {
     });
   }
 
-  if (!zkProof.jwt || !zkProof.provider) {
+  if (!zkProof.jwt || !zkProof.provider || !zkProof.ephemeralPublicKey ||
+      zkProof.maxEpoch === undefined || !zkProof.randomness) {
     return res.status(400).json({
-      error: 'Invalid ZK proof format. Must include jwt and provider.'
+      error: 'Invalid ZK proof format. Must include jwt, provider, ephemeralPublicKey, maxEpoch and randomness.'
     });
   }
 
-  const validProviders = ['google'];
+  const validProviders = zkService.getSupportedProviders();
   if (!validProviders.includes(zkProof.provider)) {
     return res.status(400).json({
       error: `Invalid provider. Supported: ${validProviders.join(', ')}`
@@ -215,14 +335,17 @@ const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Id', 'X-Device-Name']
 };
 
 module.exports = {
   authenticateToken,
   optionalAuth,
   requireAdmin,
-  createRateLimit,
+  requirePermission,
+  requireVerifiedEmail,
+  requireStepUp,
+  requireDevMode,
   validateZKProof,
   corsOptions
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+const rateLimitService = require('../services/ratelimit.service');
+
+/**
+ * Rate Limit Middleware
+ * Applies named policies from config/rate.limits.js to routes and Socket.io events
+ */
+
+/**
+ * Set the standard RateLimit-* response headers
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result from rateLimitService.consume()
+ */
+const setRateLimitHeaders = (res, result) => {
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.reset),
+    'RateLimit-Policy': `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`
+  });
+};
+
+/**
+ * Read the account identifier a policy is keyed by
+ * Anything but a string (an array or object from a JSON body) is ignored, so
+ * the policy falls back to the client IP.
+ * @param {Object} policy - Rate limit policy
+ * @param {Object} req - Express request object
+ * @returns {string|null} Account identifier
+ */
+const getAccount = (policy, req) => {
+  const value = policy.accountField && req.body ? req.body[policy.accountField] : null;
+  return typeof value === 'string' ? value : null;
+};
+
+/**
+ * Rate limit middleware factory
+ * Usage: rateLimit('payments'). Place after authenticateToken for user-keyed policies.
+ * If the store is unavailable, requests are let through rather than failing.
+ * @param {string} policyName - Policy name
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (policyName) => {
+  const policy = rateLimitService.getPolicy(policyName);
+
+  return async (req, res, next) => {
+    let result;
+
+    try {
+      result = await rateLimitService.consume(policyName, {
+        ip: req.ip,
+        userId: req.user ? req.user._id.toString() : null,
+        account: getAccount(policy, req)
+      });
+    } catch (error) {
+      console.error(`Rate limit store error (${policyName}):`, error.message);
+      return next();
+    }
+
+    setRateLimitHeaders(res, result);
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests. Please try again later.',
+        code: 'RATE_LIMITED',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Register a rate-limited Socket.io event handler
+ * Uses the "socket:<event>" policy. A limited event is dropped and the client
+ * receives a 'rate-limited' event instead.
+ * @param {Object} socket - Socket.io socket (with socket.userId set)
+ * @param {string} event - Event name
+ * @param {Function} handler - Event handler
+ */
+const onRateLimited = (socket, event, handler) => {
+  const policyName = `socket:${event}`;
+  rateLimitService.getPolicy(policyName);
+
+  socket.on(event, async (...args) => {
+    try {
+      const result = await rateLimitService.consume(policyName, {
+        ip: socket.handshake.address,
+        userId: socket.userId
+      });
+
+      if (!result.allowed) {
+        socket.emit('rate-limited', { event, retryAfter: result.retryAfter });
+        return;
+      }
+    } catch (error) {
+      console.error(`Rate limit store error (${policyName}):`, error.message);
+    }
+
+    handler(...args);
+  });
+};
+
+module.exports = {
+  rateLimit,
+  onRateLimited,
+  setRateLimitHeaders
+};
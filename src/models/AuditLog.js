@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * An append-only record of a privileged action (role changes, moderation).
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action; empty for the CLI and system jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  actorType: {
+    type: String,
+    enum: ['user', 'cli', 'system'],
+    default: 'user'
+  },
+
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // What the action was performed on
+  targetType: {
+    type: String,
+    enum: ['User', 'Transaction', 'Session', 'Chat'],
+    default: 'User'
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Action-specific details, e.g. { from: 'user', to: 'support' }
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  ipAddress: String,
+
+  userAgent: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
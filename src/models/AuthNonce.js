@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * A single-use nonce issued by the server for an OAuth/zkLogin sign-in.
+ * Only the hash is stored; the document is deleted when the nonce is used.
+ */
+const authNonceSchema = new mongoose.Schema({
+  valueHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Unused nonces are cleaned up by MongoDB
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
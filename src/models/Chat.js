@@ -152,7 +152,7 @@ chatSchema.statics.findUserChats = function(userId, options = {}) {
     participants: userId,
     status: status
   })
-  .populate('participants', 'username displayName profilePicture isOnline')
+  .populate('participants', 'username displayName profilePicture isOnline preferences.privacy.showOnlineStatus')
   .populate('lastMessage')
   .sort({ lastActivity: -1 })
   .limit(limit)
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const LOGIN_METHODS = [
+  'password',
+  'zklogin',
+  'google',
+  'magic_link',
+  'totp',
+  'recovery_code',
+  'email_verification',
+  'password_setup',
+  'pin_reset',
+  'step_up'
+];
+
+/**
+ * A sign-in or credential check against an account, successful or not.
+ * Shown to the account owner so they can spot attempts that weren't theirs.
+ */
+const loginEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  method: {
+    type: String,
+    enum: LOGIN_METHODS,
+    required: true
+  },
+
+  success: {
+    type: Boolean,
+    required: true
+  },
+
+  // Why a failed attempt was rejected, e.g. invalid_credentials or locked
+  reason: {
+    type: String,
+    trim: true
+  },
+
+  ipAddress: String,
+
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Used to tell known devices and networks from new ones (see loginalert.service.js)
+  deviceFingerprint: String,
+
+  ipRange: String,
+
+  location: {
+    country: String,
+    city: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ userId: 1, success: 1, deviceFingerprint: 1 });
+loginEventSchema.index({ userId: 1, success: 1, ipRange: 1 });
+// Events are kept for 90 days
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+loginEventSchema.statics.METHODS = LOGIN_METHODS;
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['login_alert'];
+
+/**
+ * An in-app notification shown in the user's notification list.
+ * New notifications are also pushed live over Socket.io.
+ */
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Type-specific details, e.g. { sessionId, device, ipAddress } for login alerts.
+  // Never store tokens here: notifications are returned by the API as-is
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  readAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+// Notifications are kept for 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const OTP_PURPOSES = ['email_verification', 'password_setup', 'pin_reset', 'step_up', 'magic_link', 'phone_verification'];
+
+/**
+ * A one-time code sent to a user for a single purpose.
+ * Only the hash of the code is stored. There is at most one live code per
+ * user and purpose; issuing a new one replaces the old one.
+ */
+const otpSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: true
+  },
+
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Wrong guesses against this code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One live code per user and purpose
+otpSchema.index({ userId: 1, purpose: 1 }, { unique: true });
+// Expired codes are cleaned up by MongoDB
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+otpSchema.statics.PURPOSES = OTP_PURPOSES;
+
+module.exports = mongoose.model('Otp', otpSchema);
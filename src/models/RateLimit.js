@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * A rate limit counter for one key and window.
+ * Shared by every app instance; MongoDB removes counters once their window ends.
+ */
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Expired windows are cleaned up by MongoDB
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * A login session (one per device sign-in).
+ * Each session is a refresh-token family: rotating the refresh token keeps the
+ * same session, and presenting an already-rotated token revokes the session.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Hash of the only refresh token id (jti) currently allowed for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Client information
+  device: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  ipAddress: String,
+
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+
+  // Hash of the client's device ID, or of its user agent if it sent none
+  deviceFingerprint: String,
+
+  // Network the session was opened from, e.g. 203.0.113.0/24
+  ipRange: String,
+
+  location: {
+    country: String,
+    city: String
+  },
+
+  // Lifecycle
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'refresh_token_reuse', 'password_reset', 'user_revoked', 'admin', 'reported_suspicious']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are cleaned up by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for session state
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance methods
+sessionSchema.methods.revoke = function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Static methods
+sessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+sessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null) {
+  const query = {
+    userId,
+    revokedAt: { $exists: false }
+  };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -44,10 +44,20 @@ const transactionSchema = new mongoose.Schema({
   // Transaction status
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'frozen'],
     default: 'pending'
   },
 
+  // Set while an admin hold (e.g. sender suspension) blocks the transaction
+  freeze: {
+    frozenAt: Date,
+    reason: String,
+    frozenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
   // Blockchain details
   suiTxHash: {
     type: String,
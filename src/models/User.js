@@ -1,13 +1,42 @@
 const mongoose = require('mongoose');
+const { hashPassword, comparePassword } = require('../utils/password.utils');
+const { ROLES, roleHasPermission } = require('../../config/roles');
 
 const userSchema = new mongoose.Schema({
   // ZK Login fields
+  // Legacy Google subject; new logins are tracked in `identities`
   zkLoginId: {
     type: String,
     unique: true,
     sparse: true // Allows null values but ensures uniqueness when present
   },
 
+  // External login providers linked to this account
+  identities: [{
+    provider: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date
+    }
+  }],
+
   // Basic user information
   username: {
     type: String,
@@ -18,15 +47,117 @@ const userSchema = new mongoose.Schema({
     maxlength: 30
   },
 
+  // Optional only for accounts created through a provider that shares no
+  // email (such as X); password accounts always have one
   email: {
     type: String,
-    required: true,
-    unique: true,
+    required: function () {
+      return !this.identities || this.identities.length === 0;
+    },
     trim: true,
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
 
+  // Phone number (E.164). Only a verified number is stored in `number`; a
+  // number awaiting its SMS code waits in `pendingNumber`.
+  phone: {
+    number: {
+      type: String,
+      match: [/^\+[1-9]\d{7,14}$/, 'Please enter a phone number in E.164 format']
+    },
+    verifiedAt: Date,
+    pendingNumber: {
+      type: String,
+      match: [/^\+[1-9]\d{7,14}$/, 'Please enter a phone number in E.164 format']
+    }
+  },
+
+  // Password authentication (never returned unless explicitly selected)
+  password: {
+    type: String,
+    select: false
+  },
+
+  passwordChangedAt: {
+    type: Date
+  },
+
+  // Password reset (only a hash of the emailed token is stored)
+  passwordReset: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: {
+      type: Date
+    },
+    // Set when the owner reports a sign-in that wasn't theirs; blocks password login until reset
+    required: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Incremented to invalidate every JWT issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
+  // Two-factor authentication (TOTP secrets are stored encrypted)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+
+  // Transaction PIN for step-up authorization of money movement
+  transactionPin: {
+    hash: {
+      type: String,
+      select: false
+    },
+    setAt: {
+      type: Date
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    // Number of lockouts so far; each one doubles the next lockout
+    lockoutCount: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date
+    }
+  },
+
   // Wallet information
   walletAddress: {
     type: String,
@@ -34,6 +165,12 @@ const userSchema = new mongoose.Schema({
     match: [/^0x[a-fA-F0-9]{64}$/, 'Please enter a valid Sui wallet address']
   },
 
+  // zkLogin salt (encrypted); combined with the provider JWT it yields walletAddress
+  zkLoginSalt: {
+    type: String,
+    select: false
+  },
+
   // Account balance (in NGN)
   balance: {
     type: Number,
@@ -82,6 +219,12 @@ const userSchema = new mongoose.Schema({
     }
   }],
 
+  // Users this user has blocked (see block.service.js)
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
   // Activity tracking
   lastActive: {
     type: Date,
@@ -99,27 +242,46 @@ const userSchema = new mongoose.Schema({
     default: false
   },
 
-  // Email verification
+  // Email verification (codes live in the Otp collection)
   emailVerification: {
-    otp: {
-      type: String,
-      trim: true
-    },
-    otpExpiry: {
-      type: Date
-    },
     isVerified: {
       type: Boolean,
       default: false
     }
   },
 
+  // Access control (see config/roles.js)
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+
   accountStatus: {
     type: String,
     enum: ['active', 'suspended', 'deactivated'],
     default: 'active'
   },
 
+  // Set while the account is suspended by staff
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+
+  // Failed credential checks (see lockout.service.js)
+  loginProtection: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    // Progressive delay: no attempt is accepted before this time
+    nextAttemptAt: Date,
+    lockedUntil: Date
+  },
+
   // Preferences
   preferences: {
     notifications: {
@@ -135,17 +297,47 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['light', 'dark', 'auto'],
       default: 'auto'
+    },
+    // Language for emails (falls back to English when unsupported)
+    locale: {
+      type: String,
+      trim: true,
+      default: 'en'
     }
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Indexes for performance
 userSchema.index({ 'friends': 1 });
+userSchema.index({ 'friendRequests.from': 1 });
+userSchema.index({ 'blockedUsers': 1 });
+// An email can belong to only one account; provider-only accounts may have none
+userSchema.index(
+  { email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+);
+// A provider identity can belong to only one account
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 userSchema.index({ lastActive: -1 });
+// A verified phone number can belong to only one account
+userSchema.index(
+  { 'phone.number': 1 },
+  { unique: true, partialFilterExpression: { 'phone.number': { $type: 'string' } } }
+);
+userSchema.index({ role: 1 });
 
 // Virtual for full name (if needed)
 userSchema.virtual('fullName').get(function () {
@@ -153,10 +345,31 @@ userSchema.virtual('fullName').get(function () {
 });
 
 // Instance methods
+userSchema.methods.setPassword = async function (password) {
+  this.password = await hashPassword(password);
+  this.passwordChangedAt = new Date();
+};
+
+userSchema.methods.comparePassword = function (password) {
+  return comparePassword(password, this.password);
+};
+
+userSchema.methods.hasPermission = function (permission) {
+  return roleHasPermission(this.role || 'user', permission);
+};
+
+userSchema.methods.hasVerifiedEmail = function () {
+  return !!(this.emailVerification && this.emailVerification.isVerified);
+};
+
+userSchema.methods.findIdentity = function (provider) {
+  return this.identities.find(identity => identity.provider === provider);
+};
+
 userSchema.methods.getFriendsList = async function () {
   return await mongoose.model('User').find({
     _id: { $in: this.friends }
-  }).select('username displayName profilePicture isOnline lastActive');
+  }).select('username displayName profilePicture isOnline lastActive preferences.privacy.showOnlineStatus');
 };
 
 userSchema.methods.addFriend = function (friendId) {
@@ -180,16 +393,14 @@ userSchema.statics.findByZkLoginId = function (zkLoginId) {
   return this.findOne({ zkLoginId });
 };
 
-userSchema.statics.searchUsers = function (query, limit = 10) {
-  return this.find({
-    $or: [
-      { username: new RegExp(query, 'i') },
-      { displayName: new RegExp(query, 'i') },
-      { email: new RegExp(query, 'i') }
-    ]
-  })
-    .select('username displayName profilePicture isOnline')
-    .limit(limit);
+userSchema.statics.findByIdentity = function (provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
+userSchema.statics.findByVerifiedPhone = function (phone) {
+  return this.findOne({ 'phone.number': phone });
 };
 
 // Pre-save middleware
@@ -0,0 +1,111 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/auth.middleware');
+
+const adminController = require('../controllers/admin.controller');
+
+// Every admin route requires a signed-in staff member
+router.use(authenticateToken);
+
+// Reject malformed user IDs before they reach the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      error: 'Invalid user ID'
+    });
+  }
+  next();
+});
+
+/**
+ * @route GET /api/admin/roles
+ * @desc List roles and their permissions
+ * @access Private (users:read)
+ */
+router.get('/roles', requirePermission('users:read'), (req, res) =>
+  adminController.getRoles(req, res)
+);
+
+/**
+ * @route GET /api/admin/users
+ * @desc Search users by name, email, wallet or ID (filters: status, role)
+ * @access Private (users:read)
+ */
+router.get('/users', requirePermission('users:read'), (req, res) =>
+  adminController.searchUsers(req, res)
+);
+
+/**
+ * @route GET /api/admin/users/:id
+ * @desc Get a user's account details
+ * @access Private (users:read)
+ */
+router.get('/users/:id', requirePermission('users:read'), (req, res) =>
+  adminController.getUser(req, res)
+);
+
+/**
+ * @route GET /api/admin/users/:id/transactions
+ * @desc Get a user's transactions
+ * @access Private (transactions:read)
+ */
+router.get('/users/:id/transactions', requirePermission('transactions:read'), (req, res) =>
+  adminController.getUserTransactions(req, res)
+);
+
+/**
+ * @route GET /api/admin/users/:id/chats
+ * @desc Get metadata for a user's chats (no message content)
+ * @access Private (chats:read_metadata)
+ */
+router.get('/users/:id/chats', requirePermission('chats:read_metadata'), (req, res) =>
+  adminController.getUserChats(req, res)
+);
+
+/**
+ * @route POST /api/admin/users/:id/suspend
+ * @desc Suspend a user, sign them out and freeze their pending payments
+ * @access Private (users:suspend)
+ */
+router.post('/users/:id/suspend', requirePermission('users:suspend'), (req, res) =>
+  adminController.suspendUser(req, res)
+);
+
+/**
+ * @route POST /api/admin/users/:id/reactivate
+ * @desc Reactivate a suspended user
+ * @access Private (users:suspend)
+ */
+router.post('/users/:id/reactivate', requirePermission('users:suspend'), (req, res) =>
+  adminController.reactivateUser(req, res)
+);
+
+/**
+ * @route POST /api/admin/users/:id/logout
+ * @desc Sign a user out of every session
+ * @access Private (users:logout)
+ */
+router.post('/users/:id/logout', requirePermission('users:logout'), (req, res) =>
+  adminController.forceLogout(req, res)
+);
+
+/**
+ * @route PUT /api/admin/users/:id/role
+ * @desc Change a user's role
+ * @access Private (users:roles)
+ */
+router.put('/users/:id/role', requirePermission('users:roles'), (req, res) =>
+  adminController.changeUserRole(req, res)
+);
+
+/**
+ * @route GET /api/admin/audit-logs
+ * @desc List audit log entries
+ * @access Private (audit:read)
+ */
+router.get('/audit-logs', requirePermission('audit:read'), (req, res) =>
+  adminController.getAuditLogs(req, res)
+);
+
+module.exports = router;
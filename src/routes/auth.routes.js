@@ -3,13 +3,31 @@ const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const {
   authenticateToken,
-  createRateLimit,
+  requireDevMode,
   validateZKProof
 } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/ratelimit.middleware');
 
-// Rate limiting for auth endpoints
-const authRateLimit = createRateLimit(5, 15 * 60 * 1000); // 5 requests per 15 minutes
-const zkRateLimit = createRateLimit(3, 10 * 60 * 1000); // 3 requests per 10 minutes
+// Rate limiting for auth endpoints (policies in config/rate.limits.js)
+const loginRateLimit = rateLimit('authLogin'); // per IP: password, OAuth and second-factor sign-in
+const registerRateLimit = rateLimit('authRegister'); // per IP
+const recoveryRateLimit = rateLimit('authRecovery'); // per IP: email codes, password setup and reset
+const securityRateLimit = rateLimit('accountSecurity'); // per user: 2FA, PIN, step-up and identity changes
+const loginAccountRateLimit = rateLimit('authLoginAccount'); // per email, across IPs: sign-in
+const verifyAccountRateLimit = rateLimit('authVerifyAccount'); // per email: verification codes
+const recoveryAccountRateLimit = rateLimit('authRecoveryAccount'); // per email: password setup and reset requests
+const zkRateLimit = rateLimit('zkLogin');
+const refreshRateLimit = rateLimit('refresh');
+
+/**
+ * @route POST /api/auth/nonce
+ * @desc Issue a single-use nonce for OAuth/zkLogin sign-in, provider linking and re-authentication
+ * @access Public
+ */
+router.post('/nonce',
+  rateLimit('authNonce'),
+  authController.issueNonce
+);
 
 /**
  * @route POST /api/auth/zk-login
@@ -22,13 +40,24 @@ router.post('/zk-login',
   authController.zkLogin
 );
 
+/**
+ * @route GET /api/auth/zk-salt
+ * @desc Get the user's zkLogin salt (for building zkLogin signatures)
+ * @access Private
+ */
+router.get('/zk-salt',
+  authenticateToken,
+  authController.getZkLoginSalt
+);
+
 /**
  * @route POST /api/auth/login
  * @desc Traditional email/password login
  * @access Public
  */
 router.post('/login',
-  authRateLimit,
+  loginRateLimit,
+  loginAccountRateLimit,
   authController.login
 );
 
@@ -38,7 +67,7 @@ router.post('/login',
  * @access Public
  */
 router.post('/register',
-  authRateLimit,
+  registerRateLimit,
   authController.register
 );
 
@@ -48,7 +77,8 @@ router.post('/register',
  * @access Public
  */
 router.post('/verify-email',
-  authRateLimit,
+  recoveryRateLimit,
+  verifyAccountRateLimit,
   authController.verifyEmail
 );
 
@@ -58,27 +88,103 @@ router.post('/verify-email',
  * @access Public
  */
 router.post('/resend-otp',
-  authRateLimit,
+  recoveryRateLimit,
+  verifyAccountRateLimit,
   authController.resendOTP
 );
 
+/**
+ * @route POST /api/auth/password/setup-request
+ * @desc Send a verification code to set a password on an account without one
+ * @access Public
+ */
+router.post('/password/setup-request',
+  recoveryRateLimit,
+  recoveryAccountRateLimit,
+  authController.requestPasswordSetup
+);
+
+/**
+ * @route POST /api/auth/password/setup
+ * @desc Set a password using the emailed verification code
+ * @access Public
+ */
+router.post('/password/setup',
+  recoveryRateLimit,
+  authController.setupPassword
+);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Email a single-use password reset link
+ * @access Public
+ */
+router.post('/forgot-password',
+  recoveryRateLimit,
+  recoveryAccountRateLimit,
+  authController.forgotPassword
+);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Reset password with an emailed token
+ * @access Public
+ */
+router.post('/reset-password',
+  recoveryRateLimit,
+  authController.resetPassword
+);
+
+/**
+ * @route POST /api/auth/magic-link
+ * @desc Email a single-use passwordless sign-in link
+ * @access Public
+ */
+router.post('/magic-link',
+  recoveryRateLimit,
+  rateLimit('magicLink'),
+  authController.requestMagicLink
+);
+
+/**
+ * @route POST /api/auth/magic-link/verify
+ * @desc Exchange a magic link token for a session
+ * @access Public
+ */
+router.post('/magic-link/verify',
+  loginRateLimit,
+  authController.verifyMagicLink
+);
+
+/**
+ * @route POST /api/auth/login-alerts/report
+ * @desc "This wasn't me": sign out a reported session and require a password reset
+ * @access Public (token from the login alert)
+ */
+router.post('/login-alerts/report',
+  recoveryRateLimit,
+  authController.reportLogin
+);
+
 /**
  * @route POST /api/auth/generate-test-otp
  * @desc Generate test OTP for development
- * @access Public
+ * @access Public (development mode only)
  */
 router.post('/generate-test-otp',
-  authRateLimit,
+  requireDevMode,
+  recoveryRateLimit,
   authController.generateTestOTP
 );
 
 /**
  * @route POST /api/auth/test-email
  * @desc Test email configuration
- * @access Public
+ * @access Public (development mode only)
  */
 router.post('/test-email',
-  authRateLimit,
+  requireDevMode,
+  recoveryRateLimit,
   authController.testEmail
 );
 
@@ -88,10 +194,137 @@ router.post('/test-email',
  * @access Public
  */
 router.post('/google',
-  authRateLimit,
+  loginRateLimit,
   authController.googleLogin
 );
 
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Complete login with a TOTP or recovery code
+ * @access Public (requires MFA pending token)
+ */
+router.post('/2fa/verify',
+  loginRateLimit,
+  authController.verifyMfa
+);
+
+/**
+ * @route POST /api/auth/2fa/enroll
+ * @desc Start TOTP enrollment
+ * @access Private
+ */
+router.post('/2fa/enroll',
+  authenticateToken,
+  authController.enrollTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/confirm
+ * @desc Confirm TOTP enrollment and get recovery codes
+ * @access Private
+ */
+router.post('/2fa/confirm',
+  authenticateToken,
+  securityRateLimit,
+  authController.confirmTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Disable TOTP
+ * @access Private
+ */
+router.post('/2fa/disable',
+  authenticateToken,
+  securityRateLimit,
+  authController.disableTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Regenerate recovery codes
+ * @access Private
+ */
+router.post('/2fa/recovery-codes',
+  authenticateToken,
+  securityRateLimit,
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route POST /api/auth/pin
+ * @desc Set transaction PIN
+ * @access Private
+ */
+router.post('/pin',
+  authenticateToken,
+  authController.setTransactionPin
+);
+
+/**
+ * @route PUT /api/auth/pin
+ * @desc Change transaction PIN
+ * @access Private
+ */
+router.put('/pin',
+  authenticateToken,
+  securityRateLimit,
+  authController.changeTransactionPin
+);
+
+/**
+ * @route POST /api/auth/pin/reset-request
+ * @desc Email a code for resetting the transaction PIN
+ * @access Private
+ */
+router.post('/pin/reset-request',
+  authenticateToken,
+  securityRateLimit,
+  authController.requestPinReset
+);
+
+/**
+ * @route POST /api/auth/pin/reset
+ * @desc Reset transaction PIN with emailed code
+ * @access Private
+ */
+router.post('/pin/reset',
+  authenticateToken,
+  securityRateLimit,
+  authController.resetTransactionPin
+);
+
+/**
+ * @route POST /api/auth/phone
+ * @desc Add or change the phone number; texts a verification code
+ * @access Private
+ */
+router.post('/phone',
+  authenticateToken,
+  rateLimit('sms'),
+  authController.requestPhoneVerification
+);
+
+/**
+ * @route POST /api/auth/phone/verify
+ * @desc Verify the pending phone number with its SMS code
+ * @access Private
+ */
+router.post('/phone/verify',
+  authenticateToken,
+  authController.verifyPhone
+);
+
+/**
+ * @route DELETE /api/auth/phone
+ * @desc Remove the phone number
+ * @access Private
+ */
+router.delete('/phone',
+  authenticateToken,
+  authController.removePhone
+);
+
 /**
  * @route GET /api/auth/profile
  * @desc Get current user profile
@@ -124,14 +357,97 @@ router.post('/logout',
 
 /**
  * @route POST /api/auth/refresh
- * @desc Refresh JWT token
- * @access Private
+ * @desc Rotate refresh token and issue a new access token
+ * @access Public (requires a valid refresh token)
  */
 router.post('/refresh',
-  authenticateToken,
+  refreshRateLimit,
   authController.refreshToken
 );
 
+/**
+ * @route POST /api/auth/step-up/otp
+ * @desc Email a step-up code for re-authentication
+ * @access Private
+ */
+router.post('/step-up/otp',
+  authenticateToken,
+  securityRateLimit,
+  authController.requestStepUpOtp
+);
+
+/**
+ * @route GET /api/auth/identities
+ * @desc List linked login providers
+ * @access Private
+ */
+router.get('/identities',
+  authenticateToken,
+  authController.getIdentities
+);
+
+/**
+ * @route POST /api/auth/identities
+ * @desc Link a login provider (requires re-authentication)
+ * @access Private
+ */
+router.post('/identities',
+  authenticateToken,
+  securityRateLimit,
+  authController.linkIdentity
+);
+
+/**
+ * @route DELETE /api/auth/identities/:provider
+ * @desc Unlink a login provider (requires re-authentication)
+ * @access Private
+ */
+router.delete('/identities/:provider',
+  authenticateToken,
+  securityRateLimit,
+  authController.unlinkIdentity
+);
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List active sessions (devices)
+ * @access Private
+ */
+router.get('/sessions',
+  authenticateToken,
+  authController.getSessions
+);
+
+/**
+ * @route POST /api/auth/sessions/revoke-others
+ * @desc Log out all other devices
+ * @access Private
+ */
+router.post('/sessions/revoke-others',
+  authenticateToken,
+  authController.revokeOtherSessions
+);
+
+/**
+ * @route DELETE /api/auth/sessions/:id
+ * @desc Revoke a session
+ * @access Private
+ */
+router.delete('/sessions/:id',
+  authenticateToken,
+  authController.revokeSession
+);
+
+/**
+ * @route GET /api/auth/login-events
+ * @desc List recent sign-ins and failed attempts (?page, ?limit, ?success)
+ * @access Private
+ */
+router.get('/login-events',
+  authenticateToken,
+  authController.getLoginEvents
+);
+
 /**
  * @route GET /api/auth/verify
  * @desc Verify token validity
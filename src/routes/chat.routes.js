@@ -1,15 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/ratelimit.middleware');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
+const blockService = require('../services/block.service');
+const presenceService = require('../services/presence.service');
+
+const chatRateLimit = rateLimit('chat');
+const chatMessagesRateLimit = rateLimit('chatMessages');
 
 /**
  * @route GET /api/chats
  * @desc Get user's chats
  * @access Private
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, chatRateLimit, async (req, res) => {
   try {
     const userId = req.user._id;
     const { limit = 20, skip = 0 } = req.query;
@@ -39,7 +45,7 @@ router.get('/', authenticateToken, async (req, res) => {
             username: p.username,
             displayName: p.displayName,
             profilePicture: p.profilePicture,
-            isOnline: p.isOnline
+            isOnline: presenceService.getVisibleStatus(p).isOnline
           })),
           lastMessage: chat.lastMessage ? {
             id: chat.lastMessage._id,
@@ -73,7 +79,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * @desc Create new chat
  * @access Private
  */
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, chatRateLimit, async (req, res) => {
   try {
     const { participants, type = 'direct', name } = req.body;
     const creatorId = req.user._id;
@@ -104,6 +110,13 @@ router.post('/', authenticateToken, async (req, res) => {
     let chat;
 
     if (type === 'direct') {
+      if (await blockService.isBlockedBetween(allParticipants[0], allParticipants[1])) {
+        return res.status(403).json({
+          error: 'You cannot chat with this user',
+          code: 'USER_BLOCKED'
+        });
+      }
+
       // Check if direct chat already exists
       const existingChat = await Chat.findDirectChat(allParticipants[0], allParticipants[1]);
       if (existingChat) {
@@ -144,7 +157,7 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 
     // Populate the created chat
-    await chat.populate('participants', 'username displayName profilePicture isOnline');
+    await chat.populate('participants', 'username displayName profilePicture isOnline preferences.privacy.showOnlineStatus');
 
     res.status(201).json({
       success: true,
@@ -158,7 +171,7 @@ router.post('/', authenticateToken, async (req, res) => {
           username: p.username,
           displayName: p.displayName,
           profilePicture: p.profilePicture,
-          isOnline: p.isOnline
+          isOnline: presenceService.getVisibleStatus(p).isOnline
         })),
         type: chat.type,
         lastActivity: chat.lastActivity
@@ -178,7 +191,7 @@ router.post('/', authenticateToken, async (req, res) => {
  * @desc Get chat details
  * @access Private
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, chatRateLimit, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
@@ -202,7 +215,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
  * @desc Update chat
  * @access Private
  */
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, chatRateLimit, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -226,7 +239,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
  * @desc Get chat messages
  * @access Private
  */
-router.get('/:id/messages', authenticateToken, async (req, res) => {
+router.get('/:id/messages', authenticateToken, chatRateLimit, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
@@ -300,7 +313,7 @@ router.get('/:id/messages', authenticateToken, async (req, res) => {
  * @desc Send message
  * @access Private
  */
-router.post('/:id/messages', authenticateToken, async (req, res) => {
+router.post('/:id/messages', authenticateToken, chatMessagesRateLimit, async (req, res) => {
   try {
     const { id } = req.params;
     const { content, type = 'text', paymentData } = req.body;
@@ -327,6 +340,20 @@ router.post('/:id/messages', authenticateToken, async (req, res) => {
       });
     }
 
+    // Nothing, including payment requests, crosses a block in a direct chat
+    if (chat.type === 'direct') {
+      const otherParticipant = chat.participants.find(
+        p => p.toString() !== senderId.toString()
+      );
+
+      if (otherParticipant && await blockService.isBlockedBetween(senderId, otherParticipant)) {
+        return res.status(403).json({
+          error: 'You cannot message this user',
+          code: 'USER_BLOCKED'
+        });
+      }
+    }
+
     // Create message
     const messageData = {
       chatId: id,
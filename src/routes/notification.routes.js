@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth.middleware');
+
+const notificationController = require('../controllers/notification.controller');
+
+/**
+ * @route GET /api/notifications
+ * @desc List notifications (?page, ?limit, ?unread=true)
+ * @access Private
+ */
+router.get('/', authenticateToken, (req, res) =>
+  notificationController.getNotifications(req, res)
+);
+
+/**
+ * @route POST /api/notifications/read-all
+ * @desc Mark every notification as read
+ * @access Private
+ */
+router.post('/read-all', authenticateToken, (req, res) =>
+  notificationController.markAllRead(req, res)
+);
+
+/**
+ * @route POST /api/notifications/:id/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.post('/:id/read', authenticateToken, (req, res) =>
+  notificationController.markRead(req, res)
+);
+
+module.exports = router;
@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, requireVerifiedEmail, requireStepUp } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/ratelimit.middleware');
 const paymentController = require('../controllers/payment.controller');
 
+const paymentsRateLimit = rateLimit('payments');
+const paymentsReadRateLimit = rateLimit('paymentsRead');
+
 /**
  * @route POST /api/payments/initialize
  * @desc Initialize payment with Paystack
- * @access Private
+ * @access Private (verified email; requires transaction PIN or TOTP code)
  */
-router.post('/initialize', authenticateToken, (req, res) =>
+router.post('/initialize', authenticateToken, paymentsRateLimit, requireVerifiedEmail, requireStepUp, (req, res) =>
   paymentController.initializePayment(req, res)
 );
 
@@ -17,7 +21,7 @@ router.post('/initialize', authenticateToken, (req, res) =>
  * @desc Verify payment from Paystack
  * @access Private
  */
-router.post('/verify', authenticateToken, (req, res) =>
+router.post('/verify', authenticateToken, paymentsRateLimit, (req, res) =>
   paymentController.verifyPayment(req, res)
 );
 
@@ -35,7 +39,7 @@ router.post('/webhook/paystack', (req, res) =>
  * @desc Get payment history
  * @access Private
  */
-router.get('/history', authenticateToken, (req, res) =>
+router.get('/history', authenticateToken, paymentsReadRateLimit, (req, res) =>
   paymentController.getPaymentHistory(req, res)
 );
 
@@ -44,7 +48,7 @@ router.get('/history', authenticateToken, (req, res) =>
  * @desc Get payment statistics
  * @access Private
  */
-router.get('/stats', authenticateToken, (req, res) =>
+router.get('/stats', authenticateToken, paymentsReadRateLimit, (req, res) =>
   paymentController.getPaymentStats(req, res)
 );
 
@@ -53,7 +57,7 @@ router.get('/stats', authenticateToken, (req, res) =>
  * @desc Get list of banks
  * @access Private
  */
-router.get('/banks', authenticateToken, (req, res) =>
+router.get('/banks', authenticateToken, paymentsReadRateLimit, (req, res) =>
   paymentController.getBanks(req, res)
 );
 
@@ -62,16 +66,16 @@ router.get('/banks', authenticateToken, (req, res) =>
  * @desc Verify bank account details
  * @access Private
  */
-router.post('/resolve-account', authenticateToken, (req, res) =>
+router.post('/resolve-account', authenticateToken, paymentsRateLimit, (req, res) =>
   paymentController.resolveAccount(req, res)
 );
 
 /**
  * @route POST /api/payments/withdraw
  * @desc Withdraw funds to bank account
- * @access Private
+ * @access Private (verified email; requires transaction PIN or TOTP code)
  */
-router.post('/withdraw', authenticateToken, (req, res) =>
+router.post('/withdraw', authenticateToken, paymentsRateLimit, requireVerifiedEmail, requireStepUp, (req, res) =>
   paymentController.withdraw(req, res)
 );
 
@@ -80,7 +84,7 @@ router.post('/withdraw', authenticateToken, (req, res) =>
  * @desc Get payment details
  * @access Private
  */
-router.get('/:transactionId', authenticateToken, (req, res) =>
+router.get('/:transactionId', authenticateToken, paymentsReadRateLimit, (req, res) =>
   paymentController.getTransactionStatus(req, res)
 );
 
@@ -89,7 +93,7 @@ router.get('/:transactionId', authenticateToken, (req, res) =>
  * @desc Cancel transaction
  * @access Private
  */
-router.post('/:transactionId/cancel', authenticateToken, (req, res) =>
+router.post('/:transactionId/cancel', authenticateToken, paymentsRateLimit, (req, res) =>
   paymentController.cancelTransaction(req, res)
 );
 
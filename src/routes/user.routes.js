@@ -1,8 +1,25 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, optionalAuth } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/ratelimit.middleware');
 
 const userController = require('../controllers/user.controller');
+const friendController = require('../controllers/friend.controller');
+const blockController = require('../controllers/block.controller');
+
+// Reject malformed user IDs before they reach the database
+const validateUserId = (req, res, next, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(400).json({
+      error: 'Invalid user ID'
+    });
+  }
+  next();
+};
+
+router.param('userId', validateUserId);
+router.param('id', validateUserId);
 
 /**
  * @route GET /api/users/search
@@ -16,14 +33,127 @@ router.get('/search', authenticateToken, (req, res) =>
 /**
  * @route GET /api/users/u/:username
  * @desc Get public profile by username
- * @access Public
+ * @access Public (hidden from users the profile owner has blocked)
  */
-router.get('/u/:username', (req, res) =>
+router.get('/u/:username', optionalAuth, (req, res) =>
   userController.getUserByUsername(req, res)
 );
 
-// Placeholder for future implementation
-router.get('/:id', authenticateToken, (req, res) => res.json({ message: 'Not implemented' }));
-router.put('/:id', authenticateToken, (req, res) => res.json({ message: 'Not implemented' }));
+/**
+ * @route GET /api/users/friends
+ * @desc List friends
+ * @access Private
+ */
+router.get('/friends', authenticateToken, (req, res) =>
+  friendController.getFriends(req, res)
+);
+
+/**
+ * @route GET /api/users/friends/requests/incoming
+ * @desc List pending friend requests sent to me
+ * @access Private
+ */
+router.get('/friends/requests/incoming', authenticateToken, (req, res) =>
+  friendController.getIncomingRequests(req, res)
+);
+
+/**
+ * @route GET /api/users/friends/requests/outgoing
+ * @desc List pending friend requests I have sent
+ * @access Private
+ */
+router.get('/friends/requests/outgoing', authenticateToken, (req, res) =>
+  friendController.getOutgoingRequests(req, res)
+);
+
+/**
+ * @route POST /api/users/friends/requests/:userId
+ * @desc Send a friend request (accepts theirs if they already asked)
+ * @access Private
+ */
+router.post('/friends/requests/:userId', authenticateToken, rateLimit('friendRequests'), (req, res) =>
+  friendController.sendRequest(req, res)
+);
+
+/**
+ * @route POST /api/users/friends/requests/:userId/accept
+ * @desc Accept a friend request from a user
+ * @access Private
+ */
+router.post('/friends/requests/:userId/accept', authenticateToken, (req, res) =>
+  friendController.acceptRequest(req, res)
+);
+
+/**
+ * @route POST /api/users/friends/requests/:userId/decline
+ * @desc Decline a friend request from a user
+ * @access Private
+ */
+router.post('/friends/requests/:userId/decline', authenticateToken, (req, res) =>
+  friendController.declineRequest(req, res)
+);
+
+/**
+ * @route DELETE /api/users/friends/requests/:userId
+ * @desc Cancel a friend request I sent
+ * @access Private
+ */
+router.delete('/friends/requests/:userId', authenticateToken, (req, res) =>
+  friendController.cancelRequest(req, res)
+);
+
+/**
+ * @route DELETE /api/users/friends/:userId
+ * @desc Unfriend a user
+ * @access Private
+ */
+router.delete('/friends/:userId', authenticateToken, (req, res) =>
+  friendController.unfriend(req, res)
+);
+
+/**
+ * @route GET /api/users/blocks
+ * @desc List blocked users
+ * @access Private
+ */
+router.get('/blocks', authenticateToken, (req, res) =>
+  blockController.getBlockedUsers(req, res)
+);
+
+/**
+ * @route POST /api/users/blocks/:userId
+ * @desc Block a user
+ * @access Private
+ */
+router.post('/blocks/:userId', authenticateToken, (req, res) =>
+  blockController.blockUser(req, res)
+);
+
+/**
+ * @route DELETE /api/users/blocks/:userId
+ * @desc Unblock a user
+ * @access Private
+ */
+router.delete('/blocks/:userId', authenticateToken, (req, res) =>
+  blockController.unblockUser(req, res)
+);
+
+/**
+ * @route GET /api/users/:id
+ * @desc Get a user's profile, limited by their privacy preferences
+ * @access Private
+ */
+router.get('/:id', authenticateToken, (req, res) =>
+  userController.getUserById(req, res)
+);
+
+/**
+ * @route PUT /api/users/:id
+ * @desc Update a user's profile (displayName, bio, profilePicture, preferences)
+ * @access Private (owner or admin)
+ */
+router.put('/:id', authenticateToken, (req, res) =>
+  userController.updateUser(req, res)
+);
 
 module.exports = router;
\ No newline at end of file
@@ -4,8 +4,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const User = require('./models/User');
+const sessionService = require('./services/session.service');
+const realtimeService = require('./services/realtime.service');
+const blockService = require('./services/block.service');
+const presenceService = require('./services/presence.service');
+const { onRateLimited } = require('./middleware/ratelimit.middleware');
+const { verifyAccessToken, isTokenVersionCurrent } = require('./utils/jwt.utils');
 
 const app = express();
 const server = createServer(app);
@@ -20,23 +26,33 @@ const io = new Server(server, {
 });
 
 // Socket.io middleware for authentication
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   const token = socket.handshake.auth.token;
   if (!token) {
     return next(new Error('Authentication error: Token missing'));
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyAccessToken(token);
+
+    // Tokens issued before a password reset or for a revoked session must not open sockets
+    const user = await User.findById(decoded.userId).select('tokenVersion accountStatus');
+    if (!user || user.accountStatus !== 'active' || !isTokenVersionCurrent(decoded, user) ||
+        !(await sessionService.isSessionActive(decoded.sessionId))) {
+      return next(new Error('Authentication error: Token revoked'));
+    }
+
     socket.userId = decoded.userId;
+    socket.sessionId = decoded.sessionId;
     next();
   } catch (err) {
     return next(new Error('Authentication error: Invalid token'));
   }
 });
 
-// Attach io to app for use in routes
+// Attach io to app for use in routes, and to services that act outside a request
 app.set('io', io);
+realtimeService.init(io);
 
 // Middleware
 app.use(helmet());
@@ -49,12 +65,16 @@ const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
 const chatRoutes = require('./routes/chat.routes');
 const paymentRoutes = require('./routes/payment.routes');
+const adminRoutes = require('./routes/admin.routes');
+const notificationRoutes = require('./routes/notification.routes');
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -74,10 +94,18 @@ io.on('connection', (socket) => {
   if (userId) {
     socket.join(userId);
     console.log(`User ${socket.id} joined personal room ${userId}`);
+    presenceService.connect(userId);
+  }
+
+  // Join session room so revoking the session disconnects this socket
+  if (socket.sessionId) {
+    socket.join(realtimeService.sessionRoom(socket.sessionId));
   }
 
+  // Events registered with onRateLimited use the socket:<event> policies in config/rate.limits.js
+
   // Join chat room
-  socket.on('join-chat', (chatId) => {
+  onRateLimited(socket, 'join-chat', (chatId) => {
     socket.join(chatId);
     console.log(`User ${socket.id} joined chat ${chatId}`);
   });
@@ -89,10 +117,11 @@ io.on('connection', (socket) => {
   });
 
   // Handle real-time messages
-  socket.on('send-message', async (data) => {
+  onRateLimited(socket, 'send-message', async (data) => {
     try {
-      // Broadcast to all participants in the chat
-      io.to(data.chatId).emit('new-message', {
+      // Broadcast to all participants in the chat, skipping anyone on either side of a block
+      const blockedIds = await blockService.getBlockedRelationIds(userId);
+      io.to(data.chatId).except(blockedIds).emit('new-message', {
         ...data,
         timestamp: new Date()
       });
@@ -103,28 +132,42 @@ io.on('connection', (socket) => {
   });
 
   // Handle payment notifications
-  socket.on('payment-update', (data) => {
+  onRateLimited(socket, 'payment-update', (data) => {
     // Notify relevant users about payment status changes
     io.to(data.chatId).emit('payment-notification', data);
   });
 
-  // Handle typing indicators
-  socket.on('typing', (data) => {
-    socket.to(data.chatId).emit('user-typing', {
-      userId: data.userId,
-      username: data.username
-    });
+  // Handle typing indicators (never shown across a block)
+  onRateLimited(socket, 'typing', async (data) => {
+    try {
+      const blockedIds = await blockService.getBlockedRelationIds(userId);
+      socket.to(data.chatId).except(blockedIds).emit('user-typing', {
+        userId: data.userId,
+        username: data.username
+      });
+    } catch (error) {
+      console.error('Error sending typing indicator:', error);
+    }
   });
 
-  socket.on('stop-typing', (data) => {
-    socket.to(data.chatId).emit('user-stop-typing', {
-      userId: data.userId
-    });
+  socket.on('stop-typing', async (data) => {
+    try {
+      const blockedIds = await blockService.getBlockedRelationIds(userId);
+      socket.to(data.chatId).except(blockedIds).emit('user-stop-typing', {
+        userId: data.userId
+      });
+    } catch (error) {
+      console.error('Error sending typing indicator:', error);
+    }
   });
 
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+
+    if (userId) {
+      presenceService.disconnect(userId);
+    }
   });
 });
 
@@ -160,6 +203,12 @@ const PORT = process.env.PORT || 5000;
 const startServer = async () => {
   await connectDB();
 
+  // Clear statuses left over from a crash. Turn off when running more than
+  // one instance: the others may still hold live sockets.
+  if (process.env.PRESENCE_RESET_ON_START !== 'false') {
+    await presenceService.resetAll();
+  }
+
   server.listen(PORT, () => {
     console.log(`🚀 ChatPay Backend Server running on port ${PORT}`);
     console.log(`📡 Socket.io enabled for real-time features`);
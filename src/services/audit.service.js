@@ -0,0 +1,60 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Audit Service
+ * Records privileged actions in the audit log
+ */
+class AuditService {
+  /**
+   * Record an action
+   * @param {Object} entry - { actor, actorType, action, targetType, targetId, reason, details }
+   * @param {Object} req - Express request object (optional, for IP and user agent)
+   * @returns {Object} AuditLog document
+   */
+  async record(entry, req = null) {
+    return AuditLog.create({
+      actorType: entry.actor ? 'user' : 'system',
+      ...entry,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.headers['user-agent'] : undefined
+    });
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} filters - { action, actor, targetType, targetId }
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { entries, pagination }
+   */
+  async list(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (filters.action) query.action = filters.action;
+    if (filters.actor) query.actor = filters.actor;
+    if (filters.targetType) query.targetType = filters.targetType;
+    if (filters.targetId) query.targetId = filters.targetId;
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'username displayName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+module.exports = new AuditService();
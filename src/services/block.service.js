@@ -0,0 +1,128 @@
+const User = require('../models/User');
+const realtimeService = require('./realtime.service');
+
+const PUBLIC_FIELDS = 'username displayName profilePicture';
+
+/**
+ * Build an error with a code the controller maps to an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error
+ */
+const blockError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Block Service
+ * A block works in both directions: neither user can start a direct chat,
+ * message the other in it, pay the other, or see the other's typing and
+ * presence. The blocker is also hidden from the blocked user's search and
+ * profile lookups.
+ */
+class BlockService {
+  /**
+   * Block a user
+   * Ends any friendship and pending friend requests between the two.
+   * @param {Object} user - Blocking user document
+   * @param {string} targetId - User ID to block
+   */
+  async block(user, targetId) {
+    if (user._id.equals(targetId)) {
+      throw blockError('You cannot block yourself', 'SELF_BLOCK');
+    }
+
+    const target = await User.findById(targetId).select('_id');
+
+    if (!target) {
+      throw blockError('User not found', 'USER_NOT_FOUND');
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $addToSet: { blockedUsers: target._id },
+        $pull: { friends: target._id, friendRequests: { from: target._id } }
+      }
+    );
+
+    await User.updateOne(
+      { _id: target._id },
+      { $pull: { friends: user._id, friendRequests: { from: user._id } } }
+    );
+
+    // From now on each appears offline to the other
+    realtimeService.emitToUser(target._id, 'presence-update', { userId: user._id.toString(), isOnline: false });
+    realtimeService.emitToUser(user._id, 'presence-update', { userId: target._id.toString(), isOnline: false });
+
+    console.log(`🚫 User ${user._id} blocked ${target._id}`);
+  }
+
+  /**
+   * Unblock a user
+   * @param {Object} user - Blocking user document
+   * @param {string} targetId - User ID to unblock
+   */
+  async unblock(user, targetId) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, blockedUsers: targetId },
+      { $pull: { blockedUsers: targetId } }
+    );
+
+    if (modifiedCount === 0) {
+      throw blockError('This user is not blocked', 'NOT_BLOCKED');
+    }
+  }
+
+  /**
+   * List the users a user has blocked
+   * @param {string} userId - User ID
+   * @returns {Array} User summaries
+   */
+  async list(userId) {
+    const user = await User.findById(userId)
+      .select('blockedUsers')
+      .populate('blockedUsers', PUBLIC_FIELDS);
+
+    return user.blockedUsers;
+  }
+
+  /**
+   * Check whether either user has blocked the other
+   * @param {string} userId - User ID
+   * @param {string} otherUserId - Other user ID
+   * @returns {boolean} True if there is a block in either direction
+   */
+  async isBlockedBetween(userId, otherUserId) {
+    return !!(await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherUserId },
+        { _id: otherUserId, blockedUsers: userId }
+      ]
+    }));
+  }
+
+  /**
+   * IDs of everyone a user has blocked or been blocked by
+   * Used to keep real-time events (typing, presence) from crossing a block.
+   * @param {string} userId - User ID
+   * @returns {Array<string>} User IDs
+   */
+  async getBlockedRelationIds(userId) {
+    const [user, blockers] = await Promise.all([
+      User.findById(userId).select('blockedUsers'),
+      User.find({ blockedUsers: userId }).select('_id')
+    ]);
+
+    const ids = [
+      ...(user ? user.blockedUsers : []),
+      ...blockers.map(blocker => blocker._id)
+    ];
+
+    return [...new Set(ids.map(id => id.toString()))];
+  }
+}
+
+module.exports = new BlockService();
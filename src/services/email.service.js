@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const { createTransport } = require('./email.transports');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+const TEMPLATES = ['otp', 'password_reset', 'magic_link', 'payment_received', 'withdrawal_status', 'login_alert', 'account_locked'];
+const DEFAULT_LOCALE = 'en';
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 2000; // doubles per attempt
+const MAX_FAILED_KEPT = 100;
+
+// Values under these roots are translations, which are trusted HTML
+const TRUSTED_ROOTS = ['t', 'common'];
+
+/**
+ * Escape a value for HTML
+ * @param {*} value - Value
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Merge locale strings over the default locale's strings
+ * @param {Object} base - Default strings
+ * @param {Object} override - Localized strings
+ * @returns {Object} Merged strings
+ */
+const mergeStrings = (base = {}, override = {}) => {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeStrings(base[key], value)
+      : value;
+  }
+
+  return merged;
+};
+
+/**
+ * Email Service
+ * Renders named, localized templates and delivers them through a pluggable
+ * transport (see email.transports.js). Failed sends are queued and retried
+ * with exponential backoff.
+ */
+class EmailService {
+  constructor() {
+    this.transport = null;
+    this.cache = new Map();
+    this.queue = new Set();
+    this.failed = [];
+  }
+
+  /**
+   * Get the active transport, creating it from the environment on first use
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+      console.log(`📧 Email transport: ${this.transport.name}`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (e.g. with a MemoryTransport in tests)
+   * @param {Object} transport - Transport
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Read a template file (cached)
+   * @param {string} fileName - File name inside the template directory
+   * @returns {string|null} File contents, or null if missing
+   */
+  readTemplateFile(fileName) {
+    if (!this.cache.has(fileName)) {
+      const filePath = path.join(TEMPLATE_DIR, fileName);
+      this.cache.set(fileName, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+    }
+    return this.cache.get(fileName);
+  }
+
+  /**
+   * Pick the closest supported locale ("fr-CA" -> "fr")
+   * @param {string} locale - Requested locale
+   * @returns {string} Supported locale
+   */
+  resolveLocale(locale) {
+    const language = String(locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+    return this.readTemplateFile(`locales/${language}.json`) ? language : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Load the strings for a locale, falling back to the default locale per key
+   * @param {string} locale - Supported locale
+   * @returns {Object} Strings
+   */
+  getStrings(locale) {
+    const base = JSON.parse(this.readTemplateFile(`locales/${DEFAULT_LOCALE}.json`));
+    if (locale === DEFAULT_LOCALE) {
+      return base;
+    }
+    return mergeStrings(base, JSON.parse(this.readTemplateFile(`locales/${locale}.json`)));
+  }
+
+  /**
+   * Look up a dotted path; a "$name" segment is replaced by the value of `name`
+   * Lookup tables fall back to their "default" entry.
+   * @param {Object} context - Render context
+   * @param {string} key - Path such as "t.purposes.$purpose"
+   * @returns {*} Value, or undefined
+   */
+  lookup(context, key) {
+    return key.split('.').reduce((value, segment) => {
+      if (value === undefined || value === null) {
+        return undefined;
+      }
+
+      const name = segment.startsWith('$') ? String(context[segment.slice(1)]) : segment;
+      return value[name] !== undefined ? value[name] : value.default;
+    }, context);
+  }
+
+  /**
+   * Fill {{placeholders}} in a string
+   * In HTML mode data values are escaped; {{{triple}}} placeholders and
+   * translations are inserted as-is.
+   * @param {string} source - Template string
+   * @param {Object} context - Render context
+   * @param {boolean} isHtml - Escape data values for HTML
+   * @returns {string} Rendered string
+   */
+  interpolate(source, context, isHtml) {
+    return source.replace(/\{\{\{\s*([\w.$]+)\s*\}\}\}|\{\{\s*([\w.$]+)\s*\}\}/g, (match, rawKey, key) => {
+      const value = this.lookup(context, rawKey || key);
+
+      if (value === undefined || value === null || typeof value === 'object') {
+        return '';
+      }
+
+      const isTrusted = rawKey || TRUSTED_ROOTS.includes((key || '').split('.')[0]);
+      return isHtml && !isTrusted ? escapeHtml(value) : String(value);
+    });
+  }
+
+  /**
+   * Render every string in a block of translations
+   * @param {Object} block - Translations for one template
+   * @param {Object} context - Render context
+   * @param {boolean} isHtml - Escape data values for HTML
+   * @returns {Object} Rendered translations
+   */
+  renderStrings(block, context, isHtml) {
+    return Object.fromEntries(Object.entries(block).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? this.interpolate(value, context, isHtml) : value
+    ]));
+  }
+
+  /**
+   * Render a template
+   * @param {string} template - Template name
+   * @param {Object} data - Template data
+   * @param {string} locale - Preferred locale
+   * @returns {Object} { subject, html, text, locale }
+   */
+  render(template, data = {}, locale = DEFAULT_LOCALE) {
+    if (!TEMPLATES.includes(template)) {
+      throw new Error(`Unknown email template "${template}"`);
+    }
+
+    const resolvedLocale = this.resolveLocale(locale);
+    const strings = this.getStrings(resolvedLocale);
+    const block = strings[template] || {};
+    const baseContext = { ...data, t: block, common: strings.common, locale: resolvedLocale };
+
+    const textStrings = this.renderStrings(block, baseContext, false);
+    const htmlStrings = this.renderStrings(block, baseContext, true);
+    const subject = textStrings.subject;
+
+    const body = this.interpolate(
+      this.readTemplateFile(`${template}.html`),
+      { ...baseContext, t: htmlStrings },
+      true
+    );
+    const html = this.interpolate(
+      this.readTemplateFile('layout.html'),
+      { ...baseContext, subject, body },
+      true
+    );
+    const text = this.interpolate(
+      this.readTemplateFile(`${template}.txt`),
+      { ...baseContext, t: textStrings },
+      false
+    ).trim();
+
+    return { subject, html, text, locale: resolvedLocale };
+  }
+
+  /**
+   * Render and send a templated email
+   * A failed send is queued for retry; the call itself never throws for
+   * delivery errors.
+   * @param {string} template - Template name
+   * @param {string} to - Recipient email
+   * @param {Object} data - Template data
+   * @param {Object} options - { locale }
+   * @returns {Object} { messageId } if delivered now, or { queued: true }
+   */
+  async send(template, to, data = {}, { locale } = {}) {
+    const rendered = this.render(template, data, locale);
+
+    const job = {
+      message: {
+        from: process.env.EMAIL_FROM || `"ChatPay Support" <${process.env.EMAIL_USER || 'no-reply@chatpay.app'}>`,
+        to,
+        template,
+        ...rendered
+      },
+      attempts: 0
+    };
+
+    return this.deliver(job);
+  }
+
+  /**
+   * Send a templated email to a user in their preferred language
+   * @param {Object} user - User document
+   * @param {string} template - Template name
+   * @param {Object} data - Template data
+   * @returns {Object|null} Send result, or null if the user has no email
+   */
+  async sendToUser(user, template, data = {}) {
+    if (!user || !user.email) {
+      return null;
+    }
+
+    return this.send(template, user.email, data, {
+      locale: user.preferences && user.preferences.locale
+    });
+  }
+
+  /**
+   * Attempt delivery, scheduling a retry on failure
+   * @param {Object} job - { message, attempts }
+   * @returns {Object} { messageId } or { queued: true }
+   */
+  async deliver(job) {
+    job.attempts += 1;
+
+    try {
+      const result = await this.getTransport().send(job.message);
+      this.queue.delete(job);
+      console.log(`✅ Email "${job.message.template}" sent:`, result.messageId);
+      return result;
+
+    } catch (error) {
+      console.error(`❌ Email "${job.message.template}" failed (attempt ${job.attempts}/${MAX_ATTEMPTS}):`, error.message);
+
+      if (job.attempts >= MAX_ATTEMPTS) {
+        this.queue.delete(job);
+        this.failed.push({ ...job, error: error.message, failedAt: new Date() });
+        this.failed = this.failed.slice(-MAX_FAILED_KEPT);
+        return { queued: false, failed: true };
+      }
+
+      this.queue.add(job);
+      const delay = RETRY_BASE_MS * (2 ** (job.attempts - 1));
+      setTimeout(() => this.deliver(job), delay).unref();
+
+      return { queued: true };
+    }
+  }
+
+  /**
+   * Number of emails waiting for a retry
+   * @returns {number} Queue size
+   */
+  getQueueSize() {
+    return this.queue.size;
+  }
+}
+
+module.exports = new EmailService();
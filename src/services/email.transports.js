@@ -0,0 +1,139 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { isDevModeEnabled } = require('../../config/dev.mode');
+
+/**
+ * Email transports
+ * Every transport exposes `name` and `send(message)`, where message is
+ * { from, to, subject, html, text, template, locale } and the result is { messageId }.
+ */
+
+/**
+ * SMTP transport (any SMTP host, or a nodemailer well-known service such as Gmail)
+ */
+class SmtpTransport {
+  constructor(env = process.env) {
+    this.name = 'smtp';
+
+    const auth = env.EMAIL_USER && env.EMAIL_PASS
+      ? { user: env.EMAIL_USER, pass: env.EMAIL_PASS }
+      : undefined;
+
+    // Created once and reused for every send
+    this.transporter = env.EMAIL_HOST
+      ? nodemailer.createTransport({
+        host: env.EMAIL_HOST,
+        port: parseInt(env.EMAIL_PORT, 10) || 587,
+        secure: parseInt(env.EMAIL_PORT, 10) === 465,
+        auth
+      })
+      : nodemailer.createTransport({
+        service: env.EMAIL_SERVICE || 'gmail',
+        auth
+      });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * File outbox transport for development
+ * Writes each message as a JSON file instead of sending it.
+ */
+class FileTransport {
+  constructor(env = process.env) {
+    this.name = 'file';
+    this.directory = path.resolve(env.EMAIL_OUTBOX_DIR || 'outbox');
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      path.join(this.directory, `${messageId}.json`),
+      JSON.stringify({ messageId, sentAt: new Date(), ...message }, null, 2)
+    );
+
+    return { messageId };
+  }
+}
+
+/**
+ * In-memory outbox transport for tests
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.messages = [];
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    this.messages.push({ messageId, sentAt: new Date(), ...message });
+
+    return { messageId };
+  }
+
+  /**
+   * Empty the outbox
+   */
+  clear() {
+    this.messages = [];
+  }
+}
+
+const TRANSPORTS = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  memory: MemoryTransport
+};
+
+/**
+ * Create the transport named by EMAIL_TRANSPORT
+ * Defaults to SMTP when an SMTP server or credentials are configured or in
+ * production. The file outbox writes codes and links to disk, so it is only
+ * used (and only allowed) in dev mode; otherwise sending fails instead.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Transport
+ */
+const createTransport = (env = process.env) => {
+  const devMode = isDevModeEnabled(env);
+  const hasSmtp = !!((env.EMAIL_USER && env.EMAIL_PASS) || env.EMAIL_HOST);
+  const defaultName = hasSmtp || env.NODE_ENV === 'production' ? 'smtp' : (devMode ? 'file' : '');
+  const name = (env.EMAIL_TRANSPORT || defaultName).toLowerCase();
+
+  if (!name) {
+    throw new Error('EMAIL_TRANSPORT or SMTP settings must be set (the file outbox is only used in dev mode)');
+  }
+
+  if (name === 'file' && !devMode) {
+    throw new Error('The file email transport is only available in dev mode (ENABLE_DEV_MODE=true)');
+  }
+
+  const Transport = TRANSPORTS[name];
+  if (!Transport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
+
+  return new Transport(env);
+};
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  MemoryTransport,
+  createTransport
+};
@@ -0,0 +1,221 @@
+const User = require('../models/User');
+const realtimeService = require('./realtime.service');
+
+const PUBLIC_FIELDS = 'username displayName profilePicture';
+
+/**
+ * Build an error with a code the controller maps to an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error
+ */
+const friendError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Friend Service
+ * Friend requests live on the recipient (`friendRequests`); friendships are
+ * stored on both users (`friends`). Every change is pushed to the other user's
+ * personal Socket.io room.
+ */
+class FriendService {
+  /**
+   * Public fields of a user, for socket payloads
+   * @param {Object} user - User document
+   * @returns {Object} Summary
+   */
+  summarize(user) {
+    return {
+      _id: user._id,
+      username: user.username,
+      displayName: user.displayName,
+      profilePicture: user.profilePicture
+    };
+  }
+
+  /**
+   * Send a friend request
+   * If the other user has already asked, their request is accepted instead.
+   * @param {Object} sender - Sending user document
+   * @param {string} recipientId - Recipient user ID
+   * @returns {Object} { status: 'pending' | 'accepted', user }
+   */
+  async sendRequest(sender, recipientId) {
+    if (sender._id.equals(recipientId)) {
+      throw friendError('You cannot send a friend request to yourself', 'SELF_REQUEST');
+    }
+
+    // Someone who blocked the sender looks like they don't exist
+    const recipient = await User.findOne({
+      _id: recipientId,
+      accountStatus: 'active',
+      blockedUsers: { $ne: sender._id }
+    });
+
+    if (!recipient) {
+      throw friendError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (sender.blockedUsers.some(id => id.equals(recipient._id))) {
+      throw friendError('Unblock this user before sending a friend request', 'USER_BLOCKED');
+    }
+
+    if (recipient.friends.some(id => id.equals(sender._id))) {
+      throw friendError('You are already friends', 'ALREADY_FRIENDS');
+    }
+
+    const incoming = sender.friendRequests.find(request =>
+      request.from.equals(recipient._id) && request.status === 'pending'
+    );
+
+    if (incoming) {
+      await this.respond(sender, recipient._id, true);
+      return { status: 'accepted', user: this.summarize(recipient) };
+    }
+
+    // Clear earlier answered requests, then add the new one only if none is pending
+    await User.updateOne(
+      { _id: recipient._id },
+      { $pull: { friendRequests: { from: sender._id, status: { $ne: 'pending' } } } }
+    );
+
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: recipient._id,
+        friends: { $ne: sender._id },
+        friendRequests: { $not: { $elemMatch: { from: sender._id, status: 'pending' } } }
+      },
+      { $push: { friendRequests: { from: sender._id, status: 'pending', createdAt: new Date() } } }
+    );
+
+    if (modifiedCount === 0) {
+      throw friendError('A friend request is already pending', 'DUPLICATE_REQUEST');
+    }
+
+    realtimeService.emitToUser(recipient._id, 'friend-request-received', {
+      user: this.summarize(sender)
+    });
+
+    return { status: 'pending', user: this.summarize(recipient) };
+  }
+
+  /**
+   * Accept or decline an incoming friend request
+   * @param {Object} user - Recipient user document
+   * @param {string} senderId - User ID that sent the request
+   * @param {boolean} accept - True to accept, false to decline
+   * @returns {Object} Sender summary
+   */
+  async respond(user, senderId, accept) {
+    const update = { $set: { 'friendRequests.$[request].status': accept ? 'accepted' : 'declined' } };
+    if (accept) {
+      update.$addToSet = { friends: senderId };
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, friendRequests: { $elemMatch: { from: senderId, status: 'pending' } } },
+      update,
+      { arrayFilters: [{ 'request.from': senderId, 'request.status': 'pending' }], new: true }
+    );
+
+    if (!updated) {
+      throw friendError('Friend request not found', 'REQUEST_NOT_FOUND');
+    }
+
+    const sender = accept
+      ? await User.findByIdAndUpdate(senderId, { $addToSet: { friends: user._id } }, { new: true }).select(PUBLIC_FIELDS)
+      : await User.findById(senderId).select(PUBLIC_FIELDS);
+
+    realtimeService.emitToUser(senderId, accept ? 'friend-request-accepted' : 'friend-request-declined', {
+      user: this.summarize(user)
+    });
+
+    return sender ? this.summarize(sender) : { _id: senderId };
+  }
+
+  /**
+   * Withdraw a pending request the user sent
+   * @param {Object} user - Sending user document
+   * @param {string} recipientId - Recipient user ID
+   */
+  async cancelRequest(user, recipientId) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: recipientId },
+      { $pull: { friendRequests: { from: user._id, status: 'pending' } } }
+    );
+
+    if (modifiedCount === 0) {
+      throw friendError('Friend request not found', 'REQUEST_NOT_FOUND');
+    }
+
+    realtimeService.emitToUser(recipientId, 'friend-request-cancelled', {
+      user: this.summarize(user)
+    });
+  }
+
+  /**
+   * End a friendship on both sides
+   * @param {Object} user - User document
+   * @param {string} friendId - Friend's user ID
+   */
+  async unfriend(user, friendId) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, friends: friendId },
+      { $pull: { friends: friendId } }
+    );
+
+    if (modifiedCount === 0) {
+      throw friendError('You are not friends with this user', 'NOT_FRIENDS');
+    }
+
+    await User.updateOne({ _id: friendId }, { $pull: { friends: user._id } });
+
+    realtimeService.emitToUser(friendId, 'friend-removed', {
+      user: this.summarize(user)
+    });
+  }
+
+  /**
+   * List pending requests sent to the user
+   * @param {string} userId - User ID
+   * @returns {Array} [{ user, createdAt }]
+   */
+  async listIncoming(userId) {
+    const user = await User.findById(userId)
+      .select('friendRequests')
+      .populate('friendRequests.from', PUBLIC_FIELDS);
+
+    return user.friendRequests
+      .filter(request => request.status === 'pending' && request.from)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(request => ({
+        user: this.summarize(request.from),
+        createdAt: request.createdAt
+      }));
+  }
+
+  /**
+   * List pending requests the user has sent
+   * @param {string} userId - User ID
+   * @returns {Array} [{ user, createdAt }]
+   */
+  async listOutgoing(userId) {
+    const recipients = await User.find({
+      friendRequests: { $elemMatch: { from: userId, status: 'pending' } }
+    }).select(`${PUBLIC_FIELDS} friendRequests`);
+
+    return recipients
+      .map(recipient => ({
+        user: this.summarize(recipient),
+        createdAt: recipient.friendRequests.find(request =>
+          request.from.equals(userId) && request.status === 'pending'
+        ).createdAt
+      }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+}
+
+module.exports = new FriendService();
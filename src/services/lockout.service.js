@@ -0,0 +1,237 @@
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const emailService = require('./email.service');
+const sessionService = require('./session.service');
+
+const FAILURE_WINDOW_MS = 30 * 60 * 1000; // failures older than this are forgotten
+const FREE_ATTEMPTS = 3; // failures allowed before delays start
+const MAX_DELAY_MS = 60 * 1000; // delays double up to 1 minute
+const LOCKOUT_THRESHOLD = 10; // failures before the account is locked
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Lockout Service
+ * Tracks failed credential checks per account (password, second factor and
+ * emailed codes). Repeated failures slow further attempts down and eventually
+ * lock the account for a while; the owner is emailed when that happens.
+ * Every attempt is recorded as a LoginEvent.
+ */
+class LockoutService {
+  /**
+   * Check whether an account is currently accepting credential attempts
+   * @param {Object} user - User document
+   * @returns {Object|null} { code, retryAfter } if blocked, otherwise null
+   */
+  getBlock(user) {
+    const protection = user.loginProtection || {};
+    const now = Date.now();
+
+    if (protection.lockedUntil && protection.lockedUntil.getTime() > now) {
+      return {
+        code: 'ACCOUNT_LOCKED',
+        retryAfter: Math.ceil((protection.lockedUntil.getTime() - now) / 1000)
+      };
+    }
+
+    if (protection.nextAttemptAt && protection.nextAttemptAt.getTime() > now) {
+      return {
+        code: 'LOGIN_THROTTLED',
+        retryAfter: Math.ceil((protection.nextAttemptAt.getTime() - now) / 1000)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an account before a credential attempt, recording blocked attempts
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object
+   * @param {string} method - Login method (see LoginEvent.METHODS)
+   * @returns {Object|null} { code, retryAfter } if blocked, otherwise null
+   */
+  async checkAttempt(user, req, method) {
+    const block = this.getBlock(user);
+
+    if (block) {
+      await this.recordEvent(user._id, req, {
+        method,
+        success: false,
+        reason: block.code === 'ACCOUNT_LOCKED' ? 'locked' : 'throttled'
+      });
+    }
+
+    return block;
+  }
+
+  /**
+   * Delay before the next attempt after a number of consecutive failures
+   * @param {number} failedAttempts - Consecutive failures
+   * @returns {number} Delay in milliseconds
+   */
+  getDelayMs(failedAttempts) {
+    if (failedAttempts <= FREE_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(1000 * (2 ** (failedAttempts - FREE_ATTEMPTS - 1)), MAX_DELAY_MS);
+  }
+
+  /**
+   * Record a failed credential check
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object
+   * @param {string} method - Login method (see LoginEvent.METHODS)
+   * @param {string} reason - Failure reason
+   * @returns {Object} { failedAttempts, locked }
+   */
+  async recordFailure(user, req, method, reason = 'invalid_credentials') {
+    const now = new Date();
+    const recent = { $gt: ['$loginProtection.lastFailedAt', new Date(now.getTime() - FAILURE_WINDOW_MS)] };
+
+    // Count atomically so parallel guesses are all counted
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      [{
+        $set: {
+          'loginProtection.failedAttempts': {
+            $cond: [recent, { $add: [{ $ifNull: ['$loginProtection.failedAttempts', 0] }, 1] }, 1]
+          },
+          'loginProtection.lastFailedAt': now
+        }
+      }],
+      { new: true, projection: { loginProtection: 1 } }
+    );
+
+    const failedAttempts = updated ? updated.loginProtection.failedAttempts : 1;
+    const locked = failedAttempts >= LOCKOUT_THRESHOLD;
+    const protection = {
+      'loginProtection.nextAttemptAt': new Date(now.getTime() + this.getDelayMs(failedAttempts))
+    };
+
+    if (locked) {
+      protection['loginProtection.lockedUntil'] = new Date(now.getTime() + LOCKOUT_MS);
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: protection });
+    await this.recordEvent(user._id, req, { method, success: false, reason });
+
+    // Alert the owner once per run of failures, not on every attempt while locked
+    if (failedAttempts === LOCKOUT_THRESHOLD) {
+      console.warn(`🔒 Account ${user._id} locked after ${failedAttempts} failed attempts`);
+      await this.sendLockoutAlert(user, req);
+    }
+
+    return { failedAttempts, locked };
+  }
+
+  /**
+   * Record a successful sign-in and clear the failure count
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object
+   * @param {string} method - Login method (see LoginEvent.METHODS)
+   */
+  async recordSuccess(user, req, method) {
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { loginProtection: 1 } }
+    );
+    await this.recordEvent(user._id, req, { method, success: true });
+  }
+
+  /**
+   * Record a login event
+   * Failures to write the event are logged and never fail the login itself.
+   * @param {string} userId - User ID
+   * @param {Object} req - Express request object
+   * @param {Object} event - { method, success, reason }
+   */
+  async recordEvent(userId, req, { method, success, reason }) {
+    try {
+      const { ipAddress, userAgent, deviceFingerprint, ipRange, location } = sessionService.getClientInfo(req);
+
+      await LoginEvent.create({
+        userId,
+        method,
+        success,
+        reason,
+        ipAddress,
+        userAgent,
+        deviceFingerprint,
+        ipRange,
+        location
+      });
+    } catch (error) {
+      console.error('Failed to record login event:', error.message);
+    }
+  }
+
+  /**
+   * Email the account owner that their account was locked
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object
+   */
+  async sendLockoutAlert(user, req) {
+    try {
+      await emailService.sendToUser(user, 'account_locked', {
+        time: new Date().toUTCString(),
+        ipAddress: req ? req.ip : 'unknown',
+        device: (req && req.headers['user-agent']) || 'unknown',
+        lockMinutes: LOCKOUT_MS / 60000
+      });
+    } catch (error) {
+      console.error('Failed to send lockout alert:', error.message);
+    }
+  }
+
+  /**
+   * List a user's login events, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit, success }
+   * @returns {Object} { events, pagination }
+   */
+  async listEvents(userId, { page = 1, limit = 20, success } = {}) {
+    const query = { userId };
+    if (success === 'true' || success === 'false') {
+      query.success = success === 'true';
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find(query)
+        .select('-userId -__v')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      LoginEvent.countDocuments(query)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Build the JSON error for a blocked attempt
+   * @param {Object} block - Result from getBlock()
+   * @returns {Object} Response body
+   */
+  toErrorResponse(block) {
+    return {
+      error: block.code === 'ACCOUNT_LOCKED'
+        ? 'Too many failed attempts. This account is temporarily locked.'
+        : 'Too many failed attempts. Please wait before trying again.',
+      code: block.code,
+      retryAfter: block.retryAfter
+    };
+  }
+}
+
+module.exports = new LockoutService();
@@ -0,0 +1,168 @@
+const LoginEvent = require('../models/LoginEvent');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sessionService = require('./session.service');
+const emailService = require('./email.service');
+const notificationService = require('./notification.service');
+const auditService = require('./audit.service');
+const { generateToken, verifyToken, isTokenVersionCurrent } = require('../utils/jwt.utils');
+
+const REPORT_TOKEN_EXPIRES_IN = '7d';
+
+/**
+ * Login Alert Service
+ * Spots sign-ins from a device or network an account hasn't used before, tells
+ * the owner by email and in-app notification, and handles their "this wasn't
+ * me" report.
+ */
+class LoginAlertService {
+  /**
+   * Compare a sign-in with the account's earlier successful sign-ins
+   * Must run before the new sign-in is recorded.
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object
+   * @returns {Object} { suspicious, reasons }
+   */
+  async assess(user, req) {
+    const { deviceFingerprint, ipRange } = sessionService.getClientInfo(req);
+    const previous = { userId: user._id, success: true };
+
+    const [hasHistory, knownDevice, knownNetwork] = await Promise.all([
+      LoginEvent.exists(previous),
+      deviceFingerprint ? LoginEvent.exists({ ...previous, deviceFingerprint }) : null,
+      ipRange ? LoginEvent.exists({ ...previous, ipRange }) : null
+    ]);
+
+    const reasons = [];
+    if (!knownDevice) reasons.push('new_device');
+    // Without a readable IP there is no network to compare
+    if (ipRange && !knownNetwork) reasons.push('new_network');
+
+    // The first sign-in has nothing to compare against
+    return {
+      suspicious: !!hasHistory && reasons.length > 0,
+      reasons
+    };
+  }
+
+  /**
+   * Create the signed token behind the "this wasn't me" link
+   * @param {Object} user - User document
+   * @param {Object} session - Session the alert is about
+   * @returns {string} Report token
+   */
+  issueReportToken(user, session) {
+    return generateToken({
+      type: 'login_report',
+      userId: user._id.toString(),
+      sessionId: session._id.toString(),
+      tokenVersion: user.tokenVersion || 0
+    }, REPORT_TOKEN_EXPIRES_IN);
+  }
+
+  /**
+   * Email and notify the owner about a sign-in
+   * Never throws; a failed alert must not fail the sign-in.
+   * @param {Object} user - User document
+   * @param {Object} session - New session
+   * @param {Object} assessment - Result from assess()
+   */
+  async alert(user, session, assessment) {
+    try {
+      const reportToken = this.issueReportToken(user, session);
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+      const location = session.location && session.location.country
+        ? [session.location.city, session.location.country].filter(Boolean).join(', ')
+        : 'Unknown';
+
+      const details = {
+        time: session.createdAt.toUTCString(),
+        device: session.device || session.userAgent || 'Unknown device',
+        ipAddress: session.ipAddress || 'Unknown',
+        location
+      };
+
+      await emailService.sendToUser(user, 'login_alert', {
+        ...details,
+        reportUrl: `${frontendUrl}/security/report-login?token=${reportToken}`
+      });
+
+      await notificationService.notify(user._id, {
+        type: 'login_alert',
+        title: 'New sign-in to your account',
+        body: `${details.device} · ${details.ipAddress} · ${details.location}`,
+        data: {
+          ...details,
+          // The report token only goes out by email; signed-in users can
+          // revoke the session by ID instead
+          sessionId: session._id,
+          reasons: assessment.reasons
+        }
+      });
+
+      console.log(`🔔 Login alert sent to user ${user._id} (${assessment.reasons.join(', ')})`);
+    } catch (error) {
+      console.error('Failed to send login alert:', error.message);
+    }
+  }
+
+  /**
+   * Handle a "this wasn't me" report
+   * Signs out every session on the account and requires a password reset
+   * before the password can be used again. Throws an error with code INVALID_REPORT_TOKEN
+   * for a bad, expired or outdated token.
+   * @param {string} token - Report token
+   * @param {Object} req - Express request object (for the audit log)
+   * @returns {Object} { user, alreadyReported }
+   */
+  async reportLogin(token, req = null) {
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      decoded = null;
+    }
+
+    const user = decoded && decoded.type === 'login_report'
+      ? await User.findById(decoded.userId)
+      : null;
+    const session = user
+      ? await Session.findOne({ _id: decoded.sessionId, userId: user._id })
+      : null;
+
+    // Reporting bumps tokenVersion, so a second click lands here rather than
+    // failing the version check below
+    if (session && session.revokedReason === 'reported_suspicious') {
+      return { user, alreadyReported: true };
+    }
+
+    // A password reset bumps tokenVersion, so old links stop working
+    if (!user || !isTokenVersionCurrent(decoded, user)) {
+      const error = new Error('This link is invalid or has expired');
+      error.code = 'INVALID_REPORT_TOKEN';
+      throw error;
+    }
+
+    // Whoever signed in may hold sessions from any sign-in method, so end
+    // them all, not just the reported one
+    user.passwordReset.required = true;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    user.isOnline = false;
+    await user.save();
+
+    await sessionService.revokeAllSessions(user._id, 'reported_suspicious');
+
+    await auditService.record({
+      actor: user._id,
+      action: 'session.reported_suspicious',
+      targetType: 'Session',
+      targetId: decoded.sessionId
+    }, req);
+
+    console.warn(`⚠️ User ${user._id} reported session ${decoded.sessionId} as not theirs`);
+
+    return { user, alreadyReported: false };
+  }
+}
+
+module.exports = new LoginAlertService();
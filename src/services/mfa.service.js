@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generateToken, verifyToken } = require('../utils/jwt.utils');
+const { encrypt, decrypt, hashToken } = require('../utils/crypto.utils');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl
+} = require('../utils/totp.utils');
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MFA_TOKEN_EXPIRES_IN = '5m';
+
+const TWO_FACTOR_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.recoveryCodes'
+].join(' ');
+
+/**
+ * Mirror a change already written to the database on a loaded document,
+ * without marking it for a later save() to write back
+ * @param {Object} doc - Mongoose document
+ * @param {string} path - Field path
+ * @param {*} value - Stored value
+ */
+const applyWithoutSaving = (doc, path, value) => {
+  doc.set(path, value);
+  doc.unmarkModified(path);
+};
+
+/**
+ * MFA Service
+ * TOTP enrollment, second-factor verification and one-time recovery codes
+ */
+class MFAService {
+  /**
+   * Load a user together with their (normally hidden) two-factor fields
+   * @param {string} userId - User ID
+   * @returns {Object|null} User document
+   */
+  async getUserWithSecrets(userId) {
+    return User.findById(userId).select(TWO_FACTOR_FIELDS);
+  }
+
+  /**
+   * Start TOTP enrollment by generating a pending secret
+   * @param {string} userId - User ID
+   * @returns {Object} { secret, otpauthUrl }
+   */
+  async startEnrollment(userId) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email || user.username)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Array<string>} Plaintext recovery codes (shown once)
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (!user || !user.twoFactor.pendingSecret) {
+      throw new Error('No two-factor enrollment in progress');
+    }
+
+    const secret = decrypt(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, code);
+
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({
+      codeHash: this.hashRecoveryCode(recoveryCode)
+    }));
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Disable two-factor authentication
+   * @param {string} userId - User ID
+   * @param {Object} factor - { code } or { recoveryCode }
+   */
+  async disable(userId, factor) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (!user || !user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (!(await this.verifySecondFactor(user, factor))) {
+      throw new Error('Invalid verification code');
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+  }
+
+  /**
+   * Replace the recovery codes (requires a valid second factor)
+   * @param {string} userId - User ID
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Array<string>} New plaintext recovery codes
+   */
+  async regenerateRecoveryCodes(userId, factor) {
+    const user = await this.getUserWithSecrets(userId);
+
+    if (!user || !user.twoFactor.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (!(await this.verifySecondFactor(user, factor))) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({
+      codeHash: this.hashRecoveryCode(recoveryCode)
+    }));
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP code or consume a recovery code
+   * Each TOTP step and recovery code is claimed with a conditional update, so
+   * parallel requests can't both accept the same one.
+   * The user document must have been loaded with getUserWithSecrets().
+   * @param {Object} user - User document
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {boolean} True if the second factor is valid
+   */
+  async verifySecondFactor(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactor.enabled || !user.twoFactor.secret) {
+      return false;
+    }
+
+    if (code) {
+      const step = verifyCode(decrypt(user.twoFactor.secret), code);
+
+      if (step === null) {
+        return false;
+      }
+
+      // Each code can only be used once, even within its validity window
+      const claimed = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          'twoFactor.enabled': true,
+          $or: [
+            { 'twoFactor.lastUsedStep': null },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      ).select('_id');
+
+      if (!claimed) {
+        return false;
+      }
+
+      applyWithoutSaving(user, 'twoFactor.lastUsedStep', step);
+      return true;
+    }
+
+    if (recoveryCode) {
+      const codeHash = this.hashRecoveryCode(recoveryCode);
+      const usedAt = new Date();
+
+      const claimed = await User.findOneAndUpdate(
+        {
+          _id: user._id,
+          'twoFactor.enabled': true,
+          'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': usedAt } }
+      ).select('_id');
+
+      if (!claimed) {
+        return false;
+      }
+
+      const index = user.twoFactor.recoveryCodes.findIndex(entry => !entry.usedAt && entry.codeHash === codeHash);
+      if (index !== -1) {
+        applyWithoutSaving(user, `twoFactor.recoveryCodes.${index}.usedAt`, usedAt);
+      }
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Count unused recovery codes
+   * @param {Object} user - User document loaded with getUserWithSecrets()
+   * @returns {number} Remaining codes
+   */
+  getRemainingRecoveryCodes(user) {
+    return (user.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+  }
+
+  /**
+   * Issue a short-lived token proving the first factor passed
+   * @param {Object} user - User document
+   * @returns {string} MFA pending token
+   */
+  issueMfaToken(user) {
+    return generateToken({
+      type: 'mfa_pending',
+      userId: user._id.toString(),
+      tokenVersion: user.tokenVersion || 0
+    }, MFA_TOKEN_EXPIRES_IN);
+  }
+
+  /**
+   * Verify an MFA pending token
+   * @param {string} token - MFA pending token
+   * @returns {Object} Decoded payload
+   */
+  verifyMfaToken(token) {
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      throw new Error('Invalid or expired MFA token');
+    }
+
+    if (decoded.type !== 'mfa_pending') {
+      throw new Error('Invalid MFA token');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Generate a set of random recovery codes (format XXXXX-XXXXX)
+   * @returns {Array<string>} Recovery codes
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const chars = Array.from({ length: 10 }, () =>
+        RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]
+      ).join('');
+      return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code (case and separator insensitive)
+   * @param {string} recoveryCode - Recovery code
+   * @returns {string} Hash
+   */
+  hashRecoveryCode(recoveryCode) {
+    return hashToken(String(recoveryCode).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+  }
+}
+
+module.exports = new MFAService();
@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Transaction = require('../models/Transaction');
+const sessionService = require('./session.service');
+const realtimeService = require('./realtime.service');
+const auditService = require('./audit.service');
+const { escapeRegex } = require('../utils/string.utils');
+const { ROLES, getRoleRank } = require('../../config/roles');
+
+const SUSPENSION_FREEZE_REASON = 'Sender account suspended';
+const ACCOUNT_STATUSES = User.schema.path('accountStatus').enumValues;
+const ADMIN_USER_FIELDS = 'username displayName email profilePicture role accountStatus suspension isVerified emailVerification.isVerified walletAddress lastActive createdAt';
+
+/**
+ * Build an error with a code the controller maps to an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error
+ */
+const moderationError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Moderation Service
+ * Staff actions on user accounts: lookup, suspension and forced logout.
+ * Every state-changing action is written to the audit log.
+ */
+class ModerationService {
+  /**
+   * Search users for the admin console
+   * @param {Object} filters - { q, status, role }
+   * @param {Object} options - { page, limit }
+   * @returns {Object} { users, pagination }
+   */
+  async searchUsers({ q, status, role } = {}, { page = 1, limit = 20 } = {}) {
+    // Query string values can arrive as arrays or objects (?q[]=x, ?status[$ne]=x)
+    for (const [name, value] of Object.entries({ q, status, role })) {
+      if (value !== undefined && typeof value !== 'string') {
+        throw moderationError(`${name} must be a string`, 'INVALID_FILTER');
+      }
+    }
+
+    if (status && !ACCOUNT_STATUSES.includes(status)) {
+      throw moderationError(`status must be one of: ${ACCOUNT_STATUSES.join(', ')}`, 'INVALID_FILTER');
+    }
+
+    if (role && !ROLES.includes(role)) {
+      throw moderationError(`role must be one of: ${ROLES.join(', ')}`, 'INVALID_FILTER');
+    }
+
+    const query = {};
+    const term = q ? q.trim() : '';
+
+    if (term) {
+      const pattern = new RegExp(escapeRegex(term), 'i');
+      query.$or = [
+        { username: pattern },
+        { displayName: pattern },
+        { email: pattern },
+        { walletAddress: term }
+      ];
+
+      if (mongoose.Types.ObjectId.isValid(term)) {
+        query.$or.push({ _id: term });
+      }
+    }
+
+    if (status) query.accountStatus = status;
+    if (role) query.role = role;
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(ADMIN_USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      User.countDocuments(query)
+    ]);
+
+    return {
+      users,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Get a user with their active session count
+   * @param {string} userId - User ID
+   * @returns {Object|null} { user, activeSessions }
+   */
+  async getUser(userId) {
+    const user = await User.findById(userId).select(ADMIN_USER_FIELDS);
+
+    if (!user) {
+      return null;
+    }
+
+    const sessions = await sessionService.getActiveSessions(userId);
+
+    return { user, activeSessions: sessions.length };
+  }
+
+  /**
+   * Get metadata for a user's chats (never message content)
+   * @param {string} userId - User ID
+   * @returns {Array} Chat metadata
+   */
+  async getUserChatMetadata(userId) {
+    const chats = await Chat.find({ participants: userId })
+      .select('type name participants messageCount status lastActivity createdAt')
+      .populate('participants', 'username displayName')
+      .sort({ lastActivity: -1 })
+      .limit(200);
+
+    const sentCounts = await Message.aggregate([
+      {
+        $match: {
+          chatId: { $in: chats.map(chat => chat._id) },
+          senderId: new mongoose.Types.ObjectId(userId.toString())
+        }
+      },
+      { $group: { _id: '$chatId', count: { $sum: 1 } } }
+    ]);
+    const sentByChat = new Map(sentCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    return chats.map(chat => ({
+      _id: chat._id,
+      type: chat.type,
+      name: chat.name,
+      participants: chat.participants,
+      status: chat.status,
+      messageCount: chat.messageCount,
+      messagesSentByUser: sentByChat.get(chat._id.toString()) || 0,
+      lastActivity: chat.lastActivity,
+      createdAt: chat.createdAt
+    }));
+  }
+
+  /**
+   * Check that the acting staff member has a higher role than the target
+   * Throws an error with code FORBIDDEN otherwise.
+   * @param {string} actor - Acting user ID (none for system actions)
+   * @param {Object} user - Target user document
+   * @param {string} action - Action name for the error message
+   */
+  async assertOutranks(actor, user, action) {
+    if (!actor) {
+      return;
+    }
+
+    const actingUser = await User.findById(actor).select('role');
+
+    if (!actingUser || getRoleRank(user.role) >= getRoleRank(actingUser.role)) {
+      throw moderationError(
+        `You cannot ${action} a user whose role is equal to or higher than yours`,
+        'FORBIDDEN'
+      );
+    }
+  }
+
+  /**
+   * Suspend an account
+   * Revokes every session, disconnects live sockets and freezes every pending
+   * outgoing transaction (payments, requests and withdrawals). Staff can only
+   * suspend users with a lower role than their own, and the last active admin
+   * can never be suspended.
+   * @param {string} userId - User ID
+   * @param {Object} options - { actor, reason, req }
+   * @returns {Object} { user, frozenTransactions, revokedSessions }
+   */
+  async suspend(userId, { actor, reason, req = null }) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (actor && actor.toString() === user._id.toString()) {
+      throw new Error('You cannot suspend your own account');
+    }
+
+    if (user.accountStatus === 'suspended') {
+      throw new Error('Account is already suspended');
+    }
+
+    await this.assertOutranks(actor, user, 'suspend');
+
+    // Never leave the system without an admin
+    if (user.role === 'admin' && user.accountStatus === 'active') {
+      const adminCount = await User.countDocuments({ role: 'admin', accountStatus: 'active' });
+      if (adminCount <= 1) {
+        throw new Error('Cannot suspend the last admin');
+      }
+    }
+
+    user.accountStatus = 'suspended';
+    user.suspension = {
+      reason,
+      suspendedAt: new Date(),
+      suspendedBy: actor
+    };
+    user.isOnline = false;
+    await user.save();
+
+    const revokedSessions = await sessionService.revokeAllSessions(user._id, 'admin');
+    realtimeService.disconnectUser(user._id);
+
+    const { modifiedCount: frozenTransactions } = await Transaction.updateMany(
+      { fromUser: user._id, status: 'pending' },
+      {
+        status: 'frozen',
+        freeze: {
+          frozenAt: new Date(),
+          reason: SUSPENSION_FREEZE_REASON,
+          frozenBy: actor
+        }
+      }
+    );
+
+    await auditService.record({
+      actor,
+      action: 'user.suspended',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { revokedSessions, frozenTransactions }
+    }, req);
+
+    console.log(`⛔ User ${user.username} suspended (${frozenTransactions} payments frozen)`);
+
+    return { user, frozenTransactions, revokedSessions };
+  }
+
+  /**
+   * Reactivate a suspended account and release payments frozen by the suspension
+   * @param {string} userId - User ID
+   * @param {Object} options - { actor, reason, req }
+   * @returns {Object} { user, releasedTransactions }
+   */
+  async reactivate(userId, { actor, reason, req = null }) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Deactivation is the owner's choice and is not undone by staff
+    if (user.accountStatus !== 'suspended') {
+      throw new Error('Only suspended accounts can be reactivated');
+    }
+
+    await this.assertOutranks(actor, user, 'reactivate');
+
+    user.accountStatus = 'active';
+    user.suspension = undefined;
+    await user.save();
+
+    const { modifiedCount: releasedTransactions } = await Transaction.updateMany(
+      { fromUser: user._id, status: 'frozen', 'freeze.reason': SUSPENSION_FREEZE_REASON },
+      { status: 'pending', $unset: { freeze: '' } }
+    );
+
+    await auditService.record({
+      actor,
+      action: 'user.reactivated',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { releasedTransactions }
+    }, req);
+
+    return { user, releasedTransactions };
+  }
+
+  /**
+   * Sign a user out everywhere
+   * Staff can only sign out users with a lower role than their own.
+   * @param {string} userId - User ID
+   * @param {Object} options - { actor, reason, req }
+   * @returns {number} Number of sessions revoked
+   */
+  async forceLogout(userId, { actor, reason, req = null }) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await this.assertOutranks(actor, user, 'sign out');
+
+    const revokedSessions = await sessionService.revokeAllSessions(user._id, 'admin');
+    realtimeService.disconnectUser(user._id);
+
+    user.isOnline = false;
+    await user.save();
+
+    await auditService.record({
+      actor,
+      action: 'user.force_logout',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { revokedSessions }
+    }, req);
+
+    return revokedSessions;
+  }
+}
+
+module.exports = new ModerationService();
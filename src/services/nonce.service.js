@@ -0,0 +1,49 @@
+const { generateRandomness } = require('@mysten/zklogin');
+const AuthNonce = require('../models/AuthNonce');
+const { hashToken } = require('../utils/crypto.utils');
+
+const NONCE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Nonce Service
+ * Issues the single-use values that bind a provider ID token to one sign-in.
+ * The value is sent to the provider as the OIDC `nonce`, or, for zkLogin, used
+ * as the `randomness` the client hashes into its zkLogin nonce. Either way an
+ * ID token is only accepted once, and only for a value this server issued.
+ */
+class NonceService {
+  /**
+   * Issue a new nonce
+   * @returns {Object} { nonce, expiresAt }
+   */
+  async issue() {
+    // A 128-bit decimal string, valid both as an OIDC nonce and as zkLogin randomness
+    const nonce = generateRandomness();
+    const expiresAt = new Date(Date.now() + NONCE_TTL_MS);
+
+    await AuthNonce.create({ valueHash: hashToken(nonce), expiresAt });
+
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Use up a nonce
+   * @param {string} nonce - Nonce issued by issue()
+   * @returns {boolean} True if the nonce was live and has now been consumed
+   */
+  async consume(nonce) {
+    if (!nonce) {
+      return false;
+    }
+
+    // Whoever deletes the nonce first wins; a nonce is never accepted twice
+    const consumed = await AuthNonce.findOneAndDelete({
+      valueHash: hashToken(nonce),
+      expiresAt: { $gt: new Date() }
+    });
+
+    return !!consumed;
+  }
+}
+
+module.exports = new NonceService();
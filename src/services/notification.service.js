@@ -0,0 +1,77 @@
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtime.service');
+
+/**
+ * Notification Service
+ * Stores in-app notifications and pushes them to the user's open sockets
+ */
+class NotificationService {
+  /**
+   * Create a notification and emit it as a 'notification' socket event
+   * @param {string} userId - Recipient user ID
+   * @param {Object} notification - { type, title, body, data }
+   * @returns {Object} Notification document
+   */
+  async notify(userId, { type, title, body, data }) {
+    const notification = await Notification.create({ userId, type, title, body, data });
+
+    realtimeService.emitToUser(userId, 'notification', notification.toJSON());
+
+    return notification;
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit, unread }
+   * @returns {Object} { notifications, unreadCount, pagination }
+   */
+  async list(userId, { page = 1, limit = 20, unread } = {}) {
+    const query = { userId };
+    if (unread === 'true') {
+      query.readAt = { $exists: false };
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select('-userId -__v')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId, readAt: { $exists: false } })
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Mark notifications as read
+   * @param {string} userId - User ID
+   * @param {string} notificationId - Notification ID, or null for all of them
+   * @returns {number} Number of notifications marked
+   */
+  async markRead(userId, notificationId = null) {
+    const query = { userId, readAt: { $exists: false } };
+    if (notificationId) {
+      query._id = notificationId;
+    }
+
+    const { modifiedCount } = await Notification.updateMany(query, { readAt: new Date() });
+    return modifiedCount;
+  }
+}
+
+module.exports = new NotificationService();
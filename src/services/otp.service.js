@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const { hashToken, safeEqual } = require('../utils/crypto.utils');
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_ATTEMPTS = 5; // wrong guesses before the code is discarded
+const RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute between sends
+
+/**
+ * OTP Service
+ * Issues and checks purpose-scoped one-time codes. Codes are stored hashed,
+ * expire after 10 minutes, are discarded after too many wrong guesses and can
+ * only be re-sent after a cooldown.
+ */
+class OTPService {
+  /**
+   * Hash a code together with its owner and purpose
+   * A code issued for one purpose can never satisfy another.
+   * @param {string} userId - User ID
+   * @param {string} purpose - OTP purpose
+   * @param {string} code - Plaintext code
+   * @returns {string} Hash
+   */
+  hashCode(userId, purpose, code) {
+    return hashToken(`${userId.toString()}:${purpose}:${code}`);
+  }
+
+  /**
+   * Check that a purpose is one the service issues codes for
+   * @param {string} purpose - OTP purpose
+   * @returns {boolean} True if valid
+   */
+  isValidPurpose(purpose) {
+    return Otp.PURPOSES.includes(purpose);
+  }
+
+  /**
+   * Generate a random 6-digit code
+   * @returns {string} Code
+   */
+  generateCode() {
+    return crypto.randomInt(100000, 1000000).toString();
+  }
+
+  /**
+   * Issue a new code, replacing any earlier code for the same purpose
+   * Throws an error with code OTP_RESEND_COOLDOWN (and retryAfter in seconds)
+   * if a code was sent too recently.
+   * @param {string} userId - User ID
+   * @param {string} purpose - OTP purpose
+   * @returns {Object} { code, expiresAt }
+   */
+  async issue(userId, purpose) {
+    const existing = await Otp.findOne({ userId, purpose });
+
+    if (existing && existing.expiresAt > new Date()) {
+      const nextSendAt = existing.lastSentAt.getTime() + RESEND_COOLDOWN_MS;
+
+      if (nextSendAt > Date.now()) {
+        const error = new Error('Please wait before requesting another code');
+        error.code = 'OTP_RESEND_COOLDOWN';
+        error.retryAfter = Math.ceil((nextSendAt - Date.now()) / 1000);
+        throw error;
+      }
+    }
+
+    const code = this.generateCode();
+    const expiresAt = new Date(Date.now() + OTP_TTL_MS);
+
+    await Otp.findOneAndUpdate(
+      { userId, purpose },
+      {
+        codeHash: this.hashCode(userId, purpose, code),
+        attempts: 0,
+        lastSentAt: new Date(),
+        expiresAt
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return { code, expiresAt };
+  }
+
+  /**
+   * Check a code and consume it on success
+   * @param {string} userId - User ID
+   * @param {string} purpose - OTP purpose
+   * @param {string} code - Code to check
+   * @returns {Object} { valid, reason, attemptsRemaining }
+   */
+  async verify(userId, purpose, code) {
+    // Count the attempt atomically so parallel guesses can't exceed the limit
+    const otp = await Otp.findOneAndUpdate(
+      {
+        userId,
+        purpose,
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: MAX_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).select('+codeHash');
+
+    if (!otp) {
+      return { valid: false, reason: 'not_found' };
+    }
+
+    const codeHash = this.hashCode(userId, purpose, String(code || '').trim());
+
+    if (safeEqual(otp.codeHash, codeHash)) {
+      // Whoever deletes the code first wins; a code is never accepted twice
+      const { deletedCount } = await Otp.deleteOne({ _id: otp._id });
+      return deletedCount === 1 ? { valid: true } : { valid: false, reason: 'not_found' };
+    }
+
+    if (otp.attempts >= MAX_ATTEMPTS) {
+      await Otp.deleteOne({ _id: otp._id });
+      return { valid: false, reason: 'too_many_attempts', attemptsRemaining: 0 };
+    }
+
+    return {
+      valid: false,
+      reason: 'invalid',
+      attemptsRemaining: MAX_ATTEMPTS - otp.attempts
+    };
+  }
+
+  /**
+   * Discard any live code for a purpose
+   * @param {string} userId - User ID
+   * @param {string} purpose - OTP purpose
+   */
+  async invalidate(userId, purpose) {
+    await Otp.deleteOne({ userId, purpose });
+  }
+
+  /**
+   * Build the JSON error for a failed verification
+   * @param {Object} result - Result from verify()
+   * @returns {Object} Response body
+   */
+  toErrorResponse(result) {
+    if (result.reason === 'too_many_attempts') {
+      return {
+        error: 'Too many incorrect attempts. Request a new code.',
+        code: 'OTP_ATTEMPTS_EXCEEDED'
+      };
+    }
+
+    return {
+      error: 'Invalid or expired OTP',
+      code: 'INVALID_OTP',
+      ...(result.attemptsRemaining !== undefined && { attemptsRemaining: result.attemptsRemaining })
+    };
+  }
+}
+
+module.exports = new OTPService();
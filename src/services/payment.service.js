@@ -2,6 +2,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const emailService = require('./email.service');
 
 /**
  * Payment Service
@@ -131,6 +132,15 @@ class PaymentService {
           };
         }
 
+        // Frozen payments are held until staff release them
+        if (transaction.status === 'frozen') {
+          return {
+            success: false,
+            message: 'Payment is on hold pending review',
+            transactionId: transaction._id
+          };
+        }
+
         // Update transaction
         transaction.status = 'completed';
         transaction.suiTxHash = paymentData.reference;
@@ -152,6 +162,8 @@ class PaymentService {
           { $inc: { balance: transaction.amount } }
         );
 
+        this.notifyPaymentReceived(transaction);
+
         return {
           success: true,
           transactionId: transaction._id,
@@ -465,6 +477,8 @@ class PaymentService {
 
       await User.findByIdAndUpdate(userId, { $inc: { balance: -amount } });
 
+      this.notifyWithdrawalStatus(transaction);
+
       return {
         success: true,
         message: 'Transfer queued successfully',
@@ -491,6 +505,7 @@ class PaymentService {
     if (event.event === 'transfer.success') {
       transaction.status = 'completed';
       await transaction.save();
+      this.notifyWithdrawalStatus(transaction);
     } else if (event.event === 'transfer.failed') {
       transaction.status = 'failed';
       await transaction.save();
@@ -499,6 +514,63 @@ class PaymentService {
       await User.findByIdAndUpdate(transaction.fromUser, {
         $inc: { balance: transaction.amount }
       });
+      this.notifyWithdrawalStatus(transaction);
+    }
+  }
+
+  /**
+   * Check whether a user wants payment emails
+   * @param {Object} user - User document
+   * @returns {boolean} True if payment emails are enabled
+   */
+  wantsPaymentEmails(user) {
+    const notifications = (user && user.preferences && user.preferences.notifications) || {};
+    return notifications.email !== false && notifications.payments !== false;
+  }
+
+  /**
+   * Email the recipient of a completed payment (best effort)
+   * @param {Object} transaction - Completed transaction
+   */
+  async notifyPaymentReceived(transaction) {
+    try {
+      const [sender, recipient] = await Promise.all([
+        User.findById(transaction.fromUser).select('username displayName'),
+        User.findById(transaction.toUser).select('email preferences')
+      ]);
+
+      if (!this.wantsPaymentEmails(recipient)) return;
+
+      await emailService.sendToUser(recipient, 'payment_received', {
+        amount: transaction.amount,
+        currency: transaction.currency,
+        senderName: sender ? (sender.displayName || sender.username) : 'Someone',
+        description: transaction.description,
+        reference: transaction._id.toString()
+      });
+    } catch (error) {
+      console.error('Payment received email error:', error.message);
+    }
+  }
+
+  /**
+   * Email the owner of a withdrawal about its status (best effort)
+   * @param {Object} transaction - Withdrawal transaction
+   */
+  async notifyWithdrawalStatus(transaction) {
+    try {
+      const user = await User.findById(transaction.fromUser).select('email preferences');
+
+      if (!this.wantsPaymentEmails(user)) return;
+
+      await emailService.sendToUser(user, 'withdrawal_status', {
+        amount: transaction.amount,
+        currency: transaction.currency,
+        status: transaction.status,
+        reference: transaction._id.toString()
+      });
+    } catch (error) {
+      console.error('Withdrawal status email error:', error.message);
     }
   }
 }
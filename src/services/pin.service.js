@@ -0,0 +1,237 @@
+const User = require('../models/User');
+const otpService = require('./otp.service');
+const { hashPassword, comparePassword } = require('../utils/password.utils');
+
+const MAX_ATTEMPTS = 3; // wrong PINs allowed before a lockout
+const BASE_LOCKOUT_MS = 60 * 1000; // first lockout: 1 minute
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000; // lockouts cap at 24 hours
+
+const WEAK_PINS = ['0000', '1111', '1234', '4321', '123456', '654321', '000000', '111111', '121212'];
+
+/**
+ * PIN Service
+ * Manages the hashed transaction PIN and the escalating step-up lockout that
+ * wrong PINs and wrong step-up TOTP codes share
+ */
+class PinService {
+  /**
+   * Validate PIN format
+   * @param {string} pin - Plaintext PIN
+   * @returns {string|null} Error message, or null if valid
+   */
+  validatePinFormat(pin) {
+    if (typeof pin !== 'string' || !/^\d{4,6}$/.test(pin)) {
+      return 'PIN must be 4 to 6 digits';
+    }
+
+    if (WEAK_PINS.includes(pin) || /^(\d)\1+$/.test(pin)) {
+      return 'PIN is too easy to guess';
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a user with the PIN hash selected
+   * @param {string} userId - User ID
+   * @returns {Object|null} User document
+   */
+  async getUserWithPin(userId) {
+    return User.findById(userId).select('+transactionPin.hash');
+  }
+
+  /**
+   * Set the first PIN for a user
+   * @param {string} userId - User ID
+   * @param {string} pin - New PIN
+   */
+  async setPin(userId, pin) {
+    const user = await this.getUserWithPin(userId);
+
+    if (user.transactionPin.hash) {
+      throw new Error('Transaction PIN is already set. Use change or reset instead.');
+    }
+
+    await this.storePin(user, pin);
+  }
+
+  /**
+   * Change the PIN after verifying the current one
+   * @param {string} userId - User ID
+   * @param {string} currentPin - Current PIN
+   * @param {string} newPin - New PIN
+   * @returns {Object} Verification result (see verifyPin)
+   */
+  async changePin(userId, currentPin, newPin) {
+    const user = await this.getUserWithPin(userId);
+    const result = await this.verifyPin(user, currentPin);
+
+    if (result.valid) {
+      await this.storePin(user, newPin);
+    }
+
+    return result;
+  }
+
+  /**
+   * Reset the PIN with an emailed one-time code
+   * @param {string} userId - User ID
+   * @param {string} otp - One-time code
+   * @param {string} newPin - New PIN
+   * @returns {Object} OTP verification result (see otpService.verify)
+   */
+  async resetPin(userId, otp, newPin) {
+    const result = await otpService.verify(userId, 'pin_reset', otp);
+
+    if (result.valid) {
+      await this.storePin(await this.getUserWithPin(userId), newPin);
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify a PIN, applying the lockout policy
+   * @param {Object} user - User document
+   * @param {string} pin - PIN to check
+   * @returns {Object} { valid, notSet, locked, retryAfter, attemptsRemaining }
+   */
+  async verifyPin(user, pin) {
+    return this.attemptStepUp(user._id, async (state) => {
+      return typeof pin === 'string' && comparePassword(pin, state.hash);
+    }, { requirePin: true });
+  }
+
+  /**
+   * Check a TOTP or backup code for step-up under the same lockout as the PIN
+   * @param {string} userId - User ID
+   * @param {Function} check - Async function returning true if the code is valid
+   * @returns {Object} { valid, locked, retryAfter, attemptsRemaining }
+   */
+  async verifyStepUpCode(userId, check) {
+    return this.attemptStepUp(userId, () => check());
+  }
+
+  /**
+   * Run one step-up attempt against the shared PIN lockout
+   * The attempt is counted atomically before the check runs, so parallel
+   * guesses can never get more than MAX_ATTEMPTS tries per lockout.
+   * @param {string} userId - User ID
+   * @param {Function} check - Async function given the PIN state, returning true on success
+   * @param {Object} options - { requirePin }
+   * @returns {Object} { valid, notSet, locked, retryAfter, attemptsRemaining }
+   */
+  async attemptStepUp(userId, check, { requirePin = false } = {}) {
+    const now = new Date();
+    const query = {
+      _id: userId,
+      'transactionPin.failedAttempts': { $lt: MAX_ATTEMPTS },
+      $or: [
+        { 'transactionPin.lockedUntil': { $exists: false } },
+        { 'transactionPin.lockedUntil': null },
+        { 'transactionPin.lockedUntil': { $lte: now } }
+      ]
+    };
+
+    if (requirePin) {
+      query['transactionPin.hash'] = { $exists: true };
+    }
+
+    const user = await User.findOneAndUpdate(
+      query,
+      { $inc: { 'transactionPin.failedAttempts': 1 } },
+      { new: true }
+    ).select('+transactionPin.hash');
+
+    if (!user) {
+      return this.getBlockedResult(userId, requirePin);
+    }
+
+    const state = user.transactionPin;
+
+    if (await check(state)) {
+      await User.updateOne(
+        { _id: userId },
+        {
+          $set: { 'transactionPin.failedAttempts': 0, 'transactionPin.lockoutCount': 0 },
+          $unset: { 'transactionPin.lockedUntil': 1 }
+        }
+      );
+      return { valid: true };
+    }
+
+    if (state.failedAttempts >= MAX_ATTEMPTS) {
+      const lockoutMs = Math.min(BASE_LOCKOUT_MS * (2 ** state.lockoutCount), MAX_LOCKOUT_MS);
+
+      // Only the request that used up the last attempt starts the lockout
+      await User.updateOne(
+        { _id: userId, 'transactionPin.failedAttempts': { $gte: MAX_ATTEMPTS } },
+        {
+          $set: {
+            'transactionPin.failedAttempts': 0,
+            'transactionPin.lockedUntil': new Date(Date.now() + lockoutMs)
+          },
+          $inc: { 'transactionPin.lockoutCount': 1 }
+        }
+      );
+
+      return {
+        valid: false,
+        locked: true,
+        retryAfter: Math.ceil(lockoutMs / 1000)
+      };
+    }
+
+    return {
+      valid: false,
+      attemptsRemaining: MAX_ATTEMPTS - state.failedAttempts
+    };
+  }
+
+  /**
+   * Explain why no attempt could be reserved
+   * @param {string} userId - User ID
+   * @param {boolean} requirePin - Whether a PIN must be set
+   * @returns {Object} { valid: false, notSet } or { valid: false, locked, retryAfter }
+   */
+  async getBlockedResult(userId, requirePin) {
+    const user = await User.findById(userId).select('+transactionPin.hash');
+    const state = user ? user.transactionPin : {};
+
+    if (requirePin && !state.hash) {
+      return { valid: false, notSet: true };
+    }
+
+    // Either locked, or another request has just used the last attempt and is locking
+    const retryAfterMs = state.lockedUntil && state.lockedUntil > new Date()
+      ? state.lockedUntil - Date.now()
+      : BASE_LOCKOUT_MS;
+
+    return {
+      valid: false,
+      locked: true,
+      retryAfter: Math.ceil(retryAfterMs / 1000)
+    };
+  }
+
+  /**
+   * Hash and store a PIN, clearing lockout state
+   * @param {Object} user - User document
+   * @param {string} pin - New PIN
+   */
+  async storePin(user, pin) {
+    const formatError = this.validatePinFormat(pin);
+    if (formatError) {
+      throw new Error(formatError);
+    }
+
+    user.transactionPin.hash = await hashPassword(pin);
+    user.transactionPin.setAt = new Date();
+    user.transactionPin.failedAttempts = 0;
+    user.transactionPin.lockoutCount = 0;
+    user.transactionPin.lockedUntil = undefined;
+    await user.save();
+  }
+}
+
+module.exports = new PinService();
@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const blockService = require('./block.service');
+const realtimeService = require('./realtime.service');
+
+const GRACE_PERIOD_MS = parseInt(process.env.PRESENCE_GRACE_MS, 10) || 15 * 1000;
+
+/**
+ * Presence Service
+ * Socket.io connections are the only source of truth for `isOnline`. Live
+ * sockets are counted per user across tabs and devices; when the last one
+ * drops the user is marked offline after a grace period, so a page reload or
+ * a brief network blip does not flap their status.
+ *
+ * Changes are sent as `presence-update` events to friends and chat partners
+ * only, never across a block, and not at all while the user has
+ * `preferences.privacy.showOnlineStatus` turned off.
+ *
+ * Counts live in this process, so every socket of a user must reach the same
+ * instance (sticky sessions) when running more than one.
+ */
+class PresenceService {
+  constructor() {
+    this.socketCounts = new Map();
+    this.offlineTimers = new Map();
+  }
+
+  /**
+   * Record a newly connected socket
+   * @param {string} userId - User ID
+   */
+  async connect(userId) {
+    const count = (this.socketCounts.get(userId) || 0) + 1;
+    this.socketCounts.set(userId, count);
+
+    // Reconnected within the grace period: the user never went offline
+    if (this.offlineTimers.has(userId)) {
+      clearTimeout(this.offlineTimers.get(userId));
+      this.offlineTimers.delete(userId);
+      return;
+    }
+
+    if (count === 1) {
+      await this.setStatus(userId, true);
+    }
+  }
+
+  /**
+   * Record a closed socket, starting the grace period if it was the last one
+   * @param {string} userId - User ID
+   */
+  disconnect(userId) {
+    const count = (this.socketCounts.get(userId) || 1) - 1;
+
+    if (count > 0) {
+      this.socketCounts.set(userId, count);
+      return;
+    }
+
+    this.socketCounts.delete(userId);
+
+    const timer = setTimeout(() => {
+      this.offlineTimers.delete(userId);
+      this.setStatus(userId, false);
+    }, GRACE_PERIOD_MS);
+    timer.unref();
+
+    this.offlineTimers.set(userId, timer);
+  }
+
+  /**
+   * Check whether a user has a live socket (or is within the grace period)
+   * @param {string} userId - User ID
+   * @returns {boolean} True if online
+   */
+  isOnline(userId) {
+    const id = userId.toString();
+    return this.socketCounts.has(id) || this.offlineTimers.has(id);
+  }
+
+  /**
+   * Persist a status change and tell the user's audience about it
+   * @param {string} userId - User ID
+   * @param {boolean} isOnline - New status
+   */
+  async setStatus(userId, isOnline) {
+    try {
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { isOnline, lastActive: new Date() },
+        { new: true }
+      ).select('isOnline lastActive friends preferences');
+
+      if (user && this.isVisible(user)) {
+        await this.broadcast(user, { isOnline, lastActive: user.lastActive });
+      }
+    } catch (error) {
+      console.error(`❌ Presence update failed for ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Re-announce a user's status after they change `showOnlineStatus`
+   * Hiding the status looks like going offline to everyone else.
+   * @param {string} userId - User ID
+   */
+  async announce(userId) {
+    try {
+      const user = await User.findById(userId).select('isOnline lastActive friends preferences');
+
+      if (!user) {
+        return;
+      }
+
+      await this.broadcast(user, this.getVisibleStatus(user));
+    } catch (error) {
+      console.error(`❌ Presence announcement failed for ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Whether a user shares their online status
+   * @param {Object} user - User document
+   * @returns {boolean} True unless showOnlineStatus is off
+   */
+  isVisible(user) {
+    const privacy = (user.preferences && user.preferences.privacy) || {};
+    return privacy.showOnlineStatus !== false;
+  }
+
+  /**
+   * A user's status as other users may see it
+   * With showOnlineStatus off they always appear offline.
+   * @param {Object} user - User document (with preferences.privacy)
+   * @returns {Object} { isOnline, lastActive }
+   */
+  getVisibleStatus(user) {
+    return this.isVisible(user)
+      ? { isOnline: user.isOnline, lastActive: user.lastActive }
+      : { isOnline: false };
+  }
+
+  /**
+   * IDs of the users who may follow someone's presence: friends and chat
+   * partners, minus anyone on either side of a block
+   * @param {Object} user - User document (with friends)
+   * @returns {Array<string>} User IDs
+   */
+  async getAudience(user) {
+    const [partnerIds, blockedIds] = await Promise.all([
+      Chat.distinct('participants', { participants: user._id, status: 'active' }),
+      blockService.getBlockedRelationIds(user._id)
+    ]);
+
+    const excluded = new Set([user._id.toString(), ...blockedIds]);
+    const audience = new Set([...user.friends, ...partnerIds].map(id => id.toString()));
+
+    return [...audience].filter(id => !excluded.has(id));
+  }
+
+  /**
+   * Send a presence-update event to a user's audience
+   * @param {Object} user - User document
+   * @param {Object} status - { isOnline, lastActive }
+   */
+  async broadcast(user, status) {
+    if (!realtimeService.io) return;
+
+    const audience = await this.getAudience(user);
+
+    if (audience.length > 0) {
+      realtimeService.io.to(audience).emit('presence-update', {
+        userId: user._id.toString(),
+        ...status
+      });
+    }
+  }
+
+  /**
+   * Mark everyone offline
+   * Run at startup unless PRESENCE_RESET_ON_START=false: on a single
+   * instance nobody has a socket on a fresh process.
+   */
+  async resetAll() {
+    const { modifiedCount } = await User.updateMany({ isOnline: true }, { isOnline: false });
+
+    if (modifiedCount > 0) {
+      console.log(`🟢 Presence reset: ${modifiedCount} user(s) marked offline`);
+    }
+  }
+}
+
+module.exports = new PresenceService();
@@ -0,0 +1,339 @@
+const User = require('../models/User');
+const auditService = require('./audit.service');
+const presenceService = require('./presence.service');
+
+const THEMES = ['light', 'dark', 'auto'];
+const NOTIFICATION_CHANNELS = ['email', 'push', 'payments'];
+const PRIVACY_SETTINGS = ['profileVisible', 'showOnlineStatus'];
+const UPDATABLE_FIELDS = ['displayName', 'bio', 'profilePicture', 'preferences'];
+const PREFERENCE_GROUPS = ['notifications', 'privacy', 'theme', 'locale'];
+
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_BIO_LENGTH = 160;
+const MAX_PICTURE_URL_LENGTH = 2048;
+
+/**
+ * Build an error with a code the controller maps to an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {Array} details - Validation errors
+ * @returns {Error} Error
+ */
+const profileError = (message, code, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Check that a value is a plain object (not null or an array)
+ * @param {*} value - Value
+ * @returns {boolean} True if a plain object
+ */
+const isPlainObject = (value) => {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Profile Service
+ * Reads profiles through the owner's privacy preferences and applies
+ * validated profile updates.
+ *
+ * What a viewer sees:
+ * - the owner and admins: the full profile, including email, phone and preferences
+ * - friends, or anyone when profileVisible is on: the public profile
+ * - everyone else: username, display name and picture only
+ * Online status and last activity are only shared when showOnlineStatus is on.
+ */
+class ProfileService {
+  /**
+   * Whether a viewer may see and edit everything on a profile
+   * @param {Object|null} viewer - Viewing user document (null when signed out)
+   * @param {string} userId - Profile owner ID
+   * @returns {boolean} True for the owner and admins
+   */
+  canManage(viewer, userId) {
+    return !!viewer && (viewer._id.equals(userId) || viewer.role === 'admin');
+  }
+
+  /**
+   * Load a profile as seen by a viewer
+   * @param {Object} viewer - Viewing user document
+   * @param {string} userId - Profile owner ID
+   * @returns {Object} Projected profile
+   */
+  async getProfile(viewer, userId) {
+    const user = await User.findById(userId);
+    return this.showTo(user, viewer);
+  }
+
+  /**
+   * Load a profile by username as seen by a viewer
+   * @param {Object|null} viewer - Viewing user document (null when signed out)
+   * @param {string} username - Profile owner's username
+   * @returns {Object} Projected profile
+   */
+  async getProfileByUsername(viewer, username) {
+    const user = await User.findOne({ username: String(username).toLowerCase() });
+    return this.showTo(user, viewer);
+  }
+
+  /**
+   * Project a loaded profile for a viewer, or report it as not found
+   * Suspended or deactivated accounts, and users who blocked the viewer,
+   * are reported as not found.
+   * @param {Object|null} user - Profile owner document
+   * @param {Object|null} viewer - Viewing user document (null when signed out)
+   * @returns {Object} Projected profile
+   */
+  showTo(user, viewer) {
+    const isHidden = !user || (!this.canManage(viewer, user._id) && (
+      user.accountStatus !== 'active' ||
+      (!!viewer && user.blockedUsers.some(id => id.equals(viewer._id)))
+    ));
+
+    if (isHidden) {
+      throw profileError('User not found', 'USER_NOT_FOUND');
+    }
+
+    return this.project(user, viewer);
+  }
+
+  /**
+   * Project a user document for a viewer
+   * @param {Object} user - Profile owner document
+   * @param {Object|null} viewer - Viewing user document (null when signed out)
+   * @returns {Object} Projected profile
+   */
+  project(user, viewer) {
+    const isFriend = !!viewer && user.friends.some(id => id.equals(viewer._id));
+    const privacy = (user.preferences && user.preferences.privacy) || {};
+
+    const profile = {
+      _id: user._id,
+      username: user.username,
+      displayName: user.displayName,
+      profilePicture: user.profilePicture
+    };
+
+    if (this.canManage(viewer, user._id)) {
+      return {
+        ...profile,
+        email: user.email,
+        phone: user.phone && user.phone.number,
+        bio: user.bio,
+        role: user.role,
+        accountStatus: user.accountStatus,
+        preferences: user.preferences,
+        friendsCount: user.friends.length,
+        isOnline: user.isOnline,
+        lastActive: user.lastActive,
+        createdAt: user.createdAt
+      };
+    }
+
+    if (privacy.profileVisible !== false || isFriend) {
+      profile.bio = user.bio;
+      profile.createdAt = user.createdAt;
+    }
+
+    if (privacy.showOnlineStatus !== false) {
+      profile.isOnline = user.isOnline;
+      profile.lastActive = user.lastActive;
+    }
+
+    profile.isFriend = isFriend;
+
+    return profile;
+  }
+
+  /**
+   * Validate an update body against the whitelist
+   * @param {Object} body - Request body
+   * @returns {Object} { errors, update } where update is a $set document
+   */
+  validateUpdate(body) {
+    const errors = [];
+    const update = {};
+
+    if (!isPlainObject(body)) {
+      return { errors: ['Request body must be an object'], update };
+    }
+
+    const unknown = Object.keys(body).filter(field => !UPDATABLE_FIELDS.includes(field));
+    if (unknown.length) {
+      errors.push(`Fields cannot be updated: ${unknown.join(', ')}`);
+    }
+
+    const { displayName, bio, profilePicture, preferences } = body;
+
+    if (displayName !== undefined) {
+      if (typeof displayName !== 'string' || !displayName.trim()) {
+        errors.push('displayName must be a non-empty string');
+      } else if (displayName.trim().length > MAX_DISPLAY_NAME_LENGTH) {
+        errors.push(`displayName must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`);
+      } else {
+        update.displayName = displayName.trim();
+      }
+    }
+
+    if (bio !== undefined) {
+      if (typeof bio !== 'string') {
+        errors.push('bio must be a string');
+      } else if (bio.trim().length > MAX_BIO_LENGTH) {
+        errors.push(`bio must be at most ${MAX_BIO_LENGTH} characters`);
+      } else {
+        update.bio = bio.trim();
+      }
+    }
+
+    if (profilePicture !== undefined) {
+      if (profilePicture === null || profilePicture === '') {
+        update.profilePicture = '';
+      } else if (!this.isPictureUrl(profilePicture)) {
+        errors.push('profilePicture must be an http(s) URL');
+      } else {
+        update.profilePicture = profilePicture.trim();
+      }
+    }
+
+    if (preferences !== undefined) {
+      this.validatePreferences(preferences, errors, update);
+    }
+
+    if (!errors.length && !Object.keys(update).length) {
+      errors.push(`Provide at least one of: ${UPDATABLE_FIELDS.join(', ')}`);
+    }
+
+    return { errors, update };
+  }
+
+  /**
+   * Validate the preferences part of an update
+   * Only the settings that are sent are changed.
+   * @param {Object} preferences - Requested preferences
+   * @param {Array} errors - Collected validation errors
+   * @param {Object} update - $set document being built
+   */
+  validatePreferences(preferences, errors, update) {
+    if (!isPlainObject(preferences)) {
+      errors.push('preferences must be an object');
+      return;
+    }
+
+    const unknown = Object.keys(preferences).filter(key => !PREFERENCE_GROUPS.includes(key));
+    if (unknown.length) {
+      errors.push(`Unknown preferences: ${unknown.join(', ')}`);
+    }
+
+    const toggleGroups = { notifications: NOTIFICATION_CHANNELS, privacy: PRIVACY_SETTINGS };
+
+    for (const [group, settings] of Object.entries(toggleGroups)) {
+      const values = preferences[group];
+
+      if (values === undefined) {
+        continue;
+      }
+
+      if (!isPlainObject(values)) {
+        errors.push(`preferences.${group} must be an object`);
+        continue;
+      }
+
+      for (const [setting, value] of Object.entries(values)) {
+        if (!settings.includes(setting)) {
+          errors.push(`Unknown setting: preferences.${group}.${setting}`);
+        } else if (typeof value !== 'boolean') {
+          errors.push(`preferences.${group}.${setting} must be true or false`);
+        } else {
+          update[`preferences.${group}.${setting}`] = value;
+        }
+      }
+    }
+
+    if (preferences.theme !== undefined) {
+      if (!THEMES.includes(preferences.theme)) {
+        errors.push(`preferences.theme must be one of: ${THEMES.join(', ')}`);
+      } else {
+        update['preferences.theme'] = preferences.theme;
+      }
+    }
+
+    if (preferences.locale !== undefined) {
+      if (typeof preferences.locale !== 'string' || !/^[a-z]{2}([-_][a-z]{2})?$/i.test(preferences.locale)) {
+        errors.push('preferences.locale must be a language code such as "en" or "fr-CA"');
+      } else {
+        update['preferences.locale'] = preferences.locale;
+      }
+    }
+  }
+
+  /**
+   * Check that a value is an http(s) URL
+   * @param {*} value - Value
+   * @returns {boolean} True if valid
+   */
+  isPictureUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_PICTURE_URL_LENGTH) {
+      return false;
+    }
+
+    try {
+      return ['http:', 'https:'].includes(new URL(value.trim()).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Update a profile
+   * Only the owner or an admin may update; admin edits of other users are audited.
+   * @param {Object} actor - User making the change
+   * @param {string} userId - Profile owner ID
+   * @param {Object} body - Requested changes
+   * @param {Object} req - Express request (for the audit log)
+   * @returns {Object} Updated profile as seen by the actor
+   */
+  async updateProfile(actor, userId, body, req) {
+    if (!this.canManage(actor, userId)) {
+      throw profileError('You can only update your own profile', 'FORBIDDEN');
+    }
+
+    const { errors, update } = this.validateUpdate(body);
+
+    if (errors.length) {
+      throw profileError('Invalid profile update', 'VALIDATION_FAILED', errors);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      throw profileError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (update['preferences.privacy.showOnlineStatus'] !== undefined) {
+      await presenceService.announce(user._id);
+    }
+
+    if (!actor._id.equals(userId)) {
+      await auditService.record({
+        actor: actor._id,
+        action: 'user.profile_updated',
+        targetType: 'User',
+        targetId: user._id,
+        details: { fields: Object.keys(update) }
+      }, req);
+    }
+
+    return this.project(user, actor);
+  }
+}
+
+module.exports = new ProfileService();
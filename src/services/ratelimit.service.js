@@ -0,0 +1,103 @@
+const { createStore } = require('./ratelimit.stores');
+const { getRateLimitPolicies } = require('../../config/rate.limits');
+
+/**
+ * Rate Limit Service
+ * Counts hits per policy and key in a pluggable store (see ratelimit.stores.js)
+ */
+class RateLimitService {
+  constructor() {
+    this.store = null;
+    this.policies = getRateLimitPolicies();
+  }
+
+  /**
+   * Get the active store, creating it from the environment on first use
+   * @returns {Object} Store
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = createStore();
+      console.log(`🚦 Rate limit store: ${this.store.name}`);
+    }
+    return this.store;
+  }
+
+  /**
+   * Replace the store (e.g. with a fresh MemoryStore in tests)
+   * @param {Object} store - Store
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Look up a policy by name
+   * @param {string} name - Policy name
+   * @returns {Object} Policy
+   */
+  getPolicy(name) {
+    const policy = this.policies[name];
+
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy "${name}"`);
+    }
+
+    return policy;
+  }
+
+  /**
+   * Build the counter key for a policy
+   * @param {Object} policy - Policy
+   * @param {Object} identity - { ip, userId, account }
+   * @returns {string} Key
+   */
+  resolveKey(policy, { ip, userId, account } = {}) {
+    if (policy.keyBy === 'user' && userId) {
+      return `${policy.name}:user:${userId}`;
+    }
+
+    if (policy.keyBy === 'account' && account) {
+      return `${policy.name}:account:${String(account).trim().toLowerCase()}`;
+    }
+
+    return `${policy.name}:ip:${ip || 'unknown'}`;
+  }
+
+  /**
+   * Count one hit against a policy
+   * @param {string} policyName - Policy name
+   * @param {Object} identity - { ip, userId, account }
+   * @returns {Object} { allowed, limit, remaining, reset, retryAfter, windowMs }
+   */
+  async consume(policyName, identity) {
+    const policy = this.getPolicy(policyName);
+    const { count, resetAt } = await this.getStore().increment(
+      this.resolveKey(policy, identity),
+      policy.windowMs
+    );
+
+    const reset = Math.max(Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000), 0);
+
+    return {
+      allowed: count <= policy.max,
+      limit: policy.max,
+      remaining: Math.max(policy.max - count, 0),
+      reset,
+      retryAfter: count <= policy.max ? 0 : reset,
+      windowMs: policy.windowMs
+    };
+  }
+
+  /**
+   * Clear a key's counter (e.g. after a successful login)
+   * @param {string} policyName - Policy name
+   * @param {Object} identity - { ip, userId, account }
+   */
+  async reset(policyName, identity) {
+    const policy = this.getPolicy(policyName);
+    await this.getStore().reset(this.resolveKey(policy, identity));
+  }
+}
+
+module.exports = new RateLimitService();
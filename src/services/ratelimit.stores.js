@@ -0,0 +1,101 @@
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Rate limit stores
+ * Every store exposes `name`, `increment(key, windowMs)` -> { count, resetAt }
+ * and `reset(key)`. Counters use fixed windows that start with the first hit.
+ */
+
+/**
+ * In-process store (single instance, lost on restart)
+ */
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.name = 'memory';
+    this.counters = new Map();
+
+    // Expired counters are swept periodically instead of on every request
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count += 1;
+
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters.entries()) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * MongoDB store (shared across instances; counters expire through a TTL index)
+ */
+class MongoStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$expiresAt', now] };
+
+    // One atomic update: count up inside the current window, otherwise start a new one
+    const counter = await RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+          expiresAt: { $cond: [windowOpen, '$expiresAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    return { count: counter.count, resetAt: counter.expiresAt };
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+/**
+ * Create the store named by RATE_LIMIT_STORE
+ * Defaults to MongoDB in production and memory otherwise.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Store
+ */
+const createStore = (env = process.env) => {
+  const name = (env.RATE_LIMIT_STORE || (env.NODE_ENV === 'production' ? 'mongo' : 'memory')).toLowerCase();
+
+  if (name === 'mongo') return new MongoStore();
+  if (name === 'memory') return new MemoryStore();
+
+  throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+};
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  createStore
+};
@@ -0,0 +1,61 @@
+/**
+ * Realtime Service
+ * Gives services access to the Socket.io server outside of a request
+ */
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach the Socket.io server
+   * @param {Object} io - Socket.io server instance
+   */
+  init(io) {
+    this.io = io;
+  }
+
+  /**
+   * Room name holding every socket opened with a given session
+   * @param {string} sessionId - Session ID
+   * @returns {string} Room name
+   */
+  sessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  /**
+   * Emit an event to a user's personal room
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  emitToUser(userId, event, data) {
+    if (!this.io) return;
+    this.io.to(userId.toString()).emit(event, data);
+  }
+
+  /**
+   * Disconnect every live socket opened with the given sessions
+   * @param {Array<string>} sessionIds - Session IDs
+   */
+  disconnectSessions(sessionIds) {
+    if (!this.io || sessionIds.length === 0) return;
+
+    const rooms = sessionIds.map(id => this.sessionRoom(id));
+    this.io.in(rooms).emit('session-revoked');
+    this.io.in(rooms).disconnectSockets(true);
+  }
+
+  /**
+   * Disconnect every live socket belonging to a user
+   * @param {string} userId - User ID
+   */
+  disconnectUser(userId) {
+    if (!this.io) return;
+
+    this.io.in(userId.toString()).disconnectSockets(true);
+  }
+}
+
+module.exports = new RealtimeService();
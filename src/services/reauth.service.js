@@ -0,0 +1,109 @@
+const User = require('../models/User');
+const mfaService = require('./mfa.service');
+const zkService = require('./zk.service');
+const otpService = require('./otp.service');
+const lockoutService = require('./lockout.service');
+
+const FRESH_ID_TOKEN_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Re-authentication Service
+ * Confirms the person holding a session is the account owner before
+ * sensitive account changes (linking and unlinking login providers).
+ */
+class ReauthService {
+  /**
+   * Verify re-authentication credentials under the account lockout
+   * Wrong guesses count towards the same limit as failed logins, so a stolen
+   * access token can't be used to guess the password or codes.
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { password, code, recoveryCode, otp, provider, idToken, nonce }
+   * @param {Object} req - Express request object (for the login history)
+   * @returns {Object} { valid, block } where block is set while the account is throttled or locked
+   */
+  async verify(userId, credentials = {}, req = null) {
+    const method = this.getMethod(credentials || {});
+    const user = method ? await User.findById(userId) : null;
+
+    if (!user) {
+      return { valid: false };
+    }
+
+    const block = await lockoutService.checkAttempt(user, req, method);
+    if (block) {
+      return { valid: false, block };
+    }
+
+    const valid = await this.checkCredentials(userId, credentials);
+
+    if (!valid) {
+      await lockoutService.recordFailure(user, req, method, 'reauth_failed');
+    }
+
+    return { valid };
+  }
+
+  /**
+   * Name the kind of credential submitted, as recorded in the login history
+   * @param {Object} credentials - Re-authentication credentials
+   * @returns {string|null} Login method, or null if nothing usable was sent
+   */
+  getMethod({ password, code, recoveryCode, otp, provider, idToken }) {
+    if (password) return 'password';
+    if (code) return 'totp';
+    if (recoveryCode) return 'recovery_code';
+    if (otp) return 'step_up';
+    if (provider && idToken) return provider === 'google' ? 'google' : 'zklogin';
+    return null;
+  }
+
+  /**
+   * Check re-authentication credentials
+   * Accepts any one of: the account password, a TOTP or recovery code (2FA
+   * users), an emailed step-up code, or a freshly issued ID token from an
+   * already linked provider.
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { password, code, recoveryCode, otp, provider, idToken, nonce }
+   * @returns {boolean} True if the credentials are valid
+   */
+  async checkCredentials(userId, credentials = {}) {
+    const { password, code, recoveryCode, otp, provider, idToken, nonce } = credentials;
+
+    if (password) {
+      const user = await User.findById(userId).select('+password');
+      return !!user && !!user.password && user.comparePassword(password);
+    }
+
+    if (code || recoveryCode) {
+      const user = await mfaService.getUserWithSecrets(userId);
+      return !!user && mfaService.verifySecondFactor(user, { code, recoveryCode });
+    }
+
+    if (otp) {
+      const result = await otpService.verify(userId, 'step_up', otp);
+      return result.valid;
+    }
+
+    if (provider && idToken) {
+      const user = await User.findById(userId);
+      const identity = user && user.findIdentity(provider);
+
+      if (!identity) {
+        return false;
+      }
+
+      try {
+        const payload = await zkService.verifyIdToken(idToken, provider, { nonce });
+        const isFresh = Math.floor(Date.now() / 1000) - payload.iat <= FRESH_ID_TOKEN_MAX_AGE_SECONDS;
+
+        return isFresh && payload.sub === identity.subject;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    return false;
+  }
+}
+
+module.exports = new ReauthService();
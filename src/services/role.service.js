@@ -0,0 +1,73 @@
+const User = require('../models/User');
+const auditService = require('./audit.service');
+const { ROLES } = require('../../config/roles');
+
+/**
+ * Role Service
+ * Changes user roles and records every change in the audit log
+ */
+class RoleService {
+  /**
+   * Change a user's role
+   * @param {string} userId - Target user ID
+   * @param {string} role - New role
+   * @param {Object} options - { actor, actorType, reason, req }
+   * @returns {Object} { user, previousRole }
+   */
+  async changeRole(userId, role, { actor = null, actorType, reason, req = null } = {}) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (actor && actor.toString() === user._id.toString()) {
+      throw new Error('You cannot change your own role');
+    }
+
+    const previousRole = user.role || 'user';
+
+    if (previousRole === role) {
+      return { user, previousRole };
+    }
+
+    // Never leave the system without an admin
+    if (previousRole === 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin', accountStatus: 'active' });
+      if (adminCount <= 1) {
+        throw new Error('Cannot remove the last admin');
+      }
+    }
+
+    user.role = role;
+    await user.save();
+
+    await auditService.record({
+      actor,
+      actorType: actorType || (actor ? 'user' : 'system'),
+      action: 'user.role_changed',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { from: previousRole, to: role }
+    }, req);
+
+    console.log(`🛡️ Role of ${user.username} changed: ${previousRole} → ${role}`);
+
+    return { user, previousRole };
+  }
+
+  /**
+   * Check whether any active admin exists
+   * @returns {boolean} True if there is at least one admin
+   */
+  async hasAdmin() {
+    return !!(await User.exists({ role: 'admin', accountStatus: 'active' }));
+  }
+}
+
+module.exports = new RoleService();
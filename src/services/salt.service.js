@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { jwtToAddress } = require('@mysten/zklogin');
+const User = require('../models/User');
+const { encrypt, decrypt } = require('../utils/crypto.utils');
+
+/**
+ * Salt Service
+ * Manages the per-user zkLogin salt and derives the user's Sui address.
+ * Salts are derived deterministically from a master seed, so a lost record can
+ * always be re-created with the same value (and the same address).
+ */
+class SaltService {
+  /**
+   * Get the master seed salts are derived from
+   * @returns {string} Seed
+   */
+  getMasterSeed() {
+    if (process.env.ZKLOGIN_SALT_SEED) {
+      return process.env.ZKLOGIN_SALT_SEED;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('ZKLOGIN_SALT_SEED must be set in production');
+    }
+
+    return `zklogin-salt:${process.env.JWT_SECRET || 'your-secret-key'}`;
+  }
+
+  /**
+   * Derive a user's salt (a 128-bit integer, as the zkLogin circuit requires)
+   * @param {string} userId - User ID
+   * @returns {string} Salt as a decimal string
+   */
+  deriveSalt(userId) {
+    const digest = crypto
+      .createHmac('sha256', this.getMasterSeed())
+      .update(`user:${userId.toString()}`)
+      .digest();
+
+    return BigInt(`0x${digest.subarray(0, 16).toString('hex')}`).toString();
+  }
+
+  /**
+   * Get the user's salt, creating and storing it (encrypted) on first use
+   * @param {string} userId - User ID
+   * @returns {string} Salt as a decimal string
+   */
+  async getOrCreateSalt(userId) {
+    const user = await User.findById(userId).select('+zkLoginSalt');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.zkLoginSalt) {
+      return decrypt(user.zkLoginSalt);
+    }
+
+    const salt = this.deriveSalt(user._id);
+    user.zkLoginSalt = encrypt(salt);
+    await user.save();
+
+    return salt;
+  }
+
+  /**
+   * Derive the Sui address for a verified provider JWT
+   * Uses the JWT's iss, aud and sub with the user's salt.
+   * @param {string} jwt - Verified provider ID token
+   * @param {string} salt - User salt
+   * @returns {string} Sui address
+   */
+  deriveAddress(jwt, salt) {
+    return jwtToAddress(jwt, salt);
+  }
+
+  /**
+   * Derive the user's Sui address from a verified JWT and save it as their wallet
+   * An existing, different wallet address is never overwritten.
+   * @param {Object} user - User document
+   * @param {string} jwt - Verified provider ID token
+   * @returns {string} Derived Sui address
+   */
+  async assignWalletAddress(user, jwt) {
+    const salt = await this.getOrCreateSalt(user._id);
+    const address = this.deriveAddress(jwt, salt);
+
+    if (!user.walletAddress) {
+      user.walletAddress = address;
+      await user.save();
+    } else if (user.walletAddress !== address) {
+      console.warn(`⚠️ zkLogin address for user ${user._id} differs from stored wallet; keeping stored wallet`);
+    }
+
+    return address;
+  }
+}
+
+module.exports = new SaltService();
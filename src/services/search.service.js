@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const profileService = require('./profile.service');
+const { escapeRegex } = require('../utils/string.utils');
+const { normalizePhone } = require('../utils/phone.utils');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const RECENT_CHATS_CONSIDERED = 50;
+
+// Usernames sort and compare case-insensitively, so "bob" and "Bob" page the same way
+const COLLATION = { locale: 'en', strength: 2 };
+
+const RESULT_FIELDS = 'username displayName profilePicture bio isOnline lastActive createdAt friends preferences';
+
+/**
+ * Build an error with a code the controller maps to an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error
+ */
+const searchError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Search Service
+ * Finds people by username or display name prefix, or by exact email address
+ * or verified phone number. User input is always escaped before it reaches a
+ * RegExp, and emails never match partially.
+ *
+ * Results come in tiers: friends first, then recent chat partners, then
+ * everyone else, each sorted by username. Pages are fetched with an opaque
+ * cursor that records the tier and the last username returned.
+ */
+class SearchService {
+  /**
+   * Encode the position after a result
+   * @param {number} tier - Result tier
+   * @param {Object} user - Last user on the page
+   * @returns {string} Cursor
+   */
+  encodeCursor(tier, user) {
+    return Buffer.from(JSON.stringify({
+      t: tier,
+      u: user.username,
+      i: user._id.toString()
+    })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor from the client
+   * @param {string} cursor - Cursor
+   * @returns {Object} { tier, username, id }
+   */
+  decodeCursor(cursor) {
+    try {
+      const { t, u, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+      if (!Number.isInteger(t) || t < 0 || typeof u !== 'string' || !mongoose.Types.ObjectId.isValid(i)) {
+        throw new Error('Malformed cursor');
+      }
+
+      return { tier: t, username: u, id: new mongoose.Types.ObjectId(i) };
+    } catch (error) {
+      throw searchError('Invalid cursor', 'INVALID_CURSOR');
+    }
+  }
+
+  /**
+   * Conditions a user must meet to match the query
+   * @param {string} query - Trimmed search text
+   * @returns {Array<Object>} $or conditions
+   */
+  buildMatchConditions(query) {
+    const prefix = new RegExp(`^${escapeRegex(query)}`, 'i');
+
+    const conditions = [
+      { username: prefix },
+      { displayName: prefix }
+    ];
+
+    // Emails only match exactly, so addresses can't be discovered by guessing fragments
+    if (query.includes('@')) {
+      conditions.push({ email: query.toLowerCase() });
+    }
+
+    // Phone numbers only match exactly, and only once verified
+    const phone = normalizePhone(query);
+    if (phone) {
+      conditions.push({ 'phone.number': phone });
+    }
+
+    return conditions;
+  }
+
+  /**
+   * ID filters for each ranking tier, best first
+   * @param {Object} viewer - Searching user document
+   * @returns {Array<Object>} Filters on _id
+   */
+  async buildTiers(viewer) {
+    const recentChats = await Chat.find({ participants: viewer._id, status: 'active' })
+      .sort({ lastActivity: -1 })
+      .limit(RECENT_CHATS_CONSIDERED)
+      .select('participants');
+
+    const friendIds = viewer.friends.map(id => id.toString());
+    const partnerIds = new Set();
+
+    recentChats.forEach(chat => chat.participants.forEach(id => partnerIds.add(id.toString())));
+    friendIds.forEach(id => partnerIds.delete(id));
+
+    const ranked = [...friendIds, ...partnerIds];
+
+    return [
+      { _id: { $in: friendIds } },
+      { _id: { $in: [...partnerIds] } },
+      { _id: { $nin: ranked } }
+    ];
+  }
+
+  /**
+   * Search for users
+   * @param {Object} viewer - Searching user document
+   * @param {string} q - Search text
+   * @param {Object} options - { limit, cursor }
+   * @returns {Object} { users, pagination: { limit, hasMore, nextCursor } }
+   */
+  async search(viewer, q, { limit, cursor } = {}) {
+    const query = typeof q === 'string' ? q.trim() : '';
+
+    if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+      throw searchError(
+        `Search query must be ${MIN_QUERY_LENGTH} to ${MAX_QUERY_LENGTH} characters`,
+        'INVALID_QUERY'
+      );
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const position = cursor ? this.decodeCursor(cursor) : null;
+
+    const baseFilter = {
+      // Leave out the viewer and anyone they have blocked
+      _id: { $nin: [viewer._id, ...(viewer.blockedUsers || [])] },
+      // Users who blocked the viewer are hidden from them
+      blockedUsers: { $ne: viewer._id },
+      // Accounts only become discoverable once their email is verified
+      'emailVerification.isVerified': true,
+      accountStatus: 'active',
+      $or: this.buildMatchConditions(query)
+    };
+
+    const tiers = await this.buildTiers(viewer);
+    const results = [];
+
+    // Fetch one extra result to know whether another page exists
+    for (let tier = position ? position.tier : 0; tier < tiers.length && results.length <= pageSize; tier++) {
+      const filters = [baseFilter, tiers[tier]];
+
+      if (position && tier === position.tier) {
+        filters.push({
+          $or: [
+            { username: { $gt: position.username } },
+            { username: position.username, _id: { $gt: position.id } }
+          ]
+        });
+      }
+
+      const users = await User.find({ $and: filters })
+        .select(RESULT_FIELDS)
+        .collation(COLLATION)
+        .sort({ username: 1, _id: 1 })
+        .limit(pageSize + 1 - results.length);
+
+      users.forEach(user => results.push({ tier, user }));
+    }
+
+    const hasMore = results.length > pageSize;
+    const page = results.slice(0, pageSize);
+    const last = page[page.length - 1];
+
+    return {
+      users: page.map(({ user }) => profileService.project(user, viewer)),
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(last.tier, last.user) : null
+      }
+    };
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const realtimeService = require('./realtime.service');
+const {
+  generateAuthToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  isTokenVersionCurrent,
+  getTokenExpiration
+} = require('../utils/jwt.utils');
+const { hashToken, safeEqual } = require('../utils/crypto.utils');
+const { getIpRange, getLocationFromHeaders } = require('../utils/ip.utils');
+
+/**
+ * Session Service
+ * Issues access/refresh token pairs backed by a server-side session store
+ */
+class SessionService {
+  /**
+   * Create a new session and issue its first token pair
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object (for device, IP and user agent)
+   * @returns {Object} { tokens: { token, refreshToken, expiresIn }, session }
+   */
+  async createSession(user, req) {
+    const tokenId = crypto.randomUUID();
+    const session = new Session({
+      userId: user._id,
+      refreshTokenHash: hashToken(tokenId),
+      ...this.getClientInfo(req),
+      expiresAt: new Date() // replaced below once the refresh token is signed
+    });
+
+    const tokens = this.issueTokens(user, session, tokenId);
+    session.expiresAt = getTokenExpiration(tokens.refreshToken);
+    await session.save();
+
+    return { tokens, session };
+  }
+
+  /**
+   * Rotate a refresh token
+   * A rotated (already used) refresh token is treated as stolen and the whole
+   * session is revoked.
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} req - Express request object
+   * @returns {Object} { token, refreshToken, expiresIn }
+   */
+  async refreshSession(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.sessionId || !decoded.jti) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const session = await Session.findById(decoded.sessionId).select('+refreshTokenHash');
+
+    if (!session || !session.isActive) {
+      throw new Error('Session has expired or been revoked');
+    }
+
+    const presentedHash = hashToken(decoded.jti);
+
+    if (!safeEqual(session.refreshTokenHash, presentedHash)) {
+      return this.handleRefreshReuse(session._id);
+    }
+
+    const user = await User.findById(session.userId);
+
+    if (!user || user.accountStatus !== 'active' || !isTokenVersionCurrent(decoded, user)) {
+      await this.revokeSession(session._id, 'user_revoked');
+      throw new Error('Session is no longer valid');
+    }
+
+    const tokenId = crypto.randomUUID();
+    const tokens = this.issueTokens(user, session, tokenId);
+
+    // Rotate only if the presented token is still the current one, so of two
+    // concurrent refreshes with the same token exactly one wins
+    const rotated = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        refreshTokenHash: presentedHash,
+        revokedAt: { $exists: false }
+      },
+      {
+        $set: {
+          refreshTokenHash: hashToken(tokenId),
+          lastUsedAt: new Date(),
+          expiresAt: getTokenExpiration(tokens.refreshToken),
+          ...this.getClientInfo(req, session)
+        },
+        $inc: { rotationCount: 1 }
+      }
+    );
+
+    if (!rotated) {
+      return this.handleRefreshReuse(session._id);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Revoke a session whose refresh token was presented after it had been rotated
+   * @param {string} sessionId - Session ID
+   * @throws {Error} Always
+   */
+  async handleRefreshReuse(sessionId) {
+    await this.revokeSession(sessionId, 'refresh_token_reuse');
+    console.warn(`⚠️ Refresh token reuse detected for session ${sessionId}, session revoked`);
+    throw new Error('Refresh token has already been used. Session revoked.');
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} True if the session exists and is not revoked or expired
+   */
+  async isSessionActive(sessionId) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return !!session && session.isActive;
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId - User ID
+   * @returns {Array} Session documents
+   */
+  async getActiveSessions(userId) {
+    return Session.findActiveByUser(userId);
+  }
+
+  /**
+   * Revoke a single session and disconnect its live sockets
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @param {string} userId - Only revoke if the session belongs to this user (optional)
+   * @returns {Object|null} Revoked session
+   */
+  async revokeSession(sessionId, reason = 'logout', userId = null) {
+    const query = { _id: sessionId };
+    if (userId) {
+      query.userId = userId;
+    }
+
+    const session = await Session.findOne(query);
+
+    if (!session) {
+      return null;
+    }
+
+    await session.revoke(reason);
+    realtimeService.disconnectSessions([session._id.toString()]);
+
+    return session;
+  }
+
+  /**
+   * Revoke every active session for a user and disconnect their sockets
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {string} exceptSessionId - Session to keep (optional)
+   * @returns {number} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const query = {
+      userId,
+      revokedAt: { $exists: false }
+    };
+
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await Session.find(query).select('_id');
+    const sessionIds = sessions.map(session => session._id.toString());
+
+    await Session.revokeAllForUser(userId, reason, exceptSessionId);
+    realtimeService.disconnectSessions(sessionIds);
+
+    return sessionIds.length;
+  }
+
+  /**
+   * Sign an access/refresh token pair for a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @param {string} tokenId - Refresh token id (jti)
+   * @returns {Object} { token, refreshToken, expiresIn }
+   */
+  issueTokens(user, session, tokenId) {
+    const token = generateAuthToken(user, session._id);
+    const refreshToken = generateRefreshToken({
+      type: 'refresh',
+      userId: user._id.toString(),
+      sessionId: session._id.toString(),
+      tokenVersion: user.tokenVersion || 0,
+      jti: tokenId
+    });
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
+    };
+  }
+
+  /**
+   * Extract device, IP, user agent and location from a request
+   * Clients identify a device with a stable X-Device-Id header (or deviceId in
+   * the body); without one the user agent stands in for the device.
+   * @param {Object} req - Express request object
+   * @param {Object} existing - Existing session values to fall back to
+   * @returns {Object} Client info
+   */
+  getClientInfo(req, existing = {}) {
+    if (!req) {
+      return {};
+    }
+
+    const userAgent = req.headers['user-agent'];
+    const device = (req.body && req.body.device) || req.headers['x-device-name'];
+    const deviceId = (req.body && req.body.deviceId) || req.headers['x-device-id'];
+
+    let deviceFingerprint = existing.deviceFingerprint;
+    if (deviceId) {
+      deviceFingerprint = hashToken(`device:${String(deviceId).substring(0, 200)}`);
+    } else if (userAgent) {
+      deviceFingerprint = hashToken(`ua:${userAgent.substring(0, 500)}`);
+    }
+
+    return {
+      device: device ? String(device).substring(0, 100) : existing.device,
+      ipAddress: req.ip || existing.ipAddress,
+      userAgent: userAgent ? userAgent.substring(0, 500) : existing.userAgent,
+      deviceFingerprint,
+      ipRange: getIpRange(req.ip) || existing.ipRange,
+      location: getLocationFromHeaders(req.headers) || existing.location
+    };
+  }
+}
+
+module.exports = new SessionService();
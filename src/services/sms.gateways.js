@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { isDevModeEnabled } = require('../../config/dev.mode');
+
+/**
+ * SMS gateways
+ * Every gateway exposes `name` and `send(message)`, where message is
+ * { to, text } with `to` in E.164 format, and the result is { messageId }.
+ * Add a provider (Termii, Twilio, ...) by implementing the same interface and
+ * registering it in GATEWAYS.
+ */
+
+/**
+ * Console gateway for development
+ * Prints messages to the server log instead of sending them.
+ */
+class ConsoleGateway {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    console.log(`📱 SMS to ${message.to}: ${message.text}`);
+
+    return { messageId };
+  }
+}
+
+/**
+ * In-memory outbox gateway for tests
+ */
+class MemoryGateway {
+  constructor() {
+    this.name = 'memory';
+    this.messages = [];
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    this.messages.push({ messageId, sentAt: new Date(), ...message });
+
+    return { messageId };
+  }
+
+  /**
+   * Empty the outbox
+   */
+  clear() {
+    this.messages = [];
+  }
+}
+
+const GATEWAYS = {
+  console: ConsoleGateway,
+  memory: MemoryGateway
+};
+
+/**
+ * Create the gateway named by SMS_GATEWAY
+ * The console gateway writes codes to the log, so it is only used (and only
+ * allowed) in dev mode. Anywhere else SMS_GATEWAY must name a gateway, and
+ * sending fails rather than falling back to the log.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Gateway
+ */
+const createGateway = (env = process.env) => {
+  const devMode = isDevModeEnabled(env);
+  const name = (env.SMS_GATEWAY || (devMode ? 'console' : '')).toLowerCase();
+
+  if (!name) {
+    throw new Error('SMS_GATEWAY must be set (the console gateway is only used in dev mode)');
+  }
+
+  if (name === 'console' && !devMode) {
+    throw new Error('The console SMS gateway is only available in dev mode (ENABLE_DEV_MODE=true)');
+  }
+
+  // The memory gateway only keeps codes in process, so real users would never get them
+  if (name === 'memory' && !devMode && env.NODE_ENV !== 'test') {
+    throw new Error('The memory SMS gateway is only available in tests (NODE_ENV=test) or dev mode');
+  }
+
+  const Gateway = GATEWAYS[name];
+  if (!Gateway) {
+    throw new Error(`Unknown SMS_GATEWAY "${name}"`);
+  }
+
+  return new Gateway(env);
+};
+
+module.exports = {
+  ConsoleGateway,
+  MemoryGateway,
+  createGateway
+};
@@ -0,0 +1,59 @@
+const { createGateway } = require('./sms.gateways');
+
+/**
+ * SMS Service
+ * Sends text messages through a pluggable gateway (see sms.gateways.js)
+ */
+class SmsService {
+  constructor() {
+    this.gateway = null;
+  }
+
+  /**
+   * Get the active gateway, creating it from the environment on first use
+   * @returns {Object} Gateway
+   */
+  getGateway() {
+    if (!this.gateway) {
+      this.gateway = createGateway();
+      console.log(`📱 SMS gateway: ${this.gateway.name}`);
+    }
+    return this.gateway;
+  }
+
+  /**
+   * Replace the gateway (e.g. with a MemoryGateway in tests)
+   * @param {Object} gateway - Gateway
+   */
+  setGateway(gateway) {
+    this.gateway = gateway;
+  }
+
+  /**
+   * Send a text message
+   * @param {string} to - E.164 phone number
+   * @param {string} text - Message text
+   * @returns {Object} { messageId }
+   */
+  async send(to, text) {
+    const result = await this.getGateway().send({ to, text });
+    console.log('✅ SMS sent:', result.messageId);
+    return result;
+  }
+
+  /**
+   * Send a one-time verification code
+   * @param {string} to - E.164 phone number
+   * @param {string} code - Code
+   * @param {number} expiresInMinutes - Code lifetime
+   * @returns {Object} { messageId }
+   */
+  async sendOtp(to, code, expiresInMinutes = 10) {
+    return this.send(
+      to,
+      `Your ChatPay verification code is ${code}. It expires in ${expiresInMinutes} minutes. Never share it with anyone.`
+    );
+  }
+}
+
+module.exports = new SmsService();
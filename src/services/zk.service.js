@@ -1,50 +1,56 @@
-const { jwtVerify } = require('jose');
+const { jwtVerify, createRemoteJWKSet } = require('jose');
+const { generateNonce } = require('@mysten/zklogin');
+const { Ed25519PublicKey } = require('@mysten/sui.js/keypairs/ed25519');
 const User = require('../models/User');
+const nonceService = require('./nonce.service');
+const { getOAuthProviders } = require('../../config/oauth.providers');
+
+// JWKS responses are cached; an unknown `kid` (key rotation) triggers a refetch,
+// at most once per cooldown period.
+const JWKS_CACHE_MAX_AGE_MS = parseInt(process.env.JWKS_CACHE_MAX_AGE_MS, 10) || 60 * 60 * 1000;
+const JWKS_COOLDOWN_MS = 30 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 30;
+const APPLE_RELAY_DOMAIN = '@privaterelay.appleid.com';
 
 /**
  * ZK Login Service
- * Handles verification of ZK Login proofs from various providers
+ * Handles verification of ZK Login proofs and OAuth ID tokens from various providers
  */
 class ZKLoginService {
   constructor() {
-    // ZK Login configuration - Google only
-    this.providers = {
-      google: {
-        clientId: process.env.GOOGLE_CLIENT_ID,
-        issuer: 'https://accounts.google.com'
-      }
-    };
+    // ZK Login providers, loaded from configuration (see config/oauth.providers.js)
+    this.providers = getOAuthProviders();
+
+    // Remote key sets, keyed by JWKS URL
+    this.keySets = new Map();
+  }
+
+  /**
+   * Get the names of the enabled providers
+   * @returns {Array<string>} Provider names
+   */
+  getSupportedProviders() {
+    return Object.keys(this.providers);
   }
 
   /**
    * Verify ZK Login proof
-   * @param {Object} zkProof - The ZK proof from the frontend
+   * @param {Object} zkProof - { jwt, provider, ephemeralPublicKey, maxEpoch, randomness, user }
    * @returns {Object} User information
    */
   async verifyZKProof(zkProof) {
     try {
-      const { jwt, provider } = zkProof;
+      const { jwt, provider, ephemeralPublicKey, maxEpoch, randomness } = zkProof;
 
       if (!jwt || !provider) {
         throw new Error('Invalid ZK proof: missing jwt or provider');
       }
 
-      if (!this.providers[provider]) {
-        throw new Error(`Unsupported provider: ${provider}`);
-      }
-
-      // Verify the JWT
-      const { payload } = await jwtVerify(
-        jwt,
-        this.getProviderKey(provider),
-        {
-          issuer: this.providers[provider].issuer,
-          audience: this.providers[provider].clientId
-        }
-      );
+      // The JWT nonce must be the zkLogin nonce of this ephemeral key and server-issued randomness
+      const payload = await this.verifyIdToken(jwt, provider, { ephemeralPublicKey, maxEpoch, randomness });
 
-      // Extract user information
-      const userInfo = this.extractUserInfo(payload, provider);
+      // Extract user information (Apple sends the name outside the JWT, first login only)
+      const userInfo = this.extractUserInfo(payload, provider, zkProof.user);
 
       return {
         ...userInfo,
@@ -53,42 +59,117 @@ class ZKLoginService {
       };
 
     } catch (error) {
-      console.error('ZK Login verification failed:', error);
+      console.error('ZK Login verification failed:', error.message);
       throw new Error(`ZK Login verification failed: ${error.message}`);
     }
   }
 
   /**
-   * Get the public key for JWT verification
+   * Verify a provider ID token against the provider's JWKS
+   * Enforces signature, issuer, audience, expiry and nonce. The nonce is never
+   * taken from the client: it is either a nonce issued by nonceService, or the
+   * zkLogin nonce recomputed here from the ephemeral public key, max epoch and
+   * issued randomness. The issued value is consumed, so each ID token is
+   * accepted once.
+   * @param {string} idToken - ID token (JWT) issued by the provider
+   * @param {string} provider - The OAuth provider
+   * @param {Object} binding - { nonce } or { ephemeralPublicKey, maxEpoch, randomness }
+   * @returns {Object} Verified JWT payload
+   */
+  async verifyIdToken(idToken, provider, binding = {}) {
+    const config = this.providers[provider];
+
+    if (!config) {
+      throw new Error(`Unsupported provider: ${provider}`);
+    }
+
+    if (!config.clientId) {
+      throw new Error(`Provider ${provider} is not configured`);
+    }
+
+    const expectedNonce = this.getExpectedNonce(binding);
+
+    const { payload } = await jwtVerify(idToken, this.getProviderKey(provider), {
+      issuer: config.issuer,
+      audience: config.clientId,
+      algorithms: config.algorithms,
+      requiredClaims: ['sub', 'exp', 'iat'],
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+
+    if (payload.nonce !== expectedNonce) {
+      throw new Error('Nonce mismatch');
+    }
+
+    if (!(await nonceService.consume(binding.randomness || binding.nonce))) {
+      throw new Error('Nonce was not issued by this server or has already been used');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Work out the nonce an ID token must carry
+   * @param {Object} binding - { nonce } or { ephemeralPublicKey, maxEpoch, randomness }
+   * @returns {string} Expected nonce claim
+   */
+  getExpectedNonce({ nonce, ephemeralPublicKey, maxEpoch, randomness } = {}) {
+    if (ephemeralPublicKey || randomness) {
+      const epoch = Number(maxEpoch);
+
+      if (!ephemeralPublicKey || !randomness || !Number.isSafeInteger(epoch) || epoch < 0) {
+        throw new Error('ephemeralPublicKey, maxEpoch and randomness are required');
+      }
+
+      try {
+        return generateNonce(new Ed25519PublicKey(ephemeralPublicKey), epoch, String(randomness));
+      } catch (error) {
+        throw new Error('Invalid zkLogin nonce parameters');
+      }
+    }
+
+    if (!nonce) {
+      throw new Error('Nonce is required');
+    }
+
+    return String(nonce);
+  }
+
+  /**
+   * Get the remote key set for JWT verification
    * @param {string} provider - The OAuth provider
-   * @returns {KeyLike} The public key
+   * @returns {Function} jose key resolver
    */
   getProviderKey(provider) {
-    // In production, you would fetch the public keys from the provider's JWKS endpoint
-    // For now, we'll use a mock implementation
-    switch (provider) {
-      case 'google':
-        return this.getGooglePublicKey();
-      case 'apple':
-        return this.getApplePublicKey();
-      case 'twitter':
-        return this.getTwitterPublicKey();
-      default:
-        throw new Error(`No public key available for provider: ${provider}`);
+    const config = this.providers[provider];
+
+    if (!config || !config.jwksUrl) {
+      throw new Error(`No public key available for provider: ${provider}`);
     }
+
+    if (!this.keySets.has(config.jwksUrl)) {
+      this.keySets.set(config.jwksUrl, createRemoteJWKSet(new URL(config.jwksUrl), {
+        cacheMaxAge: JWKS_CACHE_MAX_AGE_MS,
+        cooldownDuration: JWKS_COOLDOWN_MS
+      }));
+    }
+
+    return this.keySets.get(config.jwksUrl);
   }
 
   /**
    * Extract user information from JWT payload
    * @param {Object} payload - JWT payload
    * @param {string} provider - OAuth provider
+   * @param {Object|string} clientUser - Apple's first-login `user` object (optional)
    * @returns {Object} Standardized user info
    */
-  extractUserInfo(payload, provider) {
+  extractUserInfo(payload, provider, clientUser = null) {
     const baseInfo = {
       id: payload.sub,
-      email: payload.email,
-      emailVerified: payload.email_verified || false
+      email: payload.email ? payload.email.toLowerCase() : undefined,
+      // Apple sends boolean claims as strings
+      emailVerified: payload.email_verified === true || payload.email_verified === 'true'
     };
 
     switch (provider) {
@@ -102,87 +183,249 @@ class ZKLoginService {
           locale: payload.locale
         };
 
-      case 'apple':
+      case 'apple': {
+        const isPrivateEmail = payload.is_private_email === true ||
+          payload.is_private_email === 'true' ||
+          (!!baseInfo.email && baseInfo.email.endsWith(APPLE_RELAY_DOMAIN));
+        const firstLoginName = this.parseAppleName(clientUser);
+
         return {
           ...baseInfo,
-          name: payload.name || 'Apple User'
+          isPrivateEmail,
+          // Only present on the very first authorization; never used to update an account
+          name: firstLoginName || undefined,
+          nameIsFirstLoginOnly: !!firstLoginName
         };
+      }
 
       case 'twitter':
         return {
           ...baseInfo,
-          name: payload.name || payload.screen_name,
-          username: payload.screen_name,
-          picture: payload.profile_image_url_https
+          name: payload.name || payload.screen_name || payload.preferred_username,
+          username: payload.screen_name || payload.preferred_username,
+          picture: payload.profile_image_url_https || payload.picture
         };
 
       default:
-        return baseInfo;
+        return {
+          ...baseInfo,
+          name: payload.name,
+          username: payload.preferred_username,
+          picture: payload.picture
+        };
+    }
+  }
+
+  /**
+   * Read the display name from Apple's first-login `user` form field
+   * @param {Object|string} clientUser - `{ name: { firstName, lastName } }` or its JSON
+   * @returns {string|null} Display name
+   */
+  parseAppleName(clientUser) {
+    if (!clientUser) {
+      return null;
+    }
+
+    let parsed = clientUser;
+    if (typeof clientUser === 'string') {
+      try {
+        parsed = JSON.parse(clientUser);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const name = parsed && parsed.name;
+    if (!name || typeof name !== 'object') {
+      return null;
+    }
+
+    const fullName = [name.firstName, name.lastName]
+      .filter(part => typeof part === 'string' && part.trim())
+      .join(' ')
+      .trim();
+
+    return fullName ? fullName.substring(0, 50) : null;
+  }
+
+  /**
+   * Mark the account email as verified when the provider vouches for that same address
+   * @param {Object} user - User document
+   * @param {Object} userInfo - User info from ZK Login
+   */
+  markEmailVerified(user, userInfo) {
+    if (userInfo.emailVerified && userInfo.email && userInfo.email === user.email) {
+      user.isVerified = true;
+      user.emailVerification.isVerified = true;
     }
   }
 
   /**
    * Create or update user from ZK Login info
+   * Looks the user up by linked identity. An existing account with the same
+   * email is only linked automatically when the provider asserts the email is
+   * verified and the account had already verified it too; otherwise whoever
+   * registered the address may not own it, so the user must sign in and link
+   * the provider explicitly.
    * @param {Object} userInfo - User info from ZK Login
    * @returns {Object} User document
    */
   async createOrUpdateUser(userInfo) {
     try {
-      let user = await User.findOne({ zkLoginId: userInfo.zkLoginId });
+      const { provider, zkLoginId: subject } = userInfo;
+      let user = await User.findByIdentity(provider, subject);
+
+      // Accounts created before linked identities stored the Google subject in zkLoginId
+      if (!user && provider === 'google') {
+        user = await User.findOne({ zkLoginId: subject });
+        if (user && !user.findIdentity('google')) {
+          this.addIdentity(user, userInfo);
+        }
+      }
 
       if (user) {
-        // Update existing user
-        user.email = userInfo.email;
-        user.displayName = userInfo.name;
+        // Update existing user (providers may omit claims on later logins)
+        const identity = user.findIdentity(provider);
+        if (identity) identity.lastUsedAt = new Date();
+        if (userInfo.name && !userInfo.nameIsFirstLoginOnly) user.displayName = userInfo.name;
+        if (userInfo.picture && !user.profilePicture) user.profilePicture = userInfo.picture;
+        this.markEmailVerified(user, userInfo);
         user.lastActive = new Date();
         await user.save();
-      } else {
-        // Check if user exists with same email
-        const existingUser = await User.findOne({ email: userInfo.email });
-
-        if (existingUser) {
-          // Link ZK Login to existing account
-          existingUser.zkLoginId = userInfo.zkLoginId;
-          existingUser.lastActive = new Date();
-          user = await existingUser.save();
-        } else {
-          // Create new user
-          user = new User({
-            zkLoginId: userInfo.zkLoginId,
-            username: this.generateUsername(userInfo.name || userInfo.email),
-            email: userInfo.email,
-            displayName: userInfo.name,
-            profilePicture: userInfo.picture,
-            isVerified: userInfo.emailVerified || false,
-            preferences: {
-              notifications: {
-                email: true,
-                push: true
-              }
-            }
-          });
-          await user.save();
+        return user;
+      }
+
+      // Check if user exists with same email
+      const existingUser = userInfo.email ? await User.findOne({ email: userInfo.email }) : null;
+
+      if (existingUser) {
+        const ownershipProven = userInfo.emailVerified && existingUser.hasVerifiedEmail();
+
+        if (!ownershipProven) {
+          const error = new Error(
+            'An account with this email already exists. Sign in to that account and link this provider.'
+          );
+          error.code = 'ACCOUNT_LINK_REQUIRED';
+          throw error;
         }
+
+        // Both the provider and the account have proven the email, so link them
+        this.addIdentity(existingUser, userInfo);
+        existingUser.lastActive = new Date();
+        return await existingUser.save();
       }
 
+      // Create new user
+      user = new User({
+        username: await this.generateUsername(
+          userInfo.username || userInfo.name || (userInfo.isPrivateEmail ? null : userInfo.email),
+          `${userInfo.provider}user`
+        ),
+        email: userInfo.email,
+        displayName: userInfo.name,
+        profilePicture: userInfo.picture,
+        isVerified: userInfo.emailVerified || false,
+        emailVerification: {
+          isVerified: userInfo.emailVerified || false
+        },
+        preferences: {
+          notifications: {
+            email: true,
+            push: true
+          }
+        }
+      });
+      this.addIdentity(user, userInfo);
+      await user.save();
+
       return user;
     } catch (error) {
-      console.error('Error creating/updating user:', error);
+      console.error('Error creating/updating user:', error.message);
+
+      if (error.code === 'ACCOUNT_LINK_REQUIRED') {
+        throw error;
+      }
+
       throw new Error('Failed to create or update user account');
     }
   }
 
+  /**
+   * Link a verified provider identity to an account
+   * @param {Object} user - User document
+   * @param {Object} userInfo - Verified user info (see extractUserInfo)
+   * @returns {Object} Saved user document
+   */
+  async linkIdentity(user, userInfo) {
+    const { provider, zkLoginId: subject } = userInfo;
+
+    if (user.findIdentity(provider)) {
+      throw new Error(`A ${provider} identity is already linked to this account`);
+    }
+
+    const owner = await User.findByIdentity(provider, subject);
+    if (owner || (provider === 'google' && await User.exists({ zkLoginId: subject, _id: { $ne: user._id } }))) {
+      throw new Error(`This ${provider} account is already linked to another user`);
+    }
+
+    this.addIdentity(user, userInfo);
+    return user.save();
+  }
+
+  /**
+   * Unlink a provider identity from an account
+   * Refuses to remove the account's last way to sign in.
+   * @param {Object} user - User document (with password selected)
+   * @param {string} provider - Provider name
+   * @returns {Object} Saved user document
+   */
+  async unlinkIdentity(user, provider) {
+    const identity = user.findIdentity(provider);
+
+    if (!identity) {
+      throw new Error(`No ${provider} identity is linked to this account`);
+    }
+
+    if (!user.password && user.identities.length <= 1) {
+      throw new Error('Cannot unlink your only sign-in method. Set a password or link another provider first.');
+    }
+
+    if (provider === 'google' && user.zkLoginId === identity.subject) {
+      user.zkLoginId = undefined;
+    }
+
+    user.identities.pull(identity._id);
+    return user.save();
+  }
+
+  /**
+   * Add an identity entry to a user (does not save)
+   * @param {Object} user - User document
+   * @param {Object} userInfo - Verified user info
+   */
+  addIdentity(user, userInfo) {
+    user.identities.push({
+      provider: userInfo.provider,
+      subject: userInfo.zkLoginId,
+      email: userInfo.email,
+      linkedAt: new Date(),
+      lastUsedAt: new Date()
+    });
+  }
+
   /**
    * Generate a unique username from name or email
-   * @param {string} input - Name or email
+   * @param {string} [input] - Name or email
+   * @param {string} [fallback='user'] - Base to use when the input has too few usable characters
    * @returns {string} Unique username
    */
-  async generateUsername(input) {
-    const baseUsername = input
+  async generateUsername(input, fallback = 'user') {
+    const cleaned = String(input || '')
       .split('@')[0] // Remove email domain
       .replace(/[^a-zA-Z0-9]/g, '') // Remove special characters
       .toLowerCase()
       .substring(0, 20); // Limit length
+    const baseUsername = cleaned.length >= 3 ? cleaned : fallback;
 
     let username = baseUsername;
     let counter = 1;
@@ -195,24 +438,6 @@ class ZKLoginService {
     return username;
   }
 
-  /**
-   * Mock public key getters (replace with real JWKS fetching in production)
-   */
-  getGooglePublicKey() {
-    // In production, fetch from https://www.googleapis.com/oauth2/v3/certs
-    return 'mock-google-public-key';
-  }
-
-  getApplePublicKey() {
-    // In production, fetch from https://appleid.apple.com/auth/keys
-    return 'mock-apple-public-key';
-  }
-
-  getTwitterPublicKey() {
-    // In production, fetch from Twitter's JWKS endpoint
-    return 'mock-twitter-public-key';
-  }
-
   /**
    * Validate ZK Login session
    * @param {string} sessionId - Session identifier
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+/**
+ * Crypto Utilities
+ * Helper functions for generating and storing secret tokens
+ */
+
+/**
+ * Generate a cryptographically secure random token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex encoded token
+ */
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage (tokens are high entropy, so SHA-256 is enough)
+ * @param {string} token - Plaintext token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Get the 256-bit key used for encrypting secrets at rest
+ * @returns {Buffer} Encryption key
+ */
+const getEncryptionKey = () => {
+  if (process.env.ENCRYPTION_KEY) {
+    return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+  }
+
+  return crypto.createHash('sha256')
+    .update(`encryption:${process.env.JWT_SECRET || 'your-secret-key'}`)
+    .digest();
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} iv:authTag:ciphertext, base64 encoded
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - iv:authTag:ciphertext
+ * @returns {string} Plaintext
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecureToken,
+  hashToken,
+  safeEqual,
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,88 @@
+const net = require('net');
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix ("::ffff:1.2.3.4" -> "1.2.3.4")
+ * @param {string} ip - IP address
+ * @returns {string} Normalized IP address
+ */
+const normalizeIp = (ip) => {
+  if (!ip) {
+    return ip;
+  }
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+};
+
+/**
+ * Expand an IPv6 address to its eight groups
+ * @param {string} ip - IPv6 address
+ * @returns {Array<string>} Groups
+ */
+const expandIpv6 = (ip) => {
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+
+  return [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups]
+    .map(group => group.toLowerCase().padStart(4, '0'));
+};
+
+/**
+ * Get the network range an IP belongs to (/24 for IPv4, /48 for IPv6)
+ * Addresses in the same range usually belong to the same provider and place.
+ * @param {string} ip - IP address
+ * @returns {string|null} Range in CIDR notation, or null if not an IP
+ */
+const getIpRange = (ip) => {
+  const address = normalizeIp(ip);
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (net.isIPv6(address)) {
+    return `${expandIpv6(address).slice(0, 3).join(':')}::/48`;
+  }
+
+  return null;
+};
+
+/**
+ * Decode a percent-encoded header value, keeping it as-is if malformed
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+const decodeHeader = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Read the client location set by the CDN or proxy in front of the API
+ * (Cloudflare, Vercel or a generic X-Country-Code/X-City pair)
+ * @param {Object} headers - Request headers
+ * @returns {Object|undefined} { country, city }
+ */
+const getLocationFromHeaders = (headers = {}) => {
+  const country = headers['cf-ipcountry'] || headers['x-vercel-ip-country'] || headers['x-country-code'];
+  const city = headers['cf-ipcity'] || headers['x-vercel-ip-city'] || headers['x-city'];
+
+  // Cloudflare uses XX for unknown and T1 for Tor
+  if (!country || country === 'XX') {
+    return undefined;
+  }
+
+  return {
+    country: String(country).substring(0, 2).toUpperCase(),
+    city: city ? decodeHeader(String(city)).substring(0, 100) : undefined
+  };
+};
+
+module.exports = {
+  normalizeIp,
+  getIpRange,
+  getLocationFromHeaders
+};
@@ -21,6 +21,32 @@ const generateToken = (payload, expiresIn = '7d') => {
   );
 };
 
+/**
+ * Generate short-lived access token for an authenticated session
+ * Embeds the user's token version so older tokens can be revoked
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} JWT token
+ */
+const generateAuthToken = (user, sessionId) => {
+  return generateToken({
+    type: 'access',
+    userId: user._id.toString(),
+    sessionId: sessionId.toString(),
+    tokenVersion: user.tokenVersion || 0
+  }, process.env.ACCESS_TOKEN_EXPIRES_IN || '15m');
+};
+
+/**
+ * Check whether a decoded token was issued for the user's current token version
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {Object} user - User document
+ * @returns {boolean} True if the token has not been revoked
+ */
+const isTokenVersionCurrent = (decoded, user) => {
+  return (decoded.tokenVersion || 0) === (user.tokenVersion || 0);
+};
+
 /**
  * Verify JWT token
  * @param {string} token - JWT token
@@ -36,6 +62,22 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Verify an access token
+ * Rejects refresh and other special-purpose tokens signed with the same secret
+ * @param {string} token - JWT token
+ * @returns {Object} Decoded payload
+ */
+const verifyAccessToken = (token) => {
+  const decoded = verifyToken(token);
+
+  if (decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
 /**
  * Decode JWT token without verification
  * @param {string} token - JWT token
@@ -48,15 +90,16 @@ const decodeToken = (token) => {
 /**
  * Generate refresh token
  * @param {string} payload - User ID or payload object
+ * @param {string} expiresIn - Expiration time
  * @returns {string} Refresh token
  */
-const generateRefreshToken = (payload) => {
+const generateRefreshToken = (payload, expiresIn = process.env.REFRESH_TOKEN_EXPIRES_IN || '30d') => {
   const secret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET || 'your-refresh-secret';
 
   return jwt.sign(
     typeof payload === 'string' ? { userId: payload } : payload,
     secret,
-    { expiresIn: '30d' }
+    { expiresIn }
   );
 };
 
@@ -129,7 +172,10 @@ const getTokenExpiration = (token) => {
 
 module.exports = {
   generateToken,
+  generateAuthToken,
+  isTokenVersionCurrent,
   verifyToken,
+  verifyAccessToken,
   decodeToken,
   generateRefreshToken,
   verifyRefreshToken,
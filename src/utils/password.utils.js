@@ -0,0 +1,128 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+/**
+ * Password Utilities
+ * Helper functions for password hashing and strength policy
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt only uses the first 72 bytes
+
+const COMMON_PASSWORDS = [
+  'password', 'password1', 'password123', '12345678', '123456789',
+  '1234567890', 'qwerty123', 'qwertyuiop', '11111111', 'iloveyou',
+  'letmein1', 'welcome1', 'admin123', 'chatpay123', 'abc12345'
+];
+
+/**
+ * Get configured bcrypt cost factor
+ * @returns {number} Salt rounds
+ */
+const getSaltRounds = () => {
+  const rounds = parseInt(process.env.BCRYPT_ROUNDS, 10);
+  return Number.isInteger(rounds) && rounds >= 10 ? rounds : 12;
+};
+
+/**
+ * Hash a plaintext password
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} Bcrypt hash
+ */
+const hashPassword = (password) => {
+  return bcrypt.hash(password, getSaltRounds());
+};
+
+/**
+ * Compare a plaintext password against a bcrypt hash
+ * @param {string} password - Plaintext password
+ * @param {string} hash - Stored bcrypt hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+const comparePassword = async (password, hash) => {
+  if (!password || !hash) {
+    return false;
+  }
+
+  return bcrypt.compare(password, hash);
+};
+
+let dummyHash = null;
+
+/**
+ * Do the same bcrypt work as comparePassword() when there is no hash to check
+ * Keeps the response time for unknown or blocked accounts in line with a
+ * wrong password.
+ * @param {string} password - Plaintext password
+ * @returns {Promise<boolean>} Always false
+ */
+const simulatePasswordCheck = async (password) => {
+  if (!dummyHash) {
+    dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+
+  await bcrypt.compare(String(password), dummyHash);
+  return false;
+};
+
+/**
+ * Validate a password against the strength policy
+ * @param {string} password - Plaintext password
+ * @param {Object} context - Account details the password must not contain
+ * @param {string} context.email - Account email
+ * @param {string} context.username - Account username
+ * @returns {Object} { valid, errors }
+ */
+const validatePasswordStrength = (password, context = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return { valid: false, errors: ['Password is required'] };
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_LENGTH) {
+    errors.push(`Password must be at most ${MAX_PASSWORD_LENGTH} bytes long`);
+  }
+
+  if (!/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+
+  if (!/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+
+  if (!/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+    errors.push('Password is too common');
+  }
+
+  const lowered = password.toLowerCase();
+  const emailName = context.email ? context.email.split('@')[0].toLowerCase() : null;
+  const username = context.username ? context.username.toLowerCase() : null;
+
+  if ((emailName && emailName.length >= 3 && lowered.includes(emailName)) ||
+      (username && username.length >= 3 && lowered.includes(username))) {
+    errors.push('Password must not contain your username or email');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  comparePassword,
+  simulatePasswordCheck,
+  validatePasswordStrength
+};
@@ -0,0 +1,66 @@
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Check that a phone number is in E.164 format (+2348031234567)
+ * @param {string} phone - Phone number
+ * @returns {boolean} True if valid
+ */
+const isE164 = (phone) => {
+  return typeof phone === 'string' && E164_PATTERN.test(phone);
+};
+
+/**
+ * Normalize a phone number to E.164
+ * Accepts "+234 803 123 4567", "002348031234567", "2348031234567" and local
+ * numbers with a trunk prefix ("08031234567"), which are read in the default
+ * country (DEFAULT_PHONE_COUNTRY_CODE, Nigeria by default).
+ * @param {string} input - Phone number as typed
+ * @param {string} defaultCountryCode - Calling code without "+"
+ * @returns {string|null} E.164 number, or null if it can't be one
+ */
+const normalizePhone = (input, defaultCountryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '234') => {
+  if (input === undefined || input === null) {
+    return null;
+  }
+
+  const raw = String(input).trim();
+  if (!/^[+\d\s().-]+$/.test(raw)) {
+    return null;
+  }
+
+  let digits = raw.replace(/[^\d]/g, '');
+  let phone;
+
+  if (raw.startsWith('+')) {
+    phone = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    phone = `+${digits.slice(2)}`;
+  } else if (digits.startsWith('0')) {
+    digits = digits.replace(/^0+/, '');
+    phone = `+${defaultCountryCode}${digits}`;
+  } else if (digits.startsWith(defaultCountryCode)) {
+    phone = `+${digits}`;
+  } else {
+    return null;
+  }
+
+  return isE164(phone) ? phone : null;
+};
+
+/**
+ * Mask a phone number for display (+234••••••4567)
+ * @param {string} phone - E.164 phone number
+ * @returns {string} Masked number
+ */
+const maskPhone = (phone) => {
+  if (!phone) {
+    return phone;
+  }
+  return `${phone.slice(0, 4)}${'•'.repeat(Math.max(phone.length - 8, 0))}${phone.slice(-4)}`;
+};
+
+module.exports = {
+  isE164,
+  normalizePhone,
+  maskPhone
+};
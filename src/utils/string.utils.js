@@ -0,0 +1,16 @@
+/**
+ * String utilities
+ */
+
+/**
+ * Escape a string for literal use inside a RegExp
+ * @param {string} value - Raw user input
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+module.exports = {
+  escapeRegex
+};
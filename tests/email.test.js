@@ -0,0 +1,130 @@
+const {
+  SmtpTransport,
+  FileTransport,
+  MemoryTransport,
+  createTransport
+} = require('../src/services/email.transports');
+const emailService = require('../src/services/email.service');
+
+const DEV_ENV = { ENABLE_DEV_MODE: 'true', NODE_ENV: 'development' };
+
+describe('createTransport', () => {
+  it('uses the file outbox by default in dev mode', () => {
+    expect(createTransport(DEV_ENV)).toBeInstanceOf(FileTransport);
+  });
+
+  it('uses SMTP once SMTP settings are present', () => {
+    expect(createTransport({ ...DEV_ENV, EMAIL_HOST: 'smtp.example.test' })).toBeInstanceOf(SmtpTransport);
+    expect(createTransport({ EMAIL_USER: 'bot@example.test', EMAIL_PASS: 'secret' })).toBeInstanceOf(SmtpTransport);
+  });
+
+  it('uses SMTP by default in production, even with dev mode requested', () => {
+    expect(createTransport({ ENABLE_DEV_MODE: 'true', NODE_ENV: 'production' })).toBeInstanceOf(SmtpTransport);
+  });
+
+  it('fails closed without SMTP settings outside dev mode', () => {
+    expect(() => createTransport({ NODE_ENV: 'staging' })).toThrow('EMAIL_TRANSPORT or SMTP settings must be set');
+  });
+
+  it('refuses the file outbox outside dev mode', () => {
+    expect(() => createTransport({ EMAIL_TRANSPORT: 'file' })).toThrow('only available in dev mode');
+  });
+
+  it('creates the memory transport by name', () => {
+    expect(createTransport({ EMAIL_TRANSPORT: 'Memory' })).toBeInstanceOf(MemoryTransport);
+  });
+
+  it('rejects unknown transports', () => {
+    expect(() => createTransport({ EMAIL_TRANSPORT: 'pigeon' })).toThrow('Unknown EMAIL_TRANSPORT "pigeon"');
+  });
+});
+
+describe('emailService with the memory transport', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    emailService.setTransport(transport);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('renders and delivers a templated email', async () => {
+    const result = await emailService.send('otp', 'alice@example.com', {
+      code: '482913',
+      purpose: 'email_verification',
+      expiresInMinutes: 10
+    });
+
+    expect(transport.messages).toHaveLength(1);
+
+    const [message] = transport.messages;
+    expect(result.messageId).toBe(message.messageId);
+    expect(message).toMatchObject({ to: 'alice@example.com', template: 'otp', locale: 'en' });
+    expect(message.subject).toContain('verification code');
+    expect(message.text).toContain('482913');
+    expect(message.text).toContain('verify your email address');
+    expect(message.html).toContain('482913');
+  });
+
+  it('sends in the user\'s preferred language', async () => {
+    await emailService.sendToUser(
+      { email: 'jean@example.com', preferences: { locale: 'fr-CA' } },
+      'otp',
+      { code: '111111', purpose: 'step_up', expiresInMinutes: 10 }
+    );
+
+    expect(transport.messages[0]).toMatchObject({ to: 'jean@example.com', locale: 'fr' });
+    expect(transport.messages[0].subject).toContain('Votre code');
+  });
+
+  it('escapes data in the HTML body', async () => {
+    await emailService.send('login_alert', 'alice@example.com', {
+      time: 'now',
+      device: '<script>alert(1)</script>',
+      ipAddress: '203.0.113.7',
+      location: 'Lagos, NG',
+      reportUrl: 'https://chatpay.example.test/report'
+    });
+
+    const [message] = transport.messages;
+    expect(message.html).not.toContain('<script>');
+    expect(message.html).toContain('&lt;script&gt;');
+  });
+
+  it('skips users without an email address', async () => {
+    await expect(emailService.sendToUser({ phone: '+2348000000000' }, 'otp', {})).resolves.toBeNull();
+    expect(transport.messages).toHaveLength(0);
+  });
+
+  it('queues a failed send and retries it', async () => {
+    jest.useFakeTimers();
+
+    const send = jest.spyOn(transport, 'send').mockRejectedValueOnce(new Error('Connection refused'));
+
+    await expect(emailService.send('otp', 'alice@example.com', {
+      code: '482913',
+      purpose: 'step_up',
+      expiresInMinutes: 10
+    })).resolves.toEqual({ queued: true });
+    expect(emailService.getQueueSize()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(transport.messages).toHaveLength(1);
+    expect(emailService.getQueueSize()).toBe(0);
+  });
+
+  it('empties the outbox on clear()', async () => {
+    await emailService.send('otp', 'alice@example.com', { code: '1', purpose: 'step_up', expiresInMinutes: 10 });
+    transport.clear();
+
+    expect(transport.messages).toEqual([]);
+  });
+});
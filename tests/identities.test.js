@@ -0,0 +1,226 @@
+const { generateKeyPair, SignJWT } = require('jose');
+const AuthNonce = require('../src/models/AuthNonce');
+const User = require('../src/models/User');
+const nonceService = require('../src/services/nonce.service');
+const reauthService = require('../src/services/reauth.service');
+const lockoutService = require('../src/services/lockout.service');
+const zkService = require('../src/services/zk.service');
+const { hashToken } = require('../src/utils/crypto.utils');
+
+const ISSUER = 'https://accounts.google.com';
+const CLIENT_ID = 'chatpay-test-client';
+
+describe('linked identities', () => {
+  let nonces;
+
+  beforeEach(() => {
+    nonces = [];
+
+    // In-memory stand-in for the AuthNonce collection
+    jest.spyOn(AuthNonce, 'create').mockImplementation(async (doc) => {
+      nonces.push({ ...doc });
+      return doc;
+    });
+    jest.spyOn(AuthNonce, 'findOneAndDelete').mockImplementation(async (filter) => {
+      const index = nonces.findIndex(doc =>
+        doc.valueHash === filter.valueHash && doc.expiresAt > filter.expiresAt.$gt
+      );
+      return index === -1 ? null : nonces.splice(index, 1)[0];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('nonceService', () => {
+    it('issues a decimal nonce and stores only its hash', async () => {
+      const { nonce, expiresAt } = await nonceService.issue();
+
+      expect(nonce).toMatch(/^\d+$/);
+      expect(nonces).toEqual([{ valueHash: hashToken(nonce), expiresAt }]);
+    });
+
+    it('accepts a nonce once', async () => {
+      const { nonce } = await nonceService.issue();
+
+      await expect(nonceService.consume(nonce)).resolves.toBe(true);
+      await expect(nonceService.consume(nonce)).resolves.toBe(false);
+    });
+
+    it('rejects nonces that were never issued, have expired or are missing', async () => {
+      const { nonce } = await nonceService.issue();
+      nonces[0].expiresAt = new Date(Date.now() - 1);
+
+      await expect(nonceService.consume(nonce)).resolves.toBe(false);
+      await expect(nonceService.consume('12345')).resolves.toBe(false);
+      await expect(nonceService.consume(undefined)).resolves.toBe(false);
+    });
+  });
+
+  describe('re-authentication with a linked provider', () => {
+    let providerKeys;
+    let user;
+
+    /**
+     * Sign a Google ID token for the linked account
+     * @param {Object} overrides - { nonce, subject, issuedAt }
+     * @returns {Promise<string>} Signed JWT
+     */
+    const signIdToken = ({ nonce, subject = 'google-user-1', issuedAt = Math.floor(Date.now() / 1000) }) => {
+      return new SignJWT({ nonce })
+        .setProtectedHeader({ alg: 'RS256' })
+        .setSubject(subject)
+        .setIssuer(ISSUER)
+        .setAudience(CLIENT_ID)
+        .setIssuedAt(issuedAt)
+        .setExpirationTime(issuedAt + 3600)
+        .sign(providerKeys.privateKey);
+    };
+
+    const reauth = (credentials) => reauthService.verify(user._id, credentials);
+
+    beforeAll(async () => {
+      providerKeys = await generateKeyPair('RS256');
+    });
+
+    beforeEach(() => {
+      zkService.providers = {
+        google: { clientId: CLIENT_ID, issuer: ISSUER, jwksUrl: 'https://jwks.example.test/certs', algorithms: ['RS256'] }
+      };
+      jest.spyOn(zkService, 'getProviderKey').mockReturnValue(providerKeys.publicKey);
+
+      user = new User({
+        username: 'alice',
+        email: 'alice@example.com',
+        identities: [{ provider: 'google', subject: 'google-user-1' }]
+      });
+      jest.spyOn(User, 'findById').mockImplementation(async () => user);
+      jest.spyOn(lockoutService, 'checkAttempt').mockResolvedValue(null);
+      jest.spyOn(lockoutService, 'recordFailure').mockResolvedValue();
+    });
+
+    it('accepts a fresh token bound to a nonce this server issued, once', async () => {
+      const { nonce } = await nonceService.issue();
+      const idToken = await signIdToken({ nonce });
+
+      await expect(reauth({ provider: 'google', idToken, nonce })).resolves.toEqual({ valid: true });
+      await expect(reauth({ provider: 'google', idToken, nonce })).resolves.toEqual({ valid: false });
+    });
+
+    it('rejects a token whose nonce the server never issued', async () => {
+      const idToken = await signIdToken({ nonce: '12345' });
+
+      await expect(reauth({ provider: 'google', idToken, nonce: '12345' })).resolves.toEqual({ valid: false });
+      expect(lockoutService.recordFailure).toHaveBeenCalledWith(user, null, 'google', 'reauth_failed');
+    });
+
+    it('rejects a token issued for a different nonce than the one sent', async () => {
+      const { nonce } = await nonceService.issue();
+      const { nonce: other } = await nonceService.issue();
+      const idToken = await signIdToken({ nonce: other });
+
+      await expect(reauth({ provider: 'google', idToken, nonce })).resolves.toEqual({ valid: false });
+    });
+
+    it('rejects a token for another provider account', async () => {
+      const { nonce } = await nonceService.issue();
+      const idToken = await signIdToken({ nonce, subject: 'google-user-2' });
+
+      await expect(reauth({ provider: 'google', idToken, nonce })).resolves.toEqual({ valid: false });
+    });
+
+    it('rejects a token signed in more than five minutes ago', async () => {
+      const { nonce } = await nonceService.issue();
+      const idToken = await signIdToken({ nonce, issuedAt: Math.floor(Date.now() / 1000) - 10 * 60 });
+
+      await expect(reauth({ provider: 'google', idToken, nonce })).resolves.toEqual({ valid: false });
+    });
+
+    it('rejects a provider that is not linked', async () => {
+      const { nonce } = await nonceService.issue();
+      const idToken = await signIdToken({ nonce });
+
+      await expect(reauth({ provider: 'apple', idToken, nonce })).resolves.toEqual({ valid: false });
+    });
+  });
+
+  describe('zkService', () => {
+    /**
+     * Verified user info for a Google sign-in
+     * @param {Object} overrides - Fields to change
+     * @returns {Object} User info
+     */
+    const googleUserInfo = (overrides = {}) => ({
+      provider: 'google',
+      zkLoginId: 'google-user-1',
+      email: 'alice@example.com',
+      emailVerified: true,
+      name: 'Alice',
+      ...overrides
+    });
+
+    let existing;
+
+    beforeEach(() => {
+      existing = new User({ username: 'alice', email: 'alice@example.com' });
+
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+      jest.spyOn(User, 'findOne').mockImplementation(async (filter) => (filter.email === existing.email ? existing : null));
+      jest.spyOn(User, 'exists').mockResolvedValue(null);
+      jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('never merges into an account whose email is unverified', async () => {
+      await expect(zkService.createOrUpdateUser(googleUserInfo()))
+        .rejects.toMatchObject({ code: 'ACCOUNT_LINK_REQUIRED' });
+      expect(existing.identities).toHaveLength(0);
+    });
+
+    it('never merges when the provider does not assert email_verified', async () => {
+      existing.emailVerification.isVerified = true;
+
+      await expect(zkService.createOrUpdateUser(googleUserInfo({ emailVerified: false })))
+        .rejects.toMatchObject({ code: 'ACCOUNT_LINK_REQUIRED' });
+      expect(existing.identities).toHaveLength(0);
+    });
+
+    it('links the provider when both sides have verified the email', async () => {
+      existing.emailVerification.isVerified = true;
+
+      const user = await zkService.createOrUpdateUser(googleUserInfo());
+
+      expect(user).toBe(existing);
+      expect(user.findIdentity('google')).toMatchObject({ subject: 'google-user-1' });
+    });
+
+    it('refuses to link an identity that belongs to another account', async () => {
+      User.findByIdentity.mockResolvedValue(new User({ username: 'mallory', email: 'mallory@example.com' }));
+
+      await expect(zkService.linkIdentity(existing, googleUserInfo()))
+        .rejects.toThrow('This google account is already linked to another user');
+    });
+
+    it('refuses to link a second identity from the same provider', async () => {
+      existing.identities.push({ provider: 'google', subject: 'google-user-1' });
+
+      await expect(zkService.linkIdentity(existing, googleUserInfo({ zkLoginId: 'google-user-2' })))
+        .rejects.toThrow('A google identity is already linked to this account');
+    });
+
+    it('keeps the last way to sign in', async () => {
+      existing.password = undefined;
+      existing.identities.push({ provider: 'google', subject: 'google-user-1' });
+
+      await expect(zkService.unlinkIdentity(existing, 'google'))
+        .rejects.toThrow('Cannot unlink your only sign-in method');
+
+      existing.password = 'bcrypt-hash';
+      await zkService.unlinkIdentity(existing, 'google');
+      expect(existing.identities).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const User = require('../src/models/User');
+const LoginEvent = require('../src/models/LoginEvent');
+const lockoutService = require('../src/services/lockout.service');
+const emailService = require('../src/services/email.service');
+const { MemoryTransport } = require('../src/services/email.transports');
+const authController = require('../src/controllers/auth.controller');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2026-01-01T12:00:00Z').getTime();
+const REQ = { ip: '203.0.113.7', headers: { 'user-agent': 'jest' }, body: {} };
+
+describe('account lockout', () => {
+  let transport;
+  let events;
+  let user;
+
+  /**
+   * Stand-in for the atomic failure count, mirroring its update pipeline
+   * @param {Object} filter - Query filter
+   * @param {Array} pipeline - Update pipeline
+   * @returns {Object} Updated login protection
+   */
+  const countFailure = async (filter, [{ $set }]) => {
+    const protection = user.loginProtection;
+    const windowStart = $set['loginProtection.failedAttempts'].$cond[0].$gt[1];
+    const recent = !!protection.lastFailedAt && protection.lastFailedAt > windowStart;
+
+    protection.failedAttempts = recent ? (protection.failedAttempts || 0) + 1 : 1;
+    protection.lastFailedAt = $set['loginProtection.lastFailedAt'];
+    return { loginProtection: { ...protection } };
+  };
+
+  /**
+   * Record a number of wrong passwords
+   * @param {number} count - Failures to record
+   * @returns {Object} Result of the last recordFailure()
+   */
+  const fail = async (count) => {
+    let result;
+    for (let i = 0; i < count; i++) {
+      result = await lockoutService.recordFailure(user, REQ, 'password');
+    }
+    return result;
+  };
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    emailService.setTransport(transport);
+    events = [];
+    user = { _id: '64b000000000000000000001', email: 'alice@example.com', loginProtection: {} };
+
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(countFailure);
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$unset) {
+        user.loginProtection = {};
+      }
+      Object.entries(update.$set || {}).forEach(([path, value]) => {
+        user.loginProtection[path.split('.')[1]] = value;
+      });
+    });
+    jest.spyOn(LoginEvent, 'create').mockImplementation(async (event) => events.push(event));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('lockoutService', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: START });
+    });
+
+    it('doubles the delay after three free attempts, up to a minute', () => {
+      expect([1, 3, 4, 5, 6, 10, 20].map(count => lockoutService.getDelayMs(count)))
+        .toEqual([0, 0, 1000, 2000, 4000, 60000, 60000]);
+    });
+
+    it('throttles attempts once the free ones are used up', async () => {
+      await fail(3);
+      expect(lockoutService.getBlock(user)).toBeNull();
+
+      await fail(1);
+      expect(lockoutService.getBlock(user)).toEqual({ code: 'LOGIN_THROTTLED', retryAfter: 1 });
+
+      jest.setSystemTime(START + 1000);
+      expect(lockoutService.getBlock(user)).toBeNull();
+    });
+
+    it('locks the account for 15 minutes after ten failures and emails the owner once', async () => {
+      await expect(fail(10)).resolves.toEqual({ failedAttempts: 10, locked: true });
+
+      expect(lockoutService.getBlock(user)).toEqual({ code: 'ACCOUNT_LOCKED', retryAfter: 15 * 60 });
+      expect(transport.messages).toHaveLength(1);
+      expect(transport.messages[0]).toMatchObject({ to: 'alice@example.com', template: 'account_locked' });
+
+      await fail(1);
+      expect(transport.messages).toHaveLength(1);
+
+      jest.setSystemTime(START + 15 * MINUTE + 1000);
+      expect(lockoutService.getBlock(user)).toBeNull();
+    });
+
+    it('forgets failures older than 30 minutes', async () => {
+      await fail(5);
+
+      jest.setSystemTime(START + 31 * MINUTE);
+
+      await expect(fail(1)).resolves.toEqual({ failedAttempts: 1, locked: false });
+    });
+
+    it('clears the count on a successful sign-in', async () => {
+      await fail(5);
+      await lockoutService.recordSuccess(user, REQ, 'password');
+
+      expect(user.loginProtection).toEqual({});
+      expect(lockoutService.getBlock(user)).toBeNull();
+    });
+
+    it('records every attempt with its IP address and user agent', async () => {
+      await fail(10);
+      await lockoutService.checkAttempt(user, REQ, 'password');
+      await lockoutService.recordSuccess(user, REQ, 'password');
+
+      expect(events).toHaveLength(12);
+      expect(events[0]).toMatchObject({
+        method: 'password',
+        success: false,
+        reason: 'invalid_credentials',
+        ipAddress: '203.0.113.7',
+        userAgent: 'jest'
+      });
+      expect(events[10]).toMatchObject({ success: false, reason: 'locked' });
+      expect(events[11]).toMatchObject({ success: true });
+    });
+  });
+
+  describe('login', () => {
+    const PASSWORD = 'Correct-Horse-42';
+
+    /**
+     * Post to the login handler
+     * @param {Object} body - { email, password }
+     * @returns {Object} Response
+     */
+    const login = async (body) => {
+      const res = { statusCode: 200 };
+      res.status = jest.fn(code => { res.statusCode = code; return res; });
+      res.json = jest.fn(json => { res.body = json; return res; });
+      res.set = jest.fn(() => res);
+
+      await authController.login({ ...REQ, body }, res);
+      return res;
+    };
+
+    beforeAll(() => {
+      process.env.BCRYPT_ROUNDS = '10';
+    });
+
+    beforeEach(async () => {
+      user = new User({ username: 'alice', email: 'alice@example.com' });
+      await user.setPassword(PASSWORD);
+
+      jest.spyOn(User, 'findOne').mockImplementation(filter => ({
+        select: async () => (filter.email === user.email ? user : null)
+      }));
+    });
+
+    it('counts a wrong password against the account', async () => {
+      const res = await login({ email: 'alice@example.com', password: 'wrong-password' });
+
+      expect(res.statusCode).toBe(401);
+      expect(user.loginProtection.failedAttempts).toBe(1);
+    });
+
+    it('answers a locked account exactly like an unknown email, even with the right password', async () => {
+      user.loginProtection.lockedUntil = new Date(Date.now() + 15 * MINUTE);
+
+      const locked = await login({ email: 'alice@example.com', password: PASSWORD });
+      const unknown = await login({ email: 'nobody@example.com', password: PASSWORD });
+      const wrong = await login({ email: 'alice@example.com', password: 'wrong-password' });
+
+      expect(locked.statusCode).toBe(401);
+      expect(locked.body).toEqual(unknown.body);
+      expect(locked.body).toEqual(wrong.body);
+      expect(locked.set).not.toHaveBeenCalled();
+      expect(events).toEqual(expect.arrayContaining([expect.objectContaining({ success: false, reason: 'locked' })]));
+    });
+  });
+});
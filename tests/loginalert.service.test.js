@@ -0,0 +1,184 @@
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const LoginEvent = require('../src/models/LoginEvent');
+const Notification = require('../src/models/Notification');
+const loginAlertService = require('../src/services/loginalert.service');
+const sessionService = require('../src/services/session.service');
+const auditService = require('../src/services/audit.service');
+const emailService = require('../src/services/email.service');
+const { MemoryTransport } = require('../src/services/email.transports');
+const { verifyToken } = require('../src/utils/jwt.utils');
+
+/**
+ * A sign-in request from a device and IP address
+ * @param {string} deviceId - X-Device-Id header
+ * @param {string} ip - Client IP
+ * @returns {Object} Request
+ */
+const signIn = (deviceId, ip) => ({ ip, headers: { 'user-agent': 'jest', 'x-device-id': deviceId }, body: {} });
+
+describe('login alerts', () => {
+  let user;
+  let history;
+
+  beforeEach(() => {
+    user = new User({ username: 'alice', email: 'alice@example.com' });
+    history = [];
+
+    // Stand-in for LoginEvent.exists() over the recorded sign-ins
+    jest.spyOn(LoginEvent, 'exists').mockImplementation(async (filter) => {
+      const found = history.some(event => Object.entries(filter).every(([field, value]) => String(event[field]) === String(value)));
+      return found ? { _id: 'event' } : null;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Record a successful sign-in in the history
+   * @param {Object} req - Sign-in request
+   */
+  const remember = (req) => {
+    const { deviceFingerprint, ipRange } = sessionService.getClientInfo(req);
+    history.push({ userId: user._id, success: true, deviceFingerprint, ipRange });
+  };
+
+  describe('assess', () => {
+    it('does not flag the first sign-in', async () => {
+      await expect(loginAlertService.assess(user, signIn('phone', '203.0.113.7')))
+        .resolves.toEqual({ suspicious: false, reasons: ['new_device', 'new_network'] });
+    });
+
+    it('does not flag a known device on a known network', async () => {
+      remember(signIn('phone', '203.0.113.7'));
+
+      // Same /24 network, different address
+      await expect(loginAlertService.assess(user, signIn('phone', '203.0.113.99')))
+        .resolves.toEqual({ suspicious: false, reasons: [] });
+    });
+
+    it('flags a new device or a new network', async () => {
+      remember(signIn('phone', '203.0.113.7'));
+
+      await expect(loginAlertService.assess(user, signIn('laptop', '203.0.113.7')))
+        .resolves.toEqual({ suspicious: true, reasons: ['new_device'] });
+      await expect(loginAlertService.assess(user, signIn('phone', '198.51.100.7')))
+        .resolves.toEqual({ suspicious: true, reasons: ['new_network'] });
+    });
+
+    it('only compares the device when the IP cannot be read', async () => {
+      remember(signIn('phone', '203.0.113.7'));
+
+      await expect(loginAlertService.assess(user, signIn('phone', undefined)))
+        .resolves.toEqual({ suspicious: false, reasons: [] });
+    });
+  });
+
+  describe('alert', () => {
+    let transport;
+    let notifications;
+    let session;
+
+    beforeEach(() => {
+      transport = new MemoryTransport();
+      emailService.setTransport(transport);
+      notifications = [];
+      session = new Session({
+        userId: user._id,
+        refreshTokenHash: 'hash',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        ...sessionService.getClientInfo(signIn('laptop', '198.51.100.7'))
+      });
+      session.createdAt = new Date();
+
+      jest.spyOn(Notification, 'create').mockImplementation(async (doc) => {
+        notifications.push(doc);
+        return { toJSON: () => doc };
+      });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('emails a report link and notifies in-app without the report token', async () => {
+      await loginAlertService.alert(user, session, { suspicious: true, reasons: ['new_device'] });
+
+      const [message] = transport.messages;
+      const token = message.text.match(/report-login\?token=([\w.-]+)/)[1];
+      expect(verifyToken(token)).toMatchObject({ type: 'login_report', sessionId: session._id.toString() });
+
+      expect(notifications).toEqual([expect.objectContaining({ type: 'login_alert', userId: user._id })]);
+      expect(notifications[0].data).toMatchObject({ sessionId: session._id, ipAddress: '198.51.100.7', reasons: ['new_device'] });
+      expect(JSON.stringify(notifications[0])).not.toContain(token);
+    });
+
+    it('never fails the sign-in when the alert cannot be sent', async () => {
+      jest.spyOn(emailService, 'sendToUser').mockRejectedValue(new Error('SMTP down'));
+
+      await expect(loginAlertService.alert(user, session, { suspicious: true, reasons: ['new_device'] }))
+        .resolves.toBeUndefined();
+    });
+  });
+
+  describe('reportLogin', () => {
+    let session;
+    let otherSession;
+
+    beforeEach(() => {
+      session = new Session({ userId: user._id, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) });
+      otherSession = new Session({ userId: user._id, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) });
+
+      jest.spyOn(User, 'findById').mockImplementation(async () => user);
+      jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Session, 'findOne').mockImplementation(async (query) => (session._id.equals(query._id) ? session : null));
+      jest.spyOn(sessionService, 'revokeAllSessions').mockImplementation(async (userId, reason) => {
+        [session, otherSession].forEach(revoked => {
+          revoked.revokedAt = new Date();
+          revoked.revokedReason = reason;
+        });
+        return 2;
+      });
+      jest.spyOn(auditService, 'record').mockResolvedValue();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('signs out every session, invalidates tokens and requires a password reset', async () => {
+      const token = loginAlertService.issueReportToken(user, session);
+
+      await expect(loginAlertService.reportLogin(token)).resolves.toEqual({ user, alreadyReported: false });
+
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(user._id, 'reported_suspicious');
+      expect(otherSession.revokedReason).toBe('reported_suspicious');
+      expect(user.tokenVersion).toBe(1);
+      expect(user.passwordReset.required).toBe(true);
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'session.reported_suspicious', targetId: session._id.toString() }),
+        null
+      );
+    });
+
+    it('answers a second click without doing it all again', async () => {
+      const token = loginAlertService.issueReportToken(user, session);
+      await loginAlertService.reportLogin(token);
+
+      await expect(loginAlertService.reportLogin(token)).resolves.toEqual({ user, alreadyReported: true });
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledTimes(1);
+      expect(user.tokenVersion).toBe(1);
+    });
+
+    it('rejects a link from before a password reset', async () => {
+      const token = loginAlertService.issueReportToken(user, session);
+      user.tokenVersion += 1;
+
+      await expect(loginAlertService.reportLogin(token)).rejects.toMatchObject({ code: 'INVALID_REPORT_TOKEN' });
+      expect(sessionService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    it('rejects anything but a report token', async () => {
+      await expect(loginAlertService.reportLogin('not-a-jwt')).rejects.toMatchObject({ code: 'INVALID_REPORT_TOKEN' });
+    });
+  });
+});
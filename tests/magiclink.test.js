@@ -0,0 +1,183 @@
+jest.mock('../src/models/Otp', () => {
+  // In-memory stand-in for the handful of queries otp.service makes
+  const records = [];
+  let nextId = 1;
+
+  const matches = (record, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = record[field];
+
+    if (condition && condition.$gt !== undefined) return value > condition.$gt;
+    if (condition && condition.$lt !== undefined) return value < condition.$lt;
+    return String(value) === String(condition);
+  });
+
+  const find = (filter) => records.find(record => matches(record, filter)) || null;
+
+  return {
+    PURPOSES: ['email_verification', 'password_setup', 'pin_reset', 'step_up', 'magic_link', 'phone_verification'],
+    records,
+
+    findOne: jest.fn(async (filter) => find(filter) && { ...find(filter) }),
+
+    findOneAndUpdate: jest.fn((filter, update, options = {}) => {
+      let record = find(filter);
+
+      if (!record && options.upsert) {
+        record = { _id: nextId++, userId: filter.userId, purpose: filter.purpose, attempts: 0 };
+        records.push(record);
+      }
+
+      if (record) {
+        const { $inc, ...fields } = update;
+        Object.assign(record, fields);
+        Object.entries($inc || {}).forEach(([field, amount]) => { record[field] += amount; });
+      }
+
+      const result = record && { ...record };
+      return { select: () => Promise.resolve(result), then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+    }),
+
+    deleteOne: jest.fn(async (filter) => {
+      const index = records.findIndex(record => matches(record, filter));
+      if (index === -1) return { deletedCount: 0 };
+
+      records.splice(index, 1);
+      return { deletedCount: 1 };
+    })
+  };
+});
+
+const Otp = require('../src/models/Otp');
+const User = require('../src/models/User');
+const authController = require('../src/controllers/auth.controller');
+const sessionService = require('../src/services/session.service');
+const lockoutService = require('../src/services/lockout.service');
+const loginAlertService = require('../src/services/loginalert.service');
+const emailService = require('../src/services/email.service');
+const { MemoryTransport } = require('../src/services/email.transports');
+
+const REQ = { ip: '203.0.113.7', headers: { 'user-agent': 'jest' } };
+
+/**
+ * Minimal Express response that records what was sent
+ * @returns {Object} Response
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  return res;
+};
+
+describe('magic link sign-in', () => {
+  let transport;
+  let user;
+
+  /**
+   * Read the sign-in token from the last email sent
+   * @returns {string} Magic link token
+   */
+  const lastEmailedToken = () => {
+    const message = transport.messages[transport.messages.length - 1];
+    return message.text.match(/magic-link\?token=([\w.-]+)/)[1];
+  };
+
+  const requestMagicLink = async (email) => {
+    const res = mockResponse();
+    await authController.requestMagicLink({ ...REQ, body: { email } }, res);
+    return res;
+  };
+
+  const verifyMagicLink = async (token) => {
+    const res = mockResponse();
+    await authController.verifyMagicLink({ ...REQ, body: { token } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    Otp.records.length = 0;
+    transport = new MemoryTransport();
+    emailService.setTransport(transport);
+
+    user = new User({ username: 'alice', email: 'alice@example.com' });
+
+    jest.spyOn(User, 'findOne').mockImplementation(async (filter) => (filter.email === user.email ? user : null));
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => (user._id.equals(id) ? user : null));
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(lockoutService, 'checkAttempt').mockResolvedValue(null);
+    jest.spyOn(lockoutService, 'recordFailure').mockResolvedValue();
+    jest.spyOn(lockoutService, 'recordSuccess').mockResolvedValue();
+    jest.spyOn(loginAlertService, 'assess').mockResolvedValue({ suspicious: false, reasons: [] });
+    jest.spyOn(sessionService, 'createSession').mockResolvedValue({
+      tokens: { token: 'access-token', refreshToken: 'refresh-token' },
+      session: { _id: 'session' }
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('emails a link to an existing account and answers unknown emails the same way', async () => {
+    const known = await requestMagicLink('Alice@Example.com');
+    const unknown = await requestMagicLink('nobody@example.com');
+
+    expect(known.statusCode).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+    expect(transport.messages).toHaveLength(1);
+    expect(transport.messages[0]).toMatchObject({ to: 'alice@example.com', template: 'magic_link' });
+  });
+
+  it('answers a request during the resend cooldown the same way without sending again', async () => {
+    const first = await requestMagicLink('alice@example.com');
+    const second = await requestMagicLink('alice@example.com');
+
+    expect(second.statusCode).toBe(200);
+    expect(second.body).toEqual(first.body);
+    expect(second.set).not.toHaveBeenCalled();
+    expect(transport.messages).toHaveLength(1);
+  });
+
+  it('signs in once and then rejects the same link', async () => {
+    await requestMagicLink('alice@example.com');
+    const token = lastEmailedToken();
+
+    const first = await verifyMagicLink(token);
+    const second = await verifyMagicLink(token);
+
+    expect(first.body).toMatchObject({ success: true, token: 'access-token', message: 'Magic link login successful' });
+    expect(second.statusCode).toBe(401);
+    expect(second.body.code).toBe('INVALID_MAGIC_LINK');
+    expect(sessionService.createSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks the email as verified when the link is opened', async () => {
+    await requestMagicLink('alice@example.com');
+
+    await verifyMagicLink(lastEmailedToken());
+
+    expect(user.hasVerifiedEmail()).toBe(true);
+  });
+
+  it('rejects a link sent before the tokens were invalidated', async () => {
+    await requestMagicLink('alice@example.com');
+    user.tokenVersion += 1;
+
+    const res = await verifyMagicLink(lastEmailedToken());
+
+    expect(res.statusCode).toBe(401);
+    expect(Otp.records).toHaveLength(1);
+  });
+
+  it('rejects a tampered or missing token', async () => {
+    await requestMagicLink('alice@example.com');
+
+    expect((await verifyMagicLink(`${lastEmailedToken()}x`)).statusCode).toBe(401);
+    expect((await verifyMagicLink(undefined)).statusCode).toBe(400);
+  });
+});
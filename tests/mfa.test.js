@@ -0,0 +1,212 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+} = require('../src/utils/totp.utils');
+const { encrypt } = require('../src/utils/crypto.utils');
+const User = require('../src/models/User');
+const mfaService = require('../src/services/mfa.service');
+
+// RFC 6238 appendix B test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp.utils', () => {
+  it('round-trips base32', () => {
+    const bytes = Buffer.from('hello, authenticator');
+
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(base32Decode(RFC_SECRET.toLowerCase())).toEqual(Buffer.from('12345678901234567890'));
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('generates 160-bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+
+  it('accepts codes one step either side of now', () => {
+    jest.useFakeTimers({ now: 1700000015 * 1000 });
+
+    const secret = generateSecret();
+    const now = getTimeStep();
+
+    expect(verifyCode(secret, generateCode(secret, now))).toBe(now);
+    expect(verifyCode(secret, generateCode(secret, now - 1))).toBe(now - 1);
+    expect(verifyCode(secret, generateCode(secret, now + 1))).toBe(now + 1);
+    expect(verifyCode(secret, generateCode(secret, now - 2))).toBeNull();
+
+    jest.useRealTimers();
+  });
+
+  it('rejects malformed codes', () => {
+    const secret = generateSecret();
+
+    expect(verifyCode(secret, '')).toBeNull();
+    expect(verifyCode(secret, '12345')).toBeNull();
+    expect(verifyCode(secret, 'abcdef')).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const [base, query] = buildOtpauthUrl(RFC_SECRET, 'alice@example.com').split('?');
+    const params = new URLSearchParams(query);
+
+    expect(base).toBe('otpauth://totp/ChatPay%3Aalice%40example.com');
+    expect(params.get('secret')).toBe(RFC_SECRET);
+    expect(params.get('issuer')).toBe('ChatPay');
+    expect(params.get('digits')).toBe('6');
+  });
+});
+
+describe('mfaService.verifySecondFactor', () => {
+  const USER_ID = '64b000000000000000000001';
+  let secret;
+  let recoveryCodes;
+  let stored;
+
+  /**
+   * Load the user the way getUserWithSecrets() would, from the stored state
+   * @returns {Object} User document
+   */
+  const loadUser = () => User.hydrate({
+    _id: USER_ID,
+    twoFactor: JSON.parse(JSON.stringify(stored))
+  });
+
+  /**
+   * Stand-in for the conditional updates that claim a TOTP step or recovery code
+   * @param {Object} filter - Query filter
+   * @param {Object} update - Update document
+   * @returns {Object} Query with select()
+   */
+  const claim = (filter, update) => {
+    const step = update.$set['twoFactor.lastUsedStep'];
+    let claimed = false;
+
+    if (step !== undefined) {
+      claimed = stored.enabled && (stored.lastUsedStep === undefined || stored.lastUsedStep < step);
+      if (claimed) stored.lastUsedStep = step;
+    } else {
+      const { codeHash } = filter['twoFactor.recoveryCodes'].$elemMatch;
+      const entry = stored.recoveryCodes.find(candidate => candidate.codeHash === codeHash && !candidate.usedAt);
+      claimed = stored.enabled && !!entry;
+      if (claimed) entry.usedAt = update.$set['twoFactor.recoveryCodes.$.usedAt'];
+    }
+
+    return { select: async () => (claimed ? { _id: USER_ID } : null) };
+  };
+
+  beforeEach(() => {
+    // Freeze the clock mid-step so codes can't roll over during a test
+    jest.useFakeTimers({ now: 1700000015 * 1000 });
+
+    secret = generateSecret();
+    recoveryCodes = mfaService.generateRecoveryCodes();
+    stored = {
+      enabled: true,
+      secret: encrypt(secret),
+      recoveryCodes: recoveryCodes.map(code => ({ codeHash: mfaService.hashRecoveryCode(code) }))
+    };
+
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(claim);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the current TOTP code once', async () => {
+    const user = loadUser();
+    const code = generateCode(secret);
+
+    await expect(mfaService.verifySecondFactor(user, { code })).resolves.toBe(true);
+    expect(user.twoFactor.lastUsedStep).toBe(getTimeStep());
+    await expect(mfaService.verifySecondFactor(loadUser(), { code })).resolves.toBe(false);
+  });
+
+  it('accepts a TOTP code only once when it is sent twice at the same time', async () => {
+    const code = generateCode(secret);
+
+    const results = await Promise.all([
+      mfaService.verifySecondFactor(loadUser(), { code }),
+      mfaService.verifySecondFactor(loadUser(), { code })
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  it('rejects a code from before the last one used', async () => {
+    const now = getTimeStep();
+
+    await expect(mfaService.verifySecondFactor(loadUser(), { code: generateCode(secret, now) })).resolves.toBe(true);
+    await expect(mfaService.verifySecondFactor(loadUser(), { code: generateCode(secret, now - 1) })).resolves.toBe(false);
+  });
+
+  it('rejects a wrong code without touching the database', async () => {
+    const wrong = String((Number(generateCode(secret)) + 1) % 1000000).padStart(6, '0');
+
+    await expect(mfaService.verifySecondFactor(loadUser(), { code: wrong })).resolves.toBe(false);
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects everything while 2FA is disabled', async () => {
+    stored.enabled = false;
+    const user = loadUser();
+
+    await expect(mfaService.verifySecondFactor(user, { code: generateCode(secret) })).resolves.toBe(false);
+    await expect(mfaService.verifySecondFactor(user, { recoveryCode: recoveryCodes[0] })).resolves.toBe(false);
+  });
+
+  it('consumes a recovery code, ignoring case and separators', async () => {
+    const user = loadUser();
+    const entered = recoveryCodes[0].toLowerCase().replace('-', ' ');
+
+    await expect(mfaService.verifySecondFactor(user, { recoveryCode: entered })).resolves.toBe(true);
+    expect(mfaService.getRemainingRecoveryCodes(user)).toBe(recoveryCodes.length - 1);
+    await expect(mfaService.verifySecondFactor(loadUser(), { recoveryCode: recoveryCodes[0] })).resolves.toBe(false);
+  });
+
+  it('accepts a recovery code only once when it is sent twice at the same time', async () => {
+    const results = await Promise.all([
+      mfaService.verifySecondFactor(loadUser(), { recoveryCode: recoveryCodes[1] }),
+      mfaService.verifySecondFactor(loadUser(), { recoveryCode: recoveryCodes[1] })
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(stored.recoveryCodes.filter(entry => entry.usedAt)).toHaveLength(1);
+  });
+
+  it('leaves nothing for a later save() to write back', async () => {
+    const user = loadUser();
+
+    await mfaService.verifySecondFactor(user, { code: generateCode(secret) });
+    await mfaService.verifySecondFactor(user, { recoveryCode: recoveryCodes[2] });
+
+    expect(user.modifiedPaths().filter(path => path.startsWith('twoFactor'))).toEqual([]);
+  });
+
+  it('rejects an unknown recovery code', async () => {
+    const user = loadUser();
+
+    await expect(mfaService.verifySecondFactor(user, { recoveryCode: 'AAAAA-AAAAA' })).resolves.toBe(false);
+    expect(mfaService.getRemainingRecoveryCodes(user)).toBe(recoveryCodes.length);
+  });
+});
+
+describe('mfaService.generateRecoveryCodes', () => {
+  it('generates ten distinct XXXXX-XXXXX codes', () => {
+    const codes = mfaService.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[A-HJ-NP-Z2-9]{5}-[A-HJ-NP-Z2-9]{5}$/));
+  });
+});
@@ -0,0 +1,156 @@
+const { getOAuthProviders } = require('../config/oauth.providers');
+const zkService = require('../src/services/zk.service');
+const User = require('../src/models/User');
+
+describe('getOAuthProviders', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('enables Google by default with its public issuer and JWKS URL', () => {
+    const providers = getOAuthProviders({ GOOGLE_CLIENT_ID: 'google-client' });
+
+    expect(Object.keys(providers)).toEqual(['google']);
+    expect(providers.google).toMatchObject({
+      clientId: 'google-client',
+      issuer: ['https://accounts.google.com', 'accounts.google.com'],
+      jwksUrl: 'https://www.googleapis.com/oauth2/v3/certs',
+      algorithms: ['RS256', 'ES256']
+    });
+  });
+
+  it('accepts several Apple client IDs', () => {
+    const providers = getOAuthProviders({
+      OAUTH_PROVIDERS: 'apple',
+      APPLE_CLIENT_ID: 'app.chatpay.web, app.chatpay.ios'
+    });
+
+    expect(providers.apple).toMatchObject({
+      clientId: ['app.chatpay.web', 'app.chatpay.ios'],
+      issuer: 'https://appleid.apple.com',
+      jwksUrl: 'https://appleid.apple.com/auth/keys'
+    });
+  });
+
+  it('skips Twitter until its issuer and JWKS URL are configured', () => {
+    const env = { OAUTH_PROVIDERS: 'google,twitter', GOOGLE_CLIENT_ID: 'g', TWITTER_CLIENT_ID: 't' };
+
+    expect(Object.keys(getOAuthProviders(env))).toEqual(['google']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"twitter"'));
+
+    const configured = getOAuthProviders({
+      ...env,
+      TWITTER_ISSUER: 'https://x-bridge.example.test',
+      TWITTER_JWKS_URL: 'https://x-bridge.example.test/jwks'
+    });
+
+    expect(configured.twitter).toMatchObject({
+      clientId: 't',
+      issuer: 'https://x-bridge.example.test',
+      jwksUrl: 'https://x-bridge.example.test/jwks'
+    });
+  });
+});
+
+describe('zkService.extractUserInfo', () => {
+  it('reads Apple boolean claims sent as strings', () => {
+    const info = zkService.extractUserInfo({
+      sub: 'apple-1',
+      email: 'Hidden@PrivateRelay.AppleID.com',
+      email_verified: 'true',
+      is_private_email: 'true'
+    }, 'apple');
+
+    expect(info).toMatchObject({
+      id: 'apple-1',
+      email: 'hidden@privaterelay.appleid.com',
+      emailVerified: true,
+      isPrivateEmail: true
+    });
+  });
+
+  it('only takes the Apple name from the first-login user field', () => {
+    const payload = { sub: 'apple-1', email: 'alice@example.com', email_verified: 'false' };
+
+    const firstLogin = zkService.extractUserInfo(
+      payload,
+      'apple',
+      JSON.stringify({ name: { firstName: 'Alice', lastName: 'Doe' } })
+    );
+    const laterLogin = zkService.extractUserInfo(payload, 'apple');
+
+    expect(firstLogin).toMatchObject({ name: 'Alice Doe', nameIsFirstLoginOnly: true, emailVerified: false });
+    expect(laterLogin).toMatchObject({ name: undefined, nameIsFirstLoginOnly: false });
+  });
+
+  it('ignores a malformed Apple user field', () => {
+    const info = zkService.extractUserInfo({ sub: 'apple-1' }, 'apple', '{not json');
+
+    expect(info.name).toBeUndefined();
+  });
+
+  it('maps Twitter profile claims', () => {
+    const info = zkService.extractUserInfo({
+      sub: 'x-1',
+      screen_name: 'alice',
+      profile_image_url_https: 'https://pbs.example.test/alice.png'
+    }, 'twitter');
+
+    expect(info).toMatchObject({
+      id: 'x-1',
+      name: 'alice',
+      username: 'alice',
+      picture: 'https://pbs.example.test/alice.png',
+      emailVerified: false
+    });
+  });
+});
+
+describe('zkService.createOrUpdateUser', () => {
+  /**
+   * User info for a first sign-in, as verifyZKProof() would return it
+   * @param {Object} payload - Twitter ID token claims
+   * @returns {Object} User info
+   */
+  const twitterUserInfo = (payload) => ({
+    ...zkService.extractUserInfo(payload, 'twitter'),
+    provider: 'twitter',
+    zkLoginId: payload.sub
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return this.validate().then(() => this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates an account from a Twitter token without an email', async () => {
+    const user = await zkService.createOrUpdateUser(twitterUserInfo({ sub: 'x-1', screen_name: 'alice_x' }));
+
+    expect(user.email).toBeUndefined();
+    expect(user.username).toBe('alicex');
+    expect(user.identities[0]).toMatchObject({ provider: 'twitter', subject: 'x-1' });
+  });
+
+  it('falls back to a provider username when there is no name, username or email', async () => {
+    const user = await zkService.createOrUpdateUser(twitterUserInfo({ sub: 'x-2' }));
+
+    expect(user.username).toBe('twitteruser');
+  });
+
+  it('still requires an email on accounts without a linked provider', () => {
+    const error = new User({ username: 'alice' }).validateSync();
+
+    expect(error.errors.email).toBeDefined();
+  });
+});
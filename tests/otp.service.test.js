@@ -0,0 +1,145 @@
+jest.mock('../src/models/Otp', () => {
+  // In-memory stand-in for the handful of queries otp.service makes
+  const records = [];
+  let nextId = 1;
+
+  const matches = (record, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = record[field];
+
+    if (condition && condition.$gt !== undefined) return value > condition.$gt;
+    if (condition && condition.$lt !== undefined) return value < condition.$lt;
+    return String(value) === String(condition);
+  });
+
+  const find = (filter) => records.find(record => matches(record, filter)) || null;
+
+  return {
+    PURPOSES: ['email_verification', 'password_setup', 'pin_reset', 'step_up', 'magic_link', 'phone_verification'],
+    records,
+
+    findOne: jest.fn(async (filter) => find(filter) && { ...find(filter) }),
+
+    findOneAndUpdate: jest.fn((filter, update, options = {}) => {
+      let record = find(filter);
+
+      if (!record && options.upsert) {
+        record = { _id: nextId++, userId: filter.userId, purpose: filter.purpose, attempts: 0 };
+        records.push(record);
+      }
+
+      if (record) {
+        const { $inc, ...fields } = update;
+        Object.assign(record, fields);
+        Object.entries($inc || {}).forEach(([field, amount]) => { record[field] += amount; });
+      }
+
+      const result = record && { ...record };
+      return { select: () => Promise.resolve(result), then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+    }),
+
+    deleteOne: jest.fn(async (filter) => {
+      const index = records.findIndex(record => matches(record, filter));
+      if (index === -1) return { deletedCount: 0 };
+
+      records.splice(index, 1);
+      return { deletedCount: 1 };
+    })
+  };
+});
+
+const Otp = require('../src/models/Otp');
+const otpService = require('../src/services/otp.service');
+
+const USER_ID = '64b000000000000000000001';
+const START = new Date('2026-01-01T12:00:00Z').getTime();
+
+/**
+ * A six-digit code that differs from the one issued
+ * @param {string} code - Issued code
+ * @returns {string} Wrong code
+ */
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+describe('otpService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    Otp.records.length = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('stores only a hash of the code', async () => {
+    const { code } = await otpService.issue(USER_ID, 'email_verification');
+
+    expect(code).toMatch(/^\d{6}$/);
+    expect(Otp.records[0].codeHash).toBe(otpService.hashCode(USER_ID, 'email_verification', code));
+    expect(JSON.stringify(Otp.records)).not.toContain(code);
+  });
+
+  it('accepts a code once', async () => {
+    const { code } = await otpService.issue(USER_ID, 'email_verification');
+
+    await expect(otpService.verify(USER_ID, 'email_verification', code)).resolves.toEqual({ valid: true });
+    await expect(otpService.verify(USER_ID, 'email_verification', code))
+      .resolves.toEqual({ valid: false, reason: 'not_found' });
+  });
+
+  it('never accepts a code issued for another purpose', async () => {
+    const { code } = await otpService.issue(USER_ID, 'pin_reset');
+
+    await expect(otpService.verify(USER_ID, 'step_up', code))
+      .resolves.toMatchObject({ valid: false, reason: 'not_found' });
+  });
+
+  it('counts down the remaining attempts and discards the code after five wrong guesses', async () => {
+    const { code } = await otpService.issue(USER_ID, 'step_up');
+
+    for (let remaining = 4; remaining >= 1; remaining--) {
+      await expect(otpService.verify(USER_ID, 'step_up', wrongCode(code)))
+        .resolves.toEqual({ valid: false, reason: 'invalid', attemptsRemaining: remaining });
+    }
+
+    await expect(otpService.verify(USER_ID, 'step_up', wrongCode(code)))
+      .resolves.toEqual({ valid: false, reason: 'too_many_attempts', attemptsRemaining: 0 });
+
+    // The right code no longer works once the attempts are used up
+    await expect(otpService.verify(USER_ID, 'step_up', code))
+      .resolves.toEqual({ valid: false, reason: 'not_found' });
+  });
+
+  it('rejects a code after it expires', async () => {
+    const { code, expiresAt } = await otpService.issue(USER_ID, 'magic_link');
+
+    expect(expiresAt.getTime()).toBe(START + 10 * 60 * 1000);
+
+    jest.setSystemTime(expiresAt.getTime() + 1);
+
+    await expect(otpService.verify(USER_ID, 'magic_link', code))
+      .resolves.toEqual({ valid: false, reason: 'not_found' });
+  });
+
+  it('enforces the resend cooldown and resets attempts on a new code', async () => {
+    const { code: first } = await otpService.issue(USER_ID, 'phone_verification');
+    await otpService.verify(USER_ID, 'phone_verification', wrongCode(first));
+
+    jest.setSystemTime(START + 30 * 1000);
+    await expect(otpService.issue(USER_ID, 'phone_verification'))
+      .rejects.toMatchObject({ code: 'OTP_RESEND_COOLDOWN', retryAfter: 30 });
+
+    jest.setSystemTime(START + 61 * 1000);
+    const { code: second } = await otpService.issue(USER_ID, 'phone_verification');
+
+    expect(Otp.records).toHaveLength(1);
+    expect(Otp.records[0].attempts).toBe(0);
+    await expect(otpService.verify(USER_ID, 'phone_verification', second)).resolves.toEqual({ valid: true });
+  });
+
+  it('builds error responses for failed verifications', () => {
+    expect(otpService.toErrorResponse({ valid: false, reason: 'too_many_attempts', attemptsRemaining: 0 }))
+      .toEqual({ error: 'Too many incorrect attempts. Request a new code.', code: 'OTP_ATTEMPTS_EXCEEDED' });
+    expect(otpService.toErrorResponse({ valid: false, reason: 'invalid', attemptsRemaining: 3 }))
+      .toEqual({ error: 'Invalid or expired OTP', code: 'INVALID_OTP', attemptsRemaining: 3 });
+  });
+});
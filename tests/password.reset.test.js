@@ -0,0 +1,166 @@
+const User = require('../src/models/User');
+const authController = require('../src/controllers/auth.controller');
+const { authenticateToken } = require('../src/middleware/auth.middleware');
+const sessionService = require('../src/services/session.service');
+const emailService = require('../src/services/email.service');
+const { MemoryTransport } = require('../src/services/email.transports');
+const { generateAuthToken } = require('../src/utils/jwt.utils');
+
+const NEW_PASSWORD = 'Correct-Horse-42';
+
+/**
+ * Minimal Express response that records what was sent
+ * @returns {Object} Response
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  return res;
+};
+
+describe('password reset', () => {
+  let transport;
+  let user;
+
+  /**
+   * Read the reset token from the last email sent
+   * @returns {string} Reset token
+   */
+  const lastEmailedToken = () => {
+    const message = transport.messages[transport.messages.length - 1];
+    return message.text.match(/reset-password\?token=([0-9a-f]+)/)[1];
+  };
+
+  const forgotPassword = async (email) => {
+    const res = mockResponse();
+    await authController.forgotPassword({ body: { email } }, res);
+    return res;
+  };
+
+  const resetPassword = async (token, password = NEW_PASSWORD) => {
+    const res = mockResponse();
+    await authController.resetPassword({ body: { token, password } }, res);
+    return res;
+  };
+
+  beforeAll(() => {
+    process.env.BCRYPT_ROUNDS = '10';
+  });
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    emailService.setTransport(transport);
+
+    user = new User({
+      username: 'alice',
+      email: 'alice@example.com',
+      tokenVersion: 2
+    });
+
+    // Stand-in for the two lookups the reset flow makes
+    jest.spyOn(User, 'findOne').mockImplementation(async (filter) => {
+      if (filter.email) {
+        return filter.email === user.email ? user : null;
+      }
+
+      const { tokenHash, expiresAt } = user.passwordReset;
+      const matches = !!tokenHash &&
+        tokenHash === filter['passwordReset.tokenHash'] &&
+        expiresAt > filter['passwordReset.expiresAt'].$gt;
+      return matches ? user : null;
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(1);
+    jest.spyOn(sessionService, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('emails a link and stores only a hash of its token', async () => {
+    const res = await forgotPassword('Alice@Example.com');
+
+    expect(res.body.success).toBe(true);
+    expect(transport.messages).toHaveLength(1);
+
+    const token = lastEmailedToken();
+    expect(user.passwordReset.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(user.passwordReset.tokenHash).not.toBe(token);
+  });
+
+  it('answers the same way for unknown emails and sends nothing', async () => {
+    const res = await forgotPassword('nobody@example.com');
+
+    expect(res.body).toEqual((await forgotPassword('alice@example.com')).body);
+    expect(transport.messages).toHaveLength(1);
+  });
+
+  it('accepts a token once', async () => {
+    await forgotPassword('alice@example.com');
+    const token = lastEmailedToken();
+
+    const first = await resetPassword(token);
+    expect(first.statusCode).toBe(200);
+    await expect(user.comparePassword(NEW_PASSWORD)).resolves.toBe(true);
+
+    const second = await resetPassword(token, 'Another-Horse-43');
+    expect(second.statusCode).toBe(400);
+    await expect(user.comparePassword(NEW_PASSWORD)).resolves.toBe(true);
+  });
+
+  it('replaces an earlier link when a new one is requested', async () => {
+    await forgotPassword('alice@example.com');
+    const earlier = lastEmailedToken();
+    await forgotPassword('alice@example.com');
+
+    expect((await resetPassword(earlier)).statusCode).toBe(400);
+    expect((await resetPassword(lastEmailedToken())).statusCode).toBe(200);
+  });
+
+  it('rejects an expired token', async () => {
+    await forgotPassword('alice@example.com');
+    user.passwordReset.expiresAt = new Date(Date.now() - 1000);
+
+    expect((await resetPassword(lastEmailedToken())).statusCode).toBe(400);
+  });
+
+  it('rejects a weak password without using up the token', async () => {
+    await forgotPassword('alice@example.com');
+    const token = lastEmailedToken();
+
+    expect((await resetPassword(token, 'password')).statusCode).toBe(400);
+    expect((await resetPassword(token)).statusCode).toBe(200);
+  });
+
+  it('signs out every session and invalidates access tokens issued before the reset', async () => {
+    const sessionId = '64b0000000000000000000aa';
+    const before = generateAuthToken(user, sessionId);
+
+    await forgotPassword('alice@example.com');
+    await resetPassword(lastEmailedToken());
+
+    expect(user.tokenVersion).toBe(3);
+    expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(user._id, 'password_reset');
+
+    const next = jest.fn();
+    const stale = mockResponse();
+    await authenticateToken({ headers: { authorization: `Bearer ${before}` } }, stale, next);
+
+    expect(stale.statusCode).toBe(401);
+    expect(stale.body.error).toBe('Token has been revoked');
+    expect(next).not.toHaveBeenCalled();
+
+    const fresh = mockResponse();
+    await authenticateToken({ headers: { authorization: `Bearer ${generateAuthToken(user, sessionId)}` } }, fresh, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,201 @@
+const User = require('../src/models/User');
+const pinService = require('../src/services/pin.service');
+const mfaService = require('../src/services/mfa.service');
+const { requireStepUp } = require('../src/middleware/auth.middleware');
+const { hashPassword } = require('../src/utils/password.utils');
+
+const USER_ID = '64b000000000000000000001';
+const PIN = '2580';
+
+/**
+ * Minimal Express response that records what was sent
+ * @returns {Object} Response
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  return res;
+};
+
+describe('transaction PIN', () => {
+  let pinHash;
+  let stored;
+
+  /**
+   * Move the clock past the current lockout
+   */
+  const endLockout = () => {
+    stored.lockedUntil = new Date(Date.now() - 1);
+  };
+
+  const isLocked = () => !!stored.lockedUntil && stored.lockedUntil > new Date();
+
+  beforeAll(async () => {
+    process.env.BCRYPT_ROUNDS = '10';
+    pinHash = await hashPassword(PIN);
+  });
+
+  beforeEach(() => {
+    stored = { hash: pinHash, failedAttempts: 0, lockoutCount: 0 };
+
+    // In-memory stand-in for the conditional updates pinService makes
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation((query) => {
+      const reserved = stored.failedAttempts < query['transactionPin.failedAttempts'].$lt &&
+        !isLocked() &&
+        (!query['transactionPin.hash'] || !!stored.hash);
+
+      if (reserved) {
+        stored.failedAttempts += 1;
+      }
+
+      const user = reserved ? { _id: USER_ID, transactionPin: { ...stored } } : null;
+      return { select: async () => user };
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      const minimum = filter['transactionPin.failedAttempts'];
+      if (minimum && stored.failedAttempts < minimum.$gte) {
+        return { modifiedCount: 0 };
+      }
+
+      Object.entries(update.$set || {}).forEach(([path, value]) => { stored[path.split('.')[1]] = value; });
+      Object.keys(update.$unset || {}).forEach(path => { delete stored[path.split('.')[1]]; });
+      Object.entries(update.$inc || {}).forEach(([path, amount]) => { stored[path.split('.')[1]] += amount; });
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+      select: async () => ({ _id: USER_ID, transactionPin: { ...stored } })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pinService.verifyPin', () => {
+    const user = { _id: USER_ID };
+
+    it('accepts the right PIN and clears earlier failures', async () => {
+      await pinService.verifyPin(user, '0001');
+
+      await expect(pinService.verifyPin(user, PIN)).resolves.toEqual({ valid: true });
+      expect(stored.failedAttempts).toBe(0);
+    });
+
+    it('locks for a minute after three wrong PINs, even for the right one', async () => {
+      await expect(pinService.verifyPin(user, '0001')).resolves.toEqual({ valid: false, attemptsRemaining: 2 });
+      await expect(pinService.verifyPin(user, '0002')).resolves.toEqual({ valid: false, attemptsRemaining: 1 });
+      await expect(pinService.verifyPin(user, '0003')).resolves.toEqual({ valid: false, locked: true, retryAfter: 60 });
+
+      await expect(pinService.verifyPin(user, PIN)).resolves.toMatchObject({ valid: false, locked: true });
+    });
+
+    it('doubles the lockout each time until a right PIN resets it', async () => {
+      for (const expected of [60, 120, 240]) {
+        let result;
+        for (let i = 0; i < 3; i++) {
+          result = await pinService.verifyPin(user, '0001');
+        }
+
+        expect(result).toEqual({ valid: false, locked: true, retryAfter: expected });
+        endLockout();
+      }
+
+      await expect(pinService.verifyPin(user, PIN)).resolves.toEqual({ valid: true });
+      expect(stored.lockoutCount).toBe(0);
+    });
+
+    it('never allows more than three guesses in parallel', async () => {
+      const results = await Promise.all(['0001', '0002', '0003', '0004', PIN].map(pin => pinService.verifyPin(user, pin)));
+
+      expect(results.filter(result => result.valid)).toHaveLength(0);
+      expect(results.filter(result => result.locked)).toHaveLength(3);
+      expect(stored.lockoutCount).toBe(1);
+    });
+
+    it('reports a missing PIN without counting an attempt', async () => {
+      delete stored.hash;
+
+      await expect(pinService.verifyPin(user, PIN)).resolves.toEqual({ valid: false, notSet: true });
+      expect(stored.failedAttempts).toBe(0);
+    });
+  });
+
+  describe('pinService.validatePinFormat', () => {
+    it('takes 4 to 6 digits that are not easy to guess', () => {
+      expect(pinService.validatePinFormat('2580')).toBeNull();
+      expect(pinService.validatePinFormat('258036')).toBeNull();
+      expect(pinService.validatePinFormat('258')).toBe('PIN must be 4 to 6 digits');
+      expect(pinService.validatePinFormat(2580)).toBe('PIN must be 4 to 6 digits');
+      expect(pinService.validatePinFormat('1234')).toBe('PIN is too easy to guess');
+      expect(pinService.validatePinFormat('77777')).toBe('PIN is too easy to guess');
+    });
+  });
+
+  describe('requireStepUp', () => {
+    /**
+     * Run the middleware for a request
+     * @param {Object} headers - Request headers
+     * @param {Object} user - Authenticated user
+     * @returns {Object} { res, next }
+     */
+    const stepUp = async (headers, user = { _id: USER_ID, twoFactor: { enabled: false } }) => {
+      const res = mockResponse();
+      const next = jest.fn();
+      await requireStepUp({ headers, body: {}, user }, res, next);
+      return { res, next };
+    };
+
+    it('asks for a PIN when none is sent', async () => {
+      const { res, next } = await stepUp({});
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('STEP_UP_REQUIRED');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('lets the request through with the right PIN', async () => {
+      const { next } = await stepUp({ 'x-transaction-pin': PIN });
+
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('answers wrong PINs with 401 and then 423 with Retry-After', async () => {
+      const first = await stepUp({ 'x-transaction-pin': '0001' });
+      expect(first.res.statusCode).toBe(401);
+      expect(first.res.body).toMatchObject({ code: 'INVALID_PIN', attemptsRemaining: 2 });
+
+      await stepUp({ 'x-transaction-pin': '0002' });
+      const locked = await stepUp({ 'x-transaction-pin': '0003' });
+
+      expect(locked.res.statusCode).toBe(423);
+      expect(locked.res.body.code).toBe('PIN_LOCKED');
+      expect(locked.res.headers['Retry-After']).toBe('60');
+    });
+
+    it('accepts a fresh TOTP code from a 2FA user instead of the PIN', async () => {
+      const user = { _id: USER_ID, twoFactor: { enabled: true } };
+      jest.spyOn(mfaService, 'getUserWithSecrets').mockResolvedValue(user);
+      const verify = jest.spyOn(mfaService, 'verifySecondFactor').mockResolvedValue(true);
+
+      const { next } = await stepUp({ 'x-totp-code': '123456' }, user);
+
+      expect(verify).toHaveBeenCalledWith(user, { code: '123456' });
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('counts wrong TOTP codes towards the same lockout as the PIN', async () => {
+      const user = { _id: USER_ID, twoFactor: { enabled: true } };
+      jest.spyOn(mfaService, 'getUserWithSecrets').mockResolvedValue(user);
+      jest.spyOn(mfaService, 'verifySecondFactor').mockResolvedValue(false);
+
+      for (let i = 0; i < 3; i++) {
+        await stepUp({ 'x-totp-code': '000000' }, user);
+      }
+
+      const { res } = await stepUp({ 'x-transaction-pin': PIN });
+      expect(res.statusCode).toBe(423);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const express = require('express');
+const request = require('supertest');
+const { MemoryStore, MongoStore, createStore } = require('../src/services/ratelimit.stores');
+const rateLimitService = require('../src/services/ratelimit.service');
+const { rateLimit } = require('../src/middleware/ratelimit.middleware');
+const { getRateLimitPolicies } = require('../config/rate.limits');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2026-01-01T12:00:00Z').getTime();
+
+describe('MemoryStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    store = new MemoryStore({ sweepIntervalMs: MINUTE });
+  });
+
+  afterEach(() => {
+    clearInterval(store.sweeper);
+    jest.useRealTimers();
+  });
+
+  it('counts hits in a window that starts with the first hit', async () => {
+    await expect(store.increment('k', MINUTE)).resolves.toEqual({ count: 1, resetAt: new Date(START + MINUTE) });
+
+    jest.setSystemTime(START + 30 * 1000);
+    await expect(store.increment('k', MINUTE)).resolves.toEqual({ count: 2, resetAt: new Date(START + MINUTE) });
+  });
+
+  it('starts a new window once the old one has passed', async () => {
+    await store.increment('k', MINUTE);
+    await store.increment('k', MINUTE);
+
+    jest.setSystemTime(START + MINUTE);
+    await expect(store.increment('k', MINUTE)).resolves.toEqual({ count: 1, resetAt: new Date(START + 2 * MINUTE) });
+  });
+
+  it('keeps keys separate', async () => {
+    await store.increment('a', MINUTE);
+    await store.increment('a', MINUTE);
+
+    await expect(store.increment('b', MINUTE)).resolves.toMatchObject({ count: 1 });
+  });
+
+  it('clears a key on reset', async () => {
+    await store.increment('k', MINUTE);
+    await store.reset('k');
+
+    await expect(store.increment('k', MINUTE)).resolves.toMatchObject({ count: 1 });
+  });
+
+  it('sweeps expired counters periodically', async () => {
+    await store.increment('short', 10 * 1000);
+    await store.increment('long', 5 * MINUTE);
+
+    jest.advanceTimersByTime(MINUTE);
+
+    expect([...store.counters.keys()]).toEqual(['long']);
+  });
+});
+
+describe('createStore', () => {
+  it('uses memory outside production and MongoDB in production', () => {
+    const memory = createStore({ NODE_ENV: 'development' });
+
+    expect(memory).toBeInstanceOf(MemoryStore);
+    expect(createStore({ NODE_ENV: 'production' })).toBeInstanceOf(MongoStore);
+
+    clearInterval(memory.sweeper);
+  });
+
+  it('honours RATE_LIMIT_STORE and rejects unknown stores', () => {
+    expect(createStore({ NODE_ENV: 'production', RATE_LIMIT_STORE: 'Mongo' })).toBeInstanceOf(MongoStore);
+    expect(() => createStore({ RATE_LIMIT_STORE: 'redis' })).toThrow('Unknown RATE_LIMIT_STORE "redis"');
+  });
+});
+
+describe('getRateLimitPolicies', () => {
+  it('merges RATE_LIMIT_POLICIES over the defaults', () => {
+    const policies = getRateLimitPolicies({ RATE_LIMIT_POLICIES: '{"payments":{"max":20}}' });
+
+    expect(policies.payments).toMatchObject({ name: 'payments', max: 20, windowMs: MINUTE, keyBy: 'user' });
+  });
+
+  it('falls back to the defaults for invalid JSON', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(getRateLimitPolicies({ RATE_LIMIT_POLICIES: '{' }).payments.max).toBe(10);
+
+    console.warn.mockRestore();
+  });
+});
+
+describe('rateLimitService', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    rateLimitService.setStore(store);
+  });
+
+  afterEach(() => {
+    clearInterval(store.sweeper);
+  });
+
+  it('keys policies by user, account or IP', () => {
+    const identity = { ip: '203.0.113.7', userId: 'u1', account: ' Alice@Example.com ' };
+
+    expect(rateLimitService.resolveKey(rateLimitService.getPolicy('accountSecurity'), identity))
+      .toBe('accountSecurity:user:u1');
+    expect(rateLimitService.resolveKey(rateLimitService.getPolicy('authLoginAccount'), identity))
+      .toBe('authLoginAccount:account:alice@example.com');
+    expect(rateLimitService.resolveKey(rateLimitService.getPolicy('authLogin'), identity))
+      .toBe('authLogin:ip:203.0.113.7');
+  });
+
+  it('falls back to the IP when there is no user', () => {
+    expect(rateLimitService.resolveKey(rateLimitService.getPolicy('accountSecurity'), { ip: '203.0.113.7' }))
+      .toBe('accountSecurity:ip:203.0.113.7');
+  });
+
+  it('allows up to the policy maximum', async () => {
+    const { max } = rateLimitService.getPolicy('authRegister');
+    const identity = { ip: '203.0.113.7' };
+
+    for (let i = 1; i <= max; i++) {
+      await expect(rateLimitService.consume('authRegister', identity))
+        .resolves.toMatchObject({ allowed: true, remaining: max - i, retryAfter: 0 });
+    }
+
+    const blocked = await rateLimitService.consume('authRegister', identity);
+    expect(blocked).toMatchObject({ allowed: false, remaining: 0, limit: max });
+    expect(blocked.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('gives each policy its own budget', async () => {
+    const identity = { ip: '203.0.113.7' };
+    const { max } = rateLimitService.getPolicy('authRecovery');
+
+    for (let i = 0; i <= max; i++) {
+      await rateLimitService.consume('authRecovery', identity);
+    }
+
+    await expect(rateLimitService.consume('authLogin', identity)).resolves.toMatchObject({ allowed: true });
+  });
+
+  it('rejects unknown policies', () => {
+    expect(() => rateLimitService.getPolicy('nope')).toThrow('Unknown rate limit policy "nope"');
+  });
+});
+
+describe('rateLimit middleware', () => {
+  let store;
+  let app;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    rateLimitService.setStore(store);
+
+    app = express();
+    app.set('trust proxy', true);
+    app.use(express.json());
+    app.post('/register', rateLimit('authRegister'), (req, res) => res.json({ success: true }));
+  });
+
+  afterEach(() => {
+    clearInterval(store.sweeper);
+  });
+
+  it('sets RateLimit headers and answers 429 once the limit is reached', async () => {
+    const { max, windowMs } = rateLimitService.getPolicy('authRegister');
+
+    for (let i = 0; i < max; i++) {
+      const res = await request(app).post('/register').set('X-Forwarded-For', '198.51.100.1');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['ratelimit-remaining']).toBe(String(max - i - 1));
+      expect(res.headers['ratelimit-policy']).toBe(`${max};w=${windowMs / 1000}`);
+    }
+
+    const limited = await request(app).post('/register').set('X-Forwarded-For', '198.51.100.1');
+
+    expect(limited.status).toBe(429);
+    expect(limited.body).toMatchObject({ code: 'RATE_LIMITED' });
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Another client is unaffected
+    const other = await request(app).post('/register').set('X-Forwarded-For', '198.51.100.2');
+    expect(other.status).toBe(200);
+  });
+
+  it('counts each account route family separately', async () => {
+    app.post('/login', rateLimit('authLoginAccount'), (req, res) => res.json({ success: true }));
+    app.post('/forgot-password', rateLimit('authRecoveryAccount'), (req, res) => res.json({ success: true }));
+
+    const { max } = rateLimitService.getPolicy('authRecoveryAccount');
+    const body = { email: 'alice@example.com' };
+
+    for (let i = 0; i < max; i++) {
+      await request(app).post('/forgot-password').send(body);
+    }
+
+    expect((await request(app).post('/forgot-password').send(body)).status).toBe(429);
+    expect((await request(app).post('/login').send(body)).status).toBe(200);
+  });
+
+  it('counts a non-string account against the IP', async () => {
+    app.post('/login', rateLimit('authLoginAccount'), (req, res) => res.json({ success: true }));
+
+    const res = await request(app)
+      .post('/login')
+      .set('X-Forwarded-For', '198.51.100.3')
+      .send({ email: ['alice@example.com', 'bob@example.com'] });
+
+    expect(res.status).toBe(200);
+    expect([...store.counters.keys()]).toEqual(['authLoginAccount:ip:198.51.100.3']);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    jest.spyOn(store, 'increment').mockRejectedValue(new Error('store down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app).post('/register');
+
+    expect(res.status).toBe(200);
+
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,149 @@
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const sessionService = require('../src/services/session.service');
+const authController = require('../src/controllers/auth.controller');
+const { verifyRefreshToken } = require('../src/utils/jwt.utils');
+const { hashToken } = require('../src/utils/crypto.utils');
+
+const REQ = {
+  ip: '203.0.113.7',
+  headers: { 'user-agent': 'jest', 'x-device-id': 'device-1' },
+  body: {}
+};
+
+describe('sessionService', () => {
+  let sessions;
+  let user;
+
+  /**
+   * Sessions matching a filter on userId, revokedAt and an excluded _id
+   * @param {Object} query - Query
+   * @returns {Array} Matching sessions
+   */
+  const findSessions = (query) => [...sessions.values()].filter(session =>
+    session.userId.equals(query.userId) &&
+    !session.revokedAt &&
+    !(query._id && query._id.$ne && session._id.equals(query._id.$ne))
+  );
+
+  beforeEach(() => {
+    sessions = new Map();
+    user = new User({ username: 'alice', email: 'alice@example.com' });
+
+    // In-memory stand-in for the Session queries sessionService makes
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+      sessions.set(this._id.toString(), this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'findById').mockImplementation(id => ({
+      select: async () => sessions.get(String(id)) || null
+    }));
+    jest.spyOn(Session, 'findOne').mockImplementation(async (query) => {
+      const session = sessions.get(String(query._id));
+      return session && (!query.userId || session.userId.equals(query.userId)) ? session : null;
+    });
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const session = sessions.get(String(filter._id));
+
+      if (!session || session.revokedAt || session.refreshTokenHash !== filter.refreshTokenHash) {
+        return null;
+      }
+
+      session.set(update.$set);
+      session.rotationCount += update.$inc.rotationCount;
+      return session;
+    });
+    jest.spyOn(Session, 'find').mockImplementation(query => ({
+      select: async () => findSessions(query)
+    }));
+    jest.spyOn(Session, 'revokeAllForUser').mockImplementation(async (userId, reason, exceptSessionId) => {
+      findSessions({ userId, _id: exceptSessionId && { $ne: exceptSessionId } }).forEach(session => {
+        session.revokedAt = new Date();
+        session.revokedReason = reason;
+      });
+    });
+
+    jest.spyOn(User, 'findById').mockImplementation(async () => user);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the session with its client details and only a hash of the refresh token id', async () => {
+    const { tokens, session } = await sessionService.createSession(user, REQ);
+    const { jti, sessionId } = verifyRefreshToken(tokens.refreshToken);
+
+    expect(sessionId).toBe(session._id.toString());
+    expect(session).toMatchObject({ ipAddress: '203.0.113.7', userAgent: 'jest', ipRange: '203.0.113.0/24' });
+    expect(session.refreshTokenHash).toBe(hashToken(jti));
+    expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const { tokens, session } = await sessionService.createSession(user, REQ);
+
+    const rotated = await sessionService.refreshSession(tokens.refreshToken, REQ);
+    const again = await sessionService.refreshSession(rotated.refreshToken, REQ);
+
+    expect(verifyRefreshToken(again.refreshToken).sessionId).toBe(session._id.toString());
+    expect(session.rotationCount).toBe(2);
+    expect(session.isActive).toBe(true);
+  });
+
+  it('treats a rotated refresh token as stolen and revokes the session', async () => {
+    const { tokens, session } = await sessionService.createSession(user, REQ);
+    const rotated = await sessionService.refreshSession(tokens.refreshToken, REQ);
+
+    await expect(sessionService.refreshSession(tokens.refreshToken, REQ))
+      .rejects.toThrow('Refresh token has already been used');
+
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    // The legitimate holder of the newest token is signed out too
+    await expect(sessionService.refreshSession(rotated.refreshToken, REQ))
+      .rejects.toThrow('Session has expired or been revoked');
+  });
+
+  it('refuses refresh tokens issued before a password reset', async () => {
+    const { tokens, session } = await sessionService.createSession(user, REQ);
+    user.tokenVersion += 1;
+
+    await expect(sessionService.refreshSession(tokens.refreshToken, REQ))
+      .rejects.toThrow('Session is no longer valid');
+    expect(session.revokedReason).toBe('user_revoked');
+  });
+
+  it('refuses access tokens and garbage as refresh tokens', async () => {
+    const { tokens } = await sessionService.createSession(user, REQ);
+
+    await expect(sessionService.refreshSession(tokens.token, REQ)).rejects.toThrow();
+    await expect(sessionService.refreshSession('not-a-jwt', REQ)).rejects.toThrow('Invalid or expired refresh token');
+  });
+
+  it('revokes the session on logout', async () => {
+    const { tokens, session } = await sessionService.createSession(user, REQ);
+    const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+    await authController.logout({ user, sessionId: session._id.toString() }, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(session.revokedReason).toBe('logout');
+    await expect(sessionService.isSessionActive(session._id)).resolves.toBe(false);
+    await expect(sessionService.refreshSession(tokens.refreshToken, REQ))
+      .rejects.toThrow('Session has expired or been revoked');
+  });
+
+  it('revokes every other session but keeps the current one', async () => {
+    const { session: current } = await sessionService.createSession(user, REQ);
+    const { session: other } = await sessionService.createSession(user, REQ);
+    const { session: another } = await sessionService.createSession(user, REQ);
+
+    await expect(sessionService.revokeAllSessions(user._id, 'user_revoked', current._id)).resolves.toBe(2);
+
+    expect(current.isActive).toBe(true);
+    expect(other.revokedReason).toBe('user_revoked');
+    expect(another.revokedReason).toBe('user_revoked');
+  });
+});
@@ -0,0 +1,152 @@
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const sessionService = require('../src/services/session.service');
+const realtimeService = require('../src/services/realtime.service');
+const authController = require('../src/controllers/auth.controller');
+const { authenticateToken } = require('../src/middleware/auth.middleware');
+
+const REQ = { ip: '203.0.113.7', headers: { 'user-agent': 'jest' }, body: {} };
+
+/**
+ * Minimal Express response that records what was sent
+ * @returns {Object} Response
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  return res;
+};
+
+describe('session management', () => {
+  let sessions;
+  let alice;
+  let bob;
+  let io;
+
+  beforeEach(() => {
+    sessions = new Map();
+    alice = new User({ username: 'alice', email: 'alice@example.com' });
+    bob = new User({ username: 'bob', email: 'bob@example.com' });
+
+    // Stand-in for the Socket.io server: records which rooms were told and disconnected
+    io = { emitted: [], disconnected: [] };
+    io.in = jest.fn(rooms => ({
+      emit: (event) => io.emitted.push({ rooms, event }),
+      disconnectSockets: () => io.disconnected.push(...rooms)
+    }));
+    realtimeService.init(io);
+
+    // In-memory stand-in for the Session queries
+    const active = (query) => [...sessions.values()].filter(session =>
+      session.userId.equals(query.userId) &&
+      !session.revokedAt &&
+      !(query._id && session._id.equals(query._id.$ne))
+    );
+
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+      sessions.set(this._id.toString(), this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'findById').mockImplementation(id => ({
+      select: async () => sessions.get(String(id)) || null
+    }));
+    jest.spyOn(Session, 'findOne').mockImplementation(async (query) => {
+      const session = sessions.get(String(query._id));
+      return session && (!query.userId || session.userId.equals(query.userId)) ? session : null;
+    });
+    jest.spyOn(Session, 'find').mockImplementation(query => ({ select: async () => active(query) }));
+    jest.spyOn(Session, 'findActiveByUser').mockImplementation(async userId => active({ userId }));
+    jest.spyOn(Session, 'revokeAllForUser').mockImplementation(async (userId, reason, exceptSessionId) => {
+      active({ userId, _id: exceptSessionId && { $ne: exceptSessionId } }).forEach(session => {
+        session.revokedAt = new Date();
+        session.revokedReason = reason;
+      });
+    });
+
+    jest.spyOn(User, 'findById').mockImplementation(id => ({
+      select: async () => [alice, bob].find(user => user._id.equals(id)) || null
+    }));
+  });
+
+  afterEach(() => {
+    realtimeService.init(null);
+    jest.restoreAllMocks();
+  });
+
+  it('lists active sessions and marks the current one', async () => {
+    const { session: current } = await sessionService.createSession(alice, REQ);
+    const { session: other } = await sessionService.createSession(alice, REQ);
+    await sessionService.createSession(bob, REQ);
+    await sessionService.revokeSession(other._id);
+
+    const res = mockResponse();
+    await authController.getSessions({ user: alice, sessionId: current._id.toString() }, res);
+
+    expect(res.body.sessions).toEqual([
+      expect.objectContaining({ id: current._id, ipAddress: '203.0.113.7', current: true })
+    ]);
+  });
+
+  it('revokes a session and disconnects its sockets right away', async () => {
+    const { session: current } = await sessionService.createSession(alice, REQ);
+    const { session: laptop } = await sessionService.createSession(alice, REQ);
+
+    const res = mockResponse();
+    await authController.revokeSession(
+      { user: alice, sessionId: current._id.toString(), params: { id: laptop._id.toString() } },
+      res
+    );
+
+    expect(res.body.success).toBe(true);
+    expect(laptop.revokedReason).toBe('user_revoked');
+    expect(io.emitted).toEqual([{ rooms: [`session:${laptop._id}`], event: 'session-revoked' }]);
+    expect(io.disconnected).toEqual([`session:${laptop._id}`]);
+  });
+
+  it('does not touch another user\'s session', async () => {
+    const { session: bobs } = await sessionService.createSession(bob, REQ);
+
+    const res = mockResponse();
+    await authController.revokeSession({ user: alice, params: { id: bobs._id.toString() } }, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(bobs.isActive).toBe(true);
+    expect(io.disconnected).toEqual([]);
+  });
+
+  it('rejects a malformed session ID', async () => {
+    const res = mockResponse();
+    await authController.revokeSession({ user: alice, params: { id: 'nope' } }, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('logs out every other device and disconnects their sockets', async () => {
+    const { session: current } = await sessionService.createSession(alice, REQ);
+    const { session: phone } = await sessionService.createSession(alice, REQ);
+    const { session: tablet } = await sessionService.createSession(alice, REQ);
+    const { session: bobs } = await sessionService.createSession(bob, REQ);
+
+    const res = mockResponse();
+    await authController.revokeOtherSessions({ user: alice, sessionId: current._id.toString() }, res);
+
+    expect(res.body.revokedCount).toBe(2);
+    expect(current.isActive).toBe(true);
+    expect(bobs.isActive).toBe(true);
+    expect(io.disconnected.sort()).toEqual([`session:${phone._id}`, `session:${tablet._id}`].sort());
+  });
+
+  it('rejects access tokens for a revoked session', async () => {
+    const { tokens, session } = await sessionService.createSession(alice, REQ);
+    await sessionService.revokeSession(session._id, 'user_revoked');
+
+    const res = mockResponse();
+    const next = jest.fn();
+    await authenticateToken({ headers: { authorization: `Bearer ${tokens.token}` } }, res, next);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Token has been revoked');
+    expect(next).not.toHaveBeenCalled();
+  });
+});
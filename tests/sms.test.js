@@ -0,0 +1,94 @@
+const { ConsoleGateway, MemoryGateway, createGateway } = require('../src/services/sms.gateways');
+const smsService = require('../src/services/sms.service');
+const { normalizePhone, maskPhone } = require('../src/utils/phone.utils');
+
+const DEV_ENV = { ENABLE_DEV_MODE: 'true', NODE_ENV: 'development' };
+
+describe('createGateway', () => {
+  it('uses the console gateway by default in dev mode', () => {
+    expect(createGateway(DEV_ENV)).toBeInstanceOf(ConsoleGateway);
+  });
+
+  it('fails closed when no gateway is set outside dev mode', () => {
+    expect(() => createGateway({})).toThrow('SMS_GATEWAY must be set');
+    expect(() => createGateway({ ENABLE_DEV_MODE: 'true', NODE_ENV: 'production' })).toThrow('SMS_GATEWAY must be set');
+  });
+
+  it('refuses the console gateway outside dev mode', () => {
+    expect(() => createGateway({ SMS_GATEWAY: 'console', NODE_ENV: 'production' }))
+      .toThrow('only available in dev mode');
+  });
+
+  it('creates the memory gateway by name in tests and dev mode', () => {
+    expect(createGateway({ SMS_GATEWAY: 'Memory', NODE_ENV: 'test' })).toBeInstanceOf(MemoryGateway);
+    expect(createGateway({ ...DEV_ENV, SMS_GATEWAY: 'memory' })).toBeInstanceOf(MemoryGateway);
+  });
+
+  it('refuses the memory gateway anywhere else', () => {
+    expect(() => createGateway({ SMS_GATEWAY: 'memory', NODE_ENV: 'production' }))
+      .toThrow('only available in tests');
+    expect(() => createGateway({ SMS_GATEWAY: 'memory' })).toThrow('only available in tests');
+  });
+
+  it('rejects unknown gateways', () => {
+    expect(() => createGateway({ SMS_GATEWAY: 'carrier-pigeon' })).toThrow('Unknown SMS_GATEWAY "carrier-pigeon"');
+  });
+});
+
+describe('smsService with the memory gateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = new MemoryGateway();
+    smsService.setGateway(gateway);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records sent messages in the outbox', async () => {
+    const result = await smsService.send('+2348031234567', 'Hello');
+
+    expect(gateway.messages).toEqual([
+      expect.objectContaining({ messageId: result.messageId, to: '+2348031234567', text: 'Hello' })
+    ]);
+  });
+
+  it('sends verification codes with their lifetime', async () => {
+    await smsService.sendOtp('+2348031234567', '482913', 5);
+
+    const [message] = gateway.messages;
+    expect(message.text).toContain('482913');
+    expect(message.text).toContain('5 minutes');
+  });
+
+  it('empties the outbox on clear()', async () => {
+    await smsService.send('+2348031234567', 'Hello');
+    gateway.clear();
+
+    expect(gateway.messages).toEqual([]);
+  });
+});
+
+describe('phone.utils', () => {
+  it('normalizes numbers to E.164', () => {
+    expect(normalizePhone('+234 803 123 4567')).toBe('+2348031234567');
+    expect(normalizePhone('002348031234567')).toBe('+2348031234567');
+    expect(normalizePhone('2348031234567')).toBe('+2348031234567');
+    expect(normalizePhone('08031234567')).toBe('+2348031234567');
+    expect(normalizePhone('(020) 7946 0958', '44')).toBe('+442079460958');
+  });
+
+  it('rejects input that cannot be a phone number', () => {
+    expect(normalizePhone(null)).toBeNull();
+    expect(normalizePhone('call me')).toBeNull();
+    expect(normalizePhone('+0123')).toBeNull();
+    expect(normalizePhone('5551234567')).toBeNull();
+  });
+
+  it('masks all but the country code and last four digits', () => {
+    expect(maskPhone('+2348031234567')).toBe('+234••••••4567');
+  });
+});
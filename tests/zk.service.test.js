@@ -0,0 +1,169 @@
+const { generateKeyPair, SignJWT } = require('jose');
+const { Ed25519Keypair } = require('@mysten/sui.js/keypairs/ed25519');
+const { generateNonce } = require('@mysten/zklogin');
+const zkService = require('../src/services/zk.service');
+const nonceService = require('../src/services/nonce.service');
+
+const ISSUER = 'https://accounts.google.com';
+const CLIENT_ID = 'chatpay-test-client';
+const ISSUED_NONCE = 'issued-nonce';
+
+describe('zkService.verifyIdToken', () => {
+  let providerKeys;
+  let otherKeys;
+
+  /**
+   * Sign an ID token as the provider would
+   * @param {Object} overrides - { nonce, issuer, audience, issuedAt, expiresAt, key }
+   * @returns {Promise<string>} Signed JWT
+   */
+  const signIdToken = ({
+    nonce = ISSUED_NONCE,
+    issuer = ISSUER,
+    audience = CLIENT_ID,
+    issuedAt = Math.floor(Date.now() / 1000),
+    expiresAt = issuedAt + 3600,
+    key = providerKeys.privateKey
+  } = {}) => {
+    return new SignJWT({ nonce, email: 'alice@example.com', email_verified: true })
+      .setProtectedHeader({ alg: 'RS256' })
+      .setSubject('google-user-1')
+      .setIssuer(issuer)
+      .setAudience(audience)
+      .setIssuedAt(issuedAt)
+      .setExpirationTime(expiresAt)
+      .sign(key);
+  };
+
+  beforeAll(async () => {
+    providerKeys = await generateKeyPair('RS256');
+    otherKeys = await generateKeyPair('RS256');
+  });
+
+  beforeEach(() => {
+    zkService.providers = {
+      google: {
+        clientId: CLIENT_ID,
+        issuer: ISSUER,
+        jwksUrl: 'https://jwks.example.test/certs',
+        algorithms: ['RS256']
+      }
+    };
+
+    jest.spyOn(zkService, 'getProviderKey').mockReturnValue(providerKeys.publicKey);
+    jest.spyOn(nonceService, 'consume').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a valid token and consumes its nonce', async () => {
+    const payload = await zkService.verifyIdToken(await signIdToken(), 'google', { nonce: ISSUED_NONCE });
+
+    expect(payload.sub).toBe('google-user-1');
+    expect(nonceService.consume).toHaveBeenCalledWith(ISSUED_NONCE);
+  });
+
+  it('rejects a token signed with another key', async () => {
+    const token = await signIdToken({ key: otherKeys.privateKey });
+
+    await expect(zkService.verifyIdToken(token, 'google', { nonce: ISSUED_NONCE }))
+      .rejects.toMatchObject({ code: 'ERR_JWS_SIGNATURE_VERIFICATION_FAILED' });
+    expect(nonceService.consume).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token for another audience', async () => {
+    const token = await signIdToken({ audience: 'someone-elses-client' });
+
+    await expect(zkService.verifyIdToken(token, 'google', { nonce: ISSUED_NONCE }))
+      .rejects.toMatchObject({ code: 'ERR_JWT_CLAIM_VALIDATION_FAILED', claim: 'aud' });
+  });
+
+  it('rejects a token from another issuer', async () => {
+    const token = await signIdToken({ issuer: 'https://evil.example.test' });
+
+    await expect(zkService.verifyIdToken(token, 'google', { nonce: ISSUED_NONCE }))
+      .rejects.toMatchObject({ code: 'ERR_JWT_CLAIM_VALIDATION_FAILED', claim: 'iss' });
+  });
+
+  it('rejects an expired token', async () => {
+    const issuedAt = Math.floor(Date.now() / 1000) - 2 * 3600;
+    const token = await signIdToken({ issuedAt, expiresAt: issuedAt + 3600 });
+
+    await expect(zkService.verifyIdToken(token, 'google', { nonce: ISSUED_NONCE }))
+      .rejects.toMatchObject({ code: 'ERR_JWT_EXPIRED' });
+  });
+
+  it('rejects a token whose nonce does not match', async () => {
+    const token = await signIdToken({ nonce: 'replayed-nonce' });
+
+    await expect(zkService.verifyIdToken(token, 'google', { nonce: ISSUED_NONCE }))
+      .rejects.toThrow('Nonce mismatch');
+    expect(nonceService.consume).not.toHaveBeenCalled();
+  });
+
+  it('rejects a nonce that was not issued or was already used', async () => {
+    nonceService.consume.mockResolvedValue(false);
+
+    await expect(zkService.verifyIdToken(await signIdToken(), 'google', { nonce: ISSUED_NONCE }))
+      .rejects.toThrow('Nonce was not issued by this server or has already been used');
+  });
+
+  it('requires a nonce', async () => {
+    await expect(zkService.verifyIdToken(await signIdToken(), 'google'))
+      .rejects.toThrow('Nonce is required');
+  });
+
+  it('rejects unknown providers', async () => {
+    await expect(zkService.verifyIdToken(await signIdToken(), 'myspace', { nonce: ISSUED_NONCE }))
+      .rejects.toThrow('Unsupported provider: myspace');
+  });
+
+  describe('zkLogin binding', () => {
+    // Fixed inputs: generateNonce() rejects the occasional random key whose
+    // nonce encodes one character short
+    const maxEpoch = 42;
+    const randomness = '271828182845904523536028747135266249775';
+    const ephemeralKeypair = Ed25519Keypair.fromSecretKey(new Uint8Array(32).fill(1));
+    const otherKeypair = Ed25519Keypair.fromSecretKey(new Uint8Array(32).fill(2));
+    const zkNonce = generateNonce(ephemeralKeypair.getPublicKey(), maxEpoch, randomness);
+
+    it('accepts a token carrying the nonce recomputed from the ephemeral key', async () => {
+      const token = await signIdToken({ nonce: zkNonce });
+
+      await zkService.verifyIdToken(token, 'google', {
+        ephemeralPublicKey: ephemeralKeypair.getPublicKey().toBase64(),
+        maxEpoch,
+        randomness
+      });
+
+      expect(nonceService.consume).toHaveBeenCalledWith(randomness);
+    });
+
+    it('rejects the token when the client changes maxEpoch', async () => {
+      const token = await signIdToken({ nonce: zkNonce });
+
+      await expect(zkService.verifyIdToken(token, 'google', {
+        ephemeralPublicKey: ephemeralKeypair.getPublicKey().toBase64(),
+        maxEpoch: maxEpoch + 1,
+        randomness
+      })).rejects.toThrow('Nonce mismatch');
+    });
+
+    it('rejects the token for another ephemeral key', async () => {
+      const token = await signIdToken({ nonce: zkNonce });
+
+      await expect(zkService.verifyIdToken(token, 'google', {
+        ephemeralPublicKey: otherKeypair.getPublicKey().toBase64(),
+        maxEpoch,
+        randomness
+      })).rejects.toThrow('Nonce mismatch');
+    });
+
+    it('requires all of the zkLogin nonce inputs', async () => {
+      await expect(zkService.verifyIdToken(await signIdToken({ nonce: zkNonce }), 'google', { randomness }))
+        .rejects.toThrow('ephemeralPublicKey, maxEpoch and randomness are required');
+    });
+  });
+});